@@ -0,0 +1,271 @@
+import fs from 'fs';
+import { createHash, createHmac } from 'crypto';
+import { createLogger } from '../utils/logger.js';
+import { getRequestContext } from '../utils/requestContext.js';
+
+const logger = createLogger('audit');
+
+const GENESIS_HASH = '0'.repeat(64);
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Arguments longer than this (as JSON) are stored as their size and hash, not verbatim
+ */
+const MAX_ARG_CHARS = 2048;
+
+/**
+ * Hash of an entry without its own `hash` field. With a key it is an HMAC, which someone
+ * who can edit the file cannot recompute; without one it only detects accidental edits.
+ * @param {Object} entry - Audit entry
+ * @param {string} [key] - HMAC key
+ * @returns {string} Hex SHA-256 or HMAC-SHA-256
+ */
+function hashEntry(entry, key) {
+  const body = { ...entry };
+  delete body.hash;
+  const hash = key ? createHmac('sha256', key) : createHash('sha256');
+  return hash.update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * Tool arguments as stored: large values (CSV text, base64 files, row lists) are replaced
+ * by their size and SHA-256, so the log stays small and holds no file contents
+ * @param {Object|null} args - Validated tool arguments
+ * @returns {Object|null} Arguments to store
+ */
+export function summarizeArgs(args) {
+  if (!args) return null;
+
+  return Object.fromEntries(
+    Object.entries(args).map(([name, value]) => {
+      const json = JSON.stringify(value) ?? '';
+      if (json.length <= MAX_ARG_CHARS) return [name, value];
+      return [
+        name,
+        {
+          omitted: true,
+          chars: json.length,
+          sha256: createHash('sha256').update(json).digest('hex'),
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * Project and entity a request URL targets. ACC URLs look like
+ * `/<service>/<version>/containers/<projectId>/<type>/<id>[/<subresource>...]`,
+ * Data Management URLs like `/data/v1/projects/<projectId>/<type>/<id>`.
+ * @param {string} url - Request URL
+ * @returns {Object} { projectId, type, id, path }
+ */
+export function entityFromUrl(url) {
+  const segments = new URL(url, 'http://localhost').pathname.split('/').filter(Boolean);
+  const scope = segments.findIndex((segment) => segment === 'containers' || segment === 'projects');
+  if (scope === -1 || scope + 1 >= segments.length) {
+    return { path: segments.join('/') };
+  }
+
+  const rest = segments.slice(scope + 2).map(decodeURIComponent);
+  return {
+    projectId: segments[scope + 1].replace(/^b\./, ''),
+    type: rest[0],
+    id: rest[1],
+    path: rest.join('/'),
+  };
+}
+
+/**
+ * Append-only, hash-chained log of every write sent to APS.
+ *
+ * Each JSONL entry carries the hash of the previous one, so editing or removing an
+ * entry breaks the chain from that point on (see verify()). The chain is only
+ * tamper-evident with `options.key`: plain hashes can be recomputed by whoever edits the file.
+ */
+export class AuditLog {
+  /**
+   * @param {Object} options - `config.audit`
+   * @param {boolean} options.enabled - Record writes
+   * @param {string} options.path - JSONL file
+   * @param {string} [options.key] - HMAC key for the chain
+   */
+  constructor(options) {
+    this.enabled = options.enabled;
+    this.filePath = options.path;
+    this.key = options.key;
+    this.lastHash = GENESIS_HASH;
+    this.seq = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Pick up the chain where the file ends and report whether it is intact
+   */
+  async load() {
+    if (!this.enabled) return;
+
+    if (!this.key) {
+      logger.warn('AUDIT_LOG_KEY is not set: the audit log chain will not reveal deliberate edits');
+    }
+
+    const entries = await this.readEntries();
+    const result = this.verifyEntries(entries);
+    if (!result.valid) {
+      logger.error(`Audit log chain is broken at entry ${result.brokenAt}: ${result.reason}`);
+    }
+
+    const last = entries.filter((entry) => !entry.corrupt).pop();
+    if (last) {
+      this.lastHash = last.hash;
+      this.seq = last.seq;
+    }
+    logger.info(`Audit log has ${entries.length} entries (${this.filePath})`);
+  }
+
+  /**
+   * Record every write the auth manager sends, attributed to the tool call it belongs to
+   * @param {AuthManager} authManager - Authentication manager
+   */
+  attach(authManager) {
+    if (!this.enabled) return;
+
+    const onWrite = (event) => {
+      // Listeners run synchronously inside the request, so the tool context is still current
+      const { tool, args } = getRequestContext();
+      this.record(authManager, { ...event, tool, args }).catch((error) =>
+        logger.error('Failed to write audit entry:', error)
+      );
+    };
+
+    authManager.on('write', onWrite);
+    authManager.on('write_failed', onWrite);
+  }
+
+  /**
+   * Append an entry for one write
+   * @param {AuthManager} authManager - Used to resolve the authenticated identity
+   * @param {Object} write - { method, url, status, entityId, error, tool, args, profile }
+   * @returns {Promise<Object>} The stored entry
+   */
+  async record(authManager, write) {
+    // Take the place in the chain when the write happens, not once the identity is known,
+    // so entries keep the order of the writes and a query made right after sees them
+    const seq = ++this.seq;
+    const timestamp = new Date().toISOString();
+    const identity = authManager.getIdentity().catch(() => null);
+    const target = entityFromUrl(write.url);
+
+    // Serialize appends so the chain order matches the file order
+    const append = this.queue.then(async () => {
+      const entry = {
+        seq,
+        timestamp,
+        tool: write.tool || null,
+        args: summarizeArgs(write.args),
+        user: await identity,
+        ...(write.profile && { profile: write.profile }),
+        method: write.method.toUpperCase(),
+        url: write.url,
+        entity: { ...target, id: target.id || write.entityId },
+        status: write.status ?? null,
+        resultId: write.entityId ?? null,
+        ...(write.error && { error: write.error }),
+        prevHash: this.lastHash,
+      };
+      entry.hash = hashEntry(entry, this.key);
+
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+      this.lastHash = entry.hash;
+      return entry;
+    });
+
+    this.queue = append.catch(() => {});
+    return append;
+  }
+
+  /**
+   * Read every entry from disk
+   * @returns {Promise<Object[]>} Entries in file order
+   */
+  async readEntries() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const lines = (await fs.promises.readFile(this.filePath, 'utf8')).split('\n').filter(Boolean);
+    return lines.map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return { seq: null, corrupt: true, line: index + 1 };
+      }
+    });
+  }
+
+  /**
+   * Check the hash chain
+   * @param {Object[]} entries - Entries in file order
+   * @returns {Object} { valid, entries, brokenAt?, reason? }
+   */
+  verifyEntries(entries) {
+    let prevHash = GENESIS_HASH;
+
+    for (const [index, entry] of entries.entries()) {
+      let reason = null;
+      if (entry.corrupt) reason = 'unreadable';
+      else if (entry.prevHash !== prevHash) reason = 'missing or reordered entry';
+      else if (hashEntry(entry, this.key) !== entry.hash) reason = 'entry was modified';
+
+      if (reason) {
+        const brokenAt = entry.seq ?? `line ${index + 1}`;
+        return { valid: false, entries: entries.length, brokenAt, reason };
+      }
+      prevHash = entry.hash;
+    }
+
+    return { valid: true, entries: entries.length };
+  }
+
+  /**
+   * Verify the chain of the file on disk
+   * @returns {Promise<Object>} Verification result
+   */
+  async verify() {
+    await this.queue;
+    return this.verifyEntries(await this.readEntries());
+  }
+
+  /**
+   * Query entries, newest first
+   * @param {Object} [filter] - { from, to, tool, entityType, entityId, projectId, user, limit }
+   * @returns {Promise<Object[]>} Matching entries
+   */
+  async query(filter = {}) {
+    await this.queue;
+    const from = filter.from ? Date.parse(filter.from) : -Infinity;
+    // A plain date includes the whole day
+    const to = !filter.to
+      ? Infinity
+      : Date.parse(filter.to) + (DATE_ONLY.test(filter.to) ? DAY_MS - 1 : 0);
+    const projectId = filter.projectId?.replace(/^b\./, '');
+
+    return (await this.readEntries())
+      .filter((entry) => {
+        if (entry.corrupt) return false;
+        const time = new Date(entry.timestamp).getTime();
+        return (
+          time >= from &&
+          time <= to &&
+          (!filter.tool || entry.tool === filter.tool) &&
+          (!filter.entityType || entry.entity?.type === filter.entityType) &&
+          (!filter.entityId ||
+            entry.entity?.id === filter.entityId ||
+            entry.resultId === filter.entityId) &&
+          (!projectId || entry.entity?.projectId === projectId) &&
+          (!filter.user ||
+            [entry.user?.userId, entry.user?.email, entry.user?.name].includes(filter.user))
+        );
+      })
+      .reverse()
+      .slice(0, filter.limit || 50);
+  }
+}
@@ -0,0 +1,199 @@
+import express from 'express';
+import readline from 'readline';
+import { createHash, randomBytes } from 'crypto';
+import { createLogger } from './utils/logger.js';
+import { AuthManager } from './auth.js';
+
+const logger = createLogger('auth-server');
+
+/**
+ * Create a PKCE verifier and its S256 challenge (RFC 7636)
+ * @returns {Object} { codeVerifier, codeChallenge }
+ */
+export function createPkcePair() {
+  const codeVerifier = randomBytes(32).toString('base64url');
+  const codeChallenge = createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * Start a login attempt: a fresh state, a PKCE pair and the URL to open
+ * @param {AuthManager} authManager - Authentication manager
+ * @returns {Object} { url, state, codeVerifier }
+ */
+export function createLoginRequest(authManager) {
+  const state = randomBytes(16).toString('hex');
+  const { codeVerifier, codeChallenge } = createPkcePair();
+
+  return {
+    url: authManager.getAuthorizationUrl({ state, codeChallenge }),
+    state,
+    codeVerifier,
+  };
+}
+
+/**
+ * Validate the query of a redirect back from Autodesk
+ * @param {URLSearchParams} params - Redirect query parameters
+ * @param {string} expectedState - State sent with the login request
+ * @returns {string} Authorization code
+ * @throws {Error} If the state does not match, Autodesk reported an error, or there is no code
+ */
+export function parseCallback(params, expectedState) {
+  if (params.get('state') !== expectedState) {
+    throw new Error('State mismatch - the redirect does not belong to this login attempt');
+  }
+
+  if (params.get('error')) {
+    const description = params.get('error_description');
+    throw new Error(
+      `Authorization denied: ${params.get('error')}${description ? ` (${description})` : ''}`
+    );
+  }
+
+  const code = params.get('code');
+  if (!code) {
+    throw new Error('The redirect URL has no authorization code');
+  }
+
+  return code;
+}
+
+/**
+ * Wait for the browser to hit the callback URL
+ * @param {Object} config - Configuration object
+ * @param {Object} login - Login request from createLoginRequest()
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<string>} Authorization code
+ */
+function waitForCallback(config, login, timeoutMs) {
+  const callbackUrl = new URL(config.autodesk.callbackUrl);
+  const app = express();
+  app.disable('x-powered-by');
+
+  return new Promise((resolve, reject) => {
+    let listener = null;
+    let timer = null;
+
+    const finish = (error, code) => {
+      clearTimeout(timer);
+      // Drop keep-alive connections too, so the process can exit right away
+      listener.close();
+      listener.closeAllConnections();
+      if (error) reject(error);
+      else resolve(code);
+    };
+
+    app.get(callbackUrl.pathname, (req, res) => {
+      const params = new URL(req.originalUrl, callbackUrl).searchParams;
+
+      // A stray or forged request must not end the login; keep waiting for the real one
+      if (params.get('state') !== login.state) {
+        logger.warn('Ignored callback with unexpected state');
+        return res.status(400).send('Invalid or expired login request.');
+      }
+
+      try {
+        const code = parseCallback(params, login.state);
+        res.send('Authentication successful. You can close this window.');
+        finish(null, code);
+      } catch (error) {
+        res.status(400).send(error.message);
+        finish(error);
+      }
+    });
+
+    // Only listen where the redirect points, never on every interface
+    const host = callbackUrl.hostname.replace(/^\[(.*)\]$/, '$1') || '127.0.0.1';
+    listener = app.listen(callbackUrl.port || 80, host, () => {
+      logger.info(`Waiting for the OAuth callback on ${callbackUrl.origin}${callbackUrl.pathname}`);
+    });
+    listener.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    timer = setTimeout(
+      () => finish(new Error(`Login timed out after ${Math.round(timeoutMs / 1000)}s`)),
+      timeoutMs
+    );
+  });
+}
+
+/**
+ * Ask for the redirect URL when the browser runs on another machine
+ * @param {Object} login - Login request from createLoginRequest()
+ * @param {Object} streams - { input, output }
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<string>} Authorization code
+ */
+function promptForRedirect(login, { input, output }, timeoutMs) {
+  const rl = readline.createInterface({ input, output, terminal: false });
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const timer = setTimeout(() => {
+      settled = true;
+      rl.close();
+      reject(new Error(`Login timed out after ${Math.round(timeoutMs / 1000)}s`));
+    }, timeoutMs);
+
+    output.write(
+      'After signing in, the browser is sent to the callback URL. It may fail to load;\n' +
+        'copy the full URL from the address bar and paste it here:\n'
+    );
+
+    rl.once('line', (line) => {
+      settled = true;
+      clearTimeout(timer);
+      rl.close();
+      try {
+        resolve(parseCallback(new URL(line.trim()).searchParams, login.state));
+      } catch (error) {
+        reject(error instanceof TypeError ? new Error('That is not a valid URL') : error);
+      }
+    });
+
+    // Without a terminal (stdin at EOF) nobody can paste the URL; do not wait for the timeout
+    rl.once('close', () => {
+      if (settled) return;
+      clearTimeout(timer);
+      reject(new Error('Input closed before the redirect URL was pasted'));
+    });
+  });
+}
+
+/**
+ * Run the three-legged login and store the resulting tokens
+ * @param {Object} config - Configuration object
+ * @param {Object} [options] - Login options
+ * @param {boolean} [options.headless] - Paste the redirect URL instead of running a callback server
+ * @param {number} [options.timeoutMs] - How long to wait for the user
+ * @param {AuthManager} [options.authManager] - Use this manager instead of a new one
+ * @param {Object} [options.input] - Stream the redirect URL is read from (headless)
+ * @param {Object} [options.output] - Stream the login URL and prompts are written to
+ * @returns {Promise<AuthManager>} Authenticated manager
+ */
+export async function startAuthServer(config, options = {}) {
+  const authManager = options.authManager || new AuthManager(config);
+  const headless = options.headless ?? config.login.headless;
+  const timeoutMs = options.timeoutMs ?? config.login.timeoutMs;
+  const streams = {
+    input: options.input || process.stdin,
+    output: options.output || process.stderr,
+  };
+
+  const login = createLoginRequest(authManager);
+
+  // stdout may be read by an MCP client, so the URL goes to stderr
+  streams.output.write(`\nOpen this URL to sign in to Autodesk:\n\n  ${login.url}\n\n`);
+
+  const code = headless
+    ? await promptForRedirect(login, streams, timeoutMs)
+    : await waitForCallback(config, login, timeoutMs);
+
+  await authManager.handleCallback(code, { codeVerifier: login.codeVerifier });
+  streams.output.write('Authentication successful. Tokens have been stored.\n');
+
+  return authManager;
+}
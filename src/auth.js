@@ -1,33 +1,112 @@
 import axios from 'axios';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
 import { EventEmitter } from 'events';
 import { createLogger } from './utils/logger.js';
 import { TokenStorage } from './utils/tokenStorage.js';
+import { EncryptedTokenStorage } from './utils/encryptedTokenStorage.js';
+import { withFileLock } from './utils/fileLock.js';
+import { ApsError, toApsError } from './utils/apsError.js';
+import { getRequestContext } from './utils/requestContext.js';
+import { applyBody, diffFields } from './utils/dryRun.js';
+import { RequestScheduler } from './utils/requestScheduler.js';
+import { ResponseCache } from './utils/responseCache.js';
+import { Cassette } from './utils/cassette.js';
 import { getApiEndpoints } from './config.js';
 
 const logger = createLogger('auth');
 
 /**
  * Manages OAuth2 authentication with Autodesk Platform Services
+ *
+ * In `three-legged` mode (the default) a user signs in once with `--auth` and the
+ * refresh token is kept in token storage. In `two-legged` mode the app authenticates
+ * with client credentials; tokens live in memory only and are requested again when
+ * they expire.
  */
 export class AuthManager extends EventEmitter {
   constructor(config) {
     super();
     this.config = config;
     this.endpoints = getApiEndpoints(config);
-    this.tokenStorage = new TokenStorage(config.token);
+    // The mock API and replayed cassettes never need tokens to outlive the process, and
+    // replayed tokens must not replace stored ones
+    const tokenOptions =
+      config.debug.mockApi || config.cassette.mode === 'replay'
+        ? { ...config.token, storage: 'memory' }
+        : config.token;
+    this.tokenStorage =
+      tokenOptions.storage === 'file'
+        ? new EncryptedTokenStorage(tokenOptions)
+        : new TokenStorage(tokenOptions);
+    this.tokenLockPath = tokenOptions.storage === 'memory' ? null : getTokenLockPath(config);
+    this.refreshPromise = null;
+    this.identity = null;
     this.accessToken = null;
     this.refreshToken = null;
     this.tokenExpiry = null;
     this.isAuthenticated = false;
+    this.mode = config.autodesk.authMode;
+
+    // Every APS call goes through one scheduler so the rate limit is shared
+    this.scheduler = new RequestScheduler(config.rateLimit);
+    this.cache = new ResponseCache(config.cache);
+
+    // All HTTP goes through this instance so a cassette can record or replay it
+    this.http = axios.create();
+    this.cassette = null;
+    if (config.cassette.mode !== 'off') {
+      this.useCassette(new Cassette(config.cassette));
+    }
     
     // Try to load existing tokens
     this.loadTokens();
   }
 
+  /**
+   * Record APS traffic to, or replay it from, a cassette. Tests replay a cassette to run
+   * tool modules without APS; call `cassette.assertComplete()` afterwards.
+   * @param {Cassette} cassette - Cassette in `record` or `replay` mode
+   */
+  useCassette(cassette) {
+    this.cassette = cassette;
+    this.http.defaults.adapter = cassette.adapter();
+    const action = cassette.mode === 'record' ? 'Recording' : 'Replaying';
+    logger.info(`${action} APS traffic: ${cassette.file}`);
+  }
+
   /**
    * Load tokens from storage
    */
   async loadTokens() {
+    if (this.isTwoLegged()) {
+      // Client credentials are always at hand; the first request fetches a token
+      this.isAuthenticated = true;
+      logger.info('Using two-legged (client credentials) authentication');
+      return;
+    }
+
+    if (this.config.debug.mockApi) {
+      await this.saveTokens({
+        access_token: 'mock-access-token',
+        refresh_token: 'mock-refresh-token',
+        expires_in: 86400,
+      });
+      logger.info('Using mock API credentials');
+      return;
+    }
+
+    // Replayed requests are matched without their tokens, so placeholders will do
+    if (this.cassette?.mode === 'replay') {
+      await this.saveTokens({
+        access_token: 'REDACTED',
+        refresh_token: 'REDACTED',
+        expires_in: 86400,
+      });
+      return;
+    }
+
     try {
       const tokens = await this.tokenStorage.getTokens();
       if (tokens) {
@@ -48,11 +127,34 @@ export class AuthManager extends EventEmitter {
     }
   }
 
+  /**
+   * Whether the server authenticates as the app rather than a user
+   * @returns {boolean} True in two-legged mode
+   */
+  isTwoLegged() {
+    return this.mode === 'two-legged';
+  }
+
+  /**
+   * Client identification for token requests. Public clients have no secret.
+   * @returns {Object} client_id and, if configured, client_secret
+   */
+  getClientParams() {
+    const params = { client_id: this.config.autodesk.clientId };
+    if (this.config.autodesk.clientSecret) {
+      params.client_secret = this.config.autodesk.clientSecret;
+    }
+    return params;
+  }
+
   /**
    * Get authorization URL for OAuth flow
+   * @param {Object} [options] - Login request parameters
+   * @param {string} [options.state] - Opaque value echoed back to the callback (CSRF protection)
+   * @param {string} [options.codeChallenge] - PKCE S256 code challenge
    * @returns {string} Authorization URL
    */
-  getAuthorizationUrl() {
+  getAuthorizationUrl({ state, codeChallenge } = {}) {
     const params = new URLSearchParams({
       response_type: 'code',
       client_id: this.config.autodesk.clientId,
@@ -60,24 +162,38 @@ export class AuthManager extends EventEmitter {
       scope: this.config.autodesk.scope,
     });
 
+    if (state) {
+      params.set('state', state);
+    }
+    if (codeChallenge) {
+      params.set('code_challenge', codeChallenge);
+      params.set('code_challenge_method', 'S256');
+    }
+
     return `${this.endpoints.auth.authorize}?${params.toString()}`;
   }
 
   /**
    * Handle OAuth callback and exchange code for tokens
    * @param {string} code - Authorization code from callback
+   * @param {Object} [options] - Exchange parameters
+   * @param {string} [options.codeVerifier] - PKCE code verifier matching the challenge sent
    */
-  async handleCallback(code) {
+  async handleCallback(code, { codeVerifier } = {}) {
     try {
-      const response = await axios.post(
+      const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        ...this.getClientParams(),
+        redirect_uri: this.config.autodesk.callbackUrl,
+      });
+      if (codeVerifier) {
+        params.set('code_verifier', codeVerifier);
+      }
+
+      const response = await this.http.post(
         this.endpoints.auth.token,
-        new URLSearchParams({
-          grant_type: 'authorization_code',
-          code,
-          client_id: this.config.autodesk.clientId,
-          client_secret: this.config.autodesk.clientSecret,
-          redirect_uri: this.config.autodesk.callbackUrl,
-        }),
+        params,
         {
           headers: {
             'Content-Type': 'application/x-www-form-urlencoded',
@@ -86,6 +202,7 @@ export class AuthManager extends EventEmitter {
       );
 
       await this.saveTokens(response.data);
+      this.identity = null;
       
       logger.info('Successfully authenticated with Autodesk');
       this.emit('authenticated');
@@ -93,28 +210,74 @@ export class AuthManager extends EventEmitter {
       return true;
     } catch (error) {
       logger.error('Failed to exchange authorization code:', error.response?.data || error.message);
-      throw new Error('Authentication failed');
+      throw toAuthError(error, 'Authentication failed');
+    }
+  }
+
+  /**
+   * Refresh the access token using refresh token.
+   *
+   * Concurrent callers share one in-flight refresh, so a refresh token is never used twice.
+   * @returns {Promise<boolean>} True once a fresh token is available
+   */
+  refreshAccessToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = (
+        this.isTwoLegged() ? this.requestClientCredentialsToken() : this.refreshUnderLock()
+      ).finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Refresh while holding the token store lock. Another process sharing the store may
+   * have rotated the refresh token already; in that case its tokens are adopted.
+   * @returns {Promise<boolean>} True once a fresh token is available
+   */
+  async refreshUnderLock() {
+    if (!this.tokenLockPath) {
+      return this.performRefresh();
     }
+
+    return withFileLock(this.tokenLockPath, async () => {
+      const stored = await this.tokenStorage.getTokens().catch(() => null);
+      if (
+        stored?.refreshToken &&
+        stored.refreshToken !== this.refreshToken &&
+        new Date(stored.expiresAt) > new Date()
+      ) {
+        this.accessToken = stored.accessToken;
+        this.refreshToken = stored.refreshToken;
+        this.tokenExpiry = new Date(stored.expiresAt);
+        this.isAuthenticated = true;
+        logger.debug('Using tokens refreshed by another process');
+        return true;
+      }
+
+      return this.performRefresh();
+    });
   }
 
   /**
-   * Refresh the access token using refresh token
+   * Exchange the refresh token for new tokens
+   * @returns {Promise<boolean>} True on success
    */
-  async refreshAccessToken() {
+  async performRefresh() {
     if (!this.refreshToken) {
-      throw new Error('No refresh token available');
+      throw new ApsError('AUTH_EXPIRED', 'No refresh token available - please re-authenticate');
     }
 
     try {
       logger.debug('Refreshing access token...');
       
-      const response = await axios.post(
+      const response = await this.http.post(
         this.endpoints.auth.refresh,
         new URLSearchParams({
           grant_type: 'refresh_token',
           refresh_token: this.refreshToken,
-          client_id: this.config.autodesk.clientId,
-          client_secret: this.config.autodesk.clientSecret,
+          ...this.getClientParams(),
         }),
         {
           headers: {
@@ -132,9 +295,50 @@ export class AuthManager extends EventEmitter {
     } catch (error) {
       logger.error('Failed to refresh token:', error.response?.data || error.message);
       
-      // Clear tokens if refresh fails
-      this.clearTokens();
-      throw new Error('Token refresh failed - please re-authenticate');
+      const authError = toAuthError(error, 'Token refresh failed - please re-authenticate');
+
+      // Clear tokens only if APS rejected them; keep them through outages
+      if (authError.code === 'AUTH_EXPIRED') {
+        await this.clearTokens();
+      }
+      throw authError;
+    }
+  }
+
+  /**
+   * Request a two-legged token with the client credentials grant
+   */
+  async requestClientCredentialsToken() {
+    try {
+      logger.debug('Requesting client credentials token...');
+
+      const response = await this.http.post(
+        this.endpoints.auth.token,
+        new URLSearchParams({
+          grant_type: 'client_credentials',
+          client_id: this.config.autodesk.clientId,
+          client_secret: this.config.autodesk.clientSecret,
+          scope: this.config.autodesk.clientCredentialsScope,
+        }),
+        {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+          },
+        }
+      );
+
+      await this.saveTokens(response.data);
+
+      logger.info('Obtained client credentials token');
+      this.emit('token_refreshed');
+
+      return true;
+    } catch (error) {
+      logger.error(
+        'Failed to obtain client credentials token:',
+        error.response?.data || error.message
+      );
+      throw toAuthError(error, 'Client credentials authentication failed');
     }
   }
 
@@ -152,6 +356,9 @@ export class AuthManager extends EventEmitter {
     
     this.isAuthenticated = true;
 
+    // Two-legged tokens are cheap to re-request, so they are never persisted
+    if (this.isTwoLegged()) return;
+
     // Save to storage
     await this.tokenStorage.saveTokens({
       accessToken: this.accessToken,
@@ -168,6 +375,7 @@ export class AuthManager extends EventEmitter {
     this.refreshToken = null;
     this.tokenExpiry = null;
     this.isAuthenticated = false;
+    this.identity = null;
     
     await this.tokenStorage.clearTokens();
     
@@ -190,7 +398,10 @@ export class AuthManager extends EventEmitter {
    */
   async getAccessToken() {
     if (!this.isAuthenticated) {
-      throw new Error('Not authenticated - please run with --auth flag to authenticate');
+      throw new ApsError(
+        'AUTH_EXPIRED',
+        'Not authenticated - please run with --auth flag to authenticate'
+      );
     }
 
     if (this.isTokenExpired()) {
@@ -206,19 +417,187 @@ export class AuthManager extends EventEmitter {
    */
   async getAuthHeaders() {
     const token = await this.getAccessToken();
-    return {
+    const headers = {
       Authorization: `Bearer ${token}`,
       'Content-Type': 'application/json',
     };
+
+    // ACC endpoints that need a user context act on behalf of this user
+    if (this.isTwoLegged() && this.config.autodesk.userId) {
+      headers['x-user-id'] = this.config.autodesk.userId;
+    }
+
+    // APS serves data stored outside the US from the region named here
+    if (this.config.autodesk.region) {
+      headers['x-ads-region'] = this.config.autodesk.region;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Identity requests run as: the signed-in user, or the app (and the user it acts for)
+   * @returns {Promise<Object>} Identity, looked up once per login
+   */
+  async getIdentity() {
+    if (this.isTwoLegged()) {
+      return {
+        type: 'application',
+        clientId: this.config.autodesk.clientId,
+        impersonating: this.config.autodesk.userId || null,
+      };
+    }
+
+    if (!this.identity) {
+      const response = await this.makeAuthenticatedRequest({
+        method: 'get',
+        url: this.endpoints.auth.userInfo,
+      });
+      this.identity = {
+        type: 'user',
+        userId: response.data.sub,
+        name: response.data.name,
+        email: response.data.email,
+      };
+    }
+
+    return this.identity;
+  }
+
+  /**
+   * Describe the active authentication mode and identity
+   * @returns {Promise<Object>} Mode, identity, scope and token expiry
+   */
+  async getStatus() {
+    const status = {
+      mode: this.mode,
+      authenticated: this.isAuthenticated,
+      scope: this.isTwoLegged()
+        ? this.config.autodesk.clientCredentialsScope
+        : this.config.autodesk.scope,
+      region: this.config.autodesk.region || 'US',
+      tokenExpiresAt: this.tokenExpiry?.toISOString() || null,
+      identity: null,
+    };
+
+    if (!this.isAuthenticated) return status;
+
+    status.identity = await this.getIdentity();
+
+    // The userinfo call may have refreshed the token
+    status.tokenExpiresAt = this.tokenExpiry?.toISOString() || null;
+
+    return status;
   }
 
   /**
    * Make authenticated request to Autodesk API
+   *
+   * Requests are rate limited and transient failures are retried. A 429 is retried for
+   * any method, since APS did not process the request; 5xx errors and connection resets
+   * are only retried for POST and PATCH requests when `retrySafe` is set.
+   * GET requests for reference data are served from the response cache; any other
+   * request invalidates the cached entries of the container it touches and emits `write`
+   * ({ method, url, status, entityId }), or `write_failed` ({ method, url, status, error }).
+   * During a dry run (see createTool) writes are recorded and previewed instead of sent.
+   * Requests made for a tool call are aborted when the client cancels the call.
    * @param {Object} options - Axios request options
+   * @param {boolean} [options.retrySafe] - Allow retrying a non-idempotent request
    * @returns {Promise} API response
    */
   async makeAuthenticatedRequest(options) {
+    const { retrySafe, ...requestOptions } = options;
+    const isRead = (requestOptions.method || 'get').toLowerCase() === 'get';
+
+    if (isRead) {
+      const cached = this.cache.get(requestOptions);
+      if (cached) return cached;
+    }
+
+    const { dryRun, signal } = getRequestContext();
+    if (dryRun && !isRead) {
+      return this.previewWrite(requestOptions, dryRun);
+    }
+
+    let response;
+    try {
+      response = await this.scheduler.execute(
+        { method: requestOptions.method, url: requestOptions.url, retrySafe, signal },
+        () => this.sendAuthenticatedRequest({ signal, ...requestOptions })
+      );
+    } catch (error) {
+      if (!isRead) {
+        const apsError = toApsError(error);
+        this.emit('write_failed', {
+          method: requestOptions.method,
+          url: requestOptions.url,
+          status: apsError.status,
+          error: { code: apsError.code, message: apsError.message },
+        });
+      }
+      throw error;
+    }
+
+    if (isRead) {
+      this.cache.set(requestOptions, response);
+    } else {
+      this.cache.invalidateFor(requestOptions.url);
+      this.emit('write', {
+        method: requestOptions.method,
+        url: requestOptions.url,
+        status: response.status,
+        entityId: response.data?.id ?? response.data?.data?.id,
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Record a write instead of sending it, with the field-level changes it would make.
+   * Updates and deletes fetch the current entity from the same URL first.
+   * @param {Object} options - Axios request options
+   * @param {Object} dryRun - Dry-run state from the request context ({ requests })
+   * @returns {Promise<Object>} Simulated response, so the tool can finish its work
+   */
+  async previewWrite(options, dryRun) {
+    const method = (options.method || 'get').toUpperCase();
+    let before = null;
+
+    if (method !== 'POST') {
+      try {
+        const current = await this.makeAuthenticatedRequest({ url: options.url, method: 'get' });
+        before = current.data;
+      } catch (error) {
+        logger.debug(`Dry run could not fetch ${options.url}:`, error.message);
+      }
+    }
+
+    dryRun.requests.push({
+      request: { method, url: options.url, params: options.params, body: options.data },
+      changes:
+        method === 'DELETE'
+          ? [{ field: '*', before, after: null }]
+          : diffFields(before, options.data),
+    });
+
+    return {
+      status: method === 'POST' ? 201 : 200,
+      statusText: 'Dry run',
+      headers: {},
+      config: options,
+      data: method === 'DELETE' ? null : applyBody(before, options.data),
+    };
+  }
+
+  /**
+   * Send a single authenticated request, refreshing the token once on 401
+   * @param {Object} options - Axios request options
+   * @returns {Promise} API response
+   */
+  async sendAuthenticatedRequest(options) {
     const headers = await this.getAuthHeaders();
+    const tokenUsed = this.accessToken;
     
     try {
       if (this.config.debug.logApiCalls) {
@@ -229,7 +608,7 @@ export class AuthManager extends EventEmitter {
         });
       }
 
-      const response = await axios({
+      const response = await this.sendTimedRequest({
         ...options,
         headers: {
           ...headers,
@@ -248,12 +627,15 @@ export class AuthManager extends EventEmitter {
     } catch (error) {
       // Handle token expiry
       if (error.response?.status === 401) {
-        logger.debug('Token expired, attempting refresh...');
-        await this.refreshAccessToken();
+        // Another request may have refreshed the token while this one was in flight
+        if (this.accessToken === tokenUsed) {
+          logger.debug('Token expired, attempting refresh...');
+          await this.refreshAccessToken();
+        }
         
         // Retry request with new token
         const newHeaders = await this.getAuthHeaders();
-        return axios({
+        return this.sendTimedRequest({
           ...options,
           headers: {
             ...newHeaders,
@@ -265,4 +647,62 @@ export class AuthManager extends EventEmitter {
       throw error;
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Send one HTTP request and emit `request` ({ method, url, status, durationMs }) when it
+   * completes or fails. `status` is the HTTP status, or the error code if no response came.
+   * @param {Object} options - Axios request options
+   * @returns {Promise} API response
+   */
+  async sendTimedRequest(options) {
+    const started = process.hrtime.bigint();
+    const report = (status) =>
+      this.emit('request', {
+        method: (options.method || 'get').toUpperCase(),
+        url: options.url,
+        status,
+        durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+      });
+
+    try {
+      const response = await this.http(options);
+      report(response.status);
+      return response;
+    } catch (error) {
+      report(error.response?.status ?? error.code ?? 'ERROR');
+      throw error;
+    }
+  }
+}
+
+/**
+ * Lock file guarding the token store across processes
+ * @param {Object} config - Configuration object
+ * @returns {string} Lock file path
+ */
+function getTokenLockPath(config) {
+  if (config.token.storage === 'file') {
+    return `${path.resolve(config.token.filePath)}.lock`;
+  }
+  // Keychain entries are per client ID, so the lock is too
+  const id = createHash('sha256').update(config.autodesk.clientId).digest('hex').slice(0, 16);
+  return path.join(os.tmpdir(), `autodesk-build-mcp-${id}.lock`);
+}
+
+/**
+ * Classify a failed token request. Outages and throttling keep their own codes;
+ * anything APS rejected means the user or app has to authenticate again.
+ * @param {Error} error - Error from the token endpoint
+ * @param {string} message - What failed
+ * @returns {ApsError} Classified error
+ */
+function toAuthError(error, message) {
+  const apsError = toApsError(error);
+  if (apsError.retryable) return apsError;
+
+  return new ApsError('AUTH_EXPIRED', `${message}: ${apsError.message}`, {
+    status: apsError.status,
+    errors: apsError.errors,
+    cause: error,
+  });
+}
@@ -0,0 +1,334 @@
+import path from 'path';
+import { createZip, readZip } from '../utils/zip.js';
+import { childText, el, field, findChild, findChildren, parseXml, toXml } from '../utils/xml.js';
+
+/**
+ * BCF versions this module reads and writes
+ */
+export const BCF_VERSIONS = ['2.1', '3.0'];
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n';
+const XSI = 'http://www.w3.org/2001/XMLSchema-instance';
+
+/**
+ * @typedef {Object} BcfTopic
+ * @property {string} guid - Topic GUID
+ * @property {string} [type] - TopicType
+ * @property {string} [status] - TopicStatus
+ * @property {string} title - Title
+ * @property {string} [description] - Description
+ * @property {string} [priority] - Priority
+ * @property {string[]} labels - Labels
+ * @property {string} [creationDate] - ISO date/time
+ * @property {string} [creationAuthor] - Author (usually an email)
+ * @property {string} [modifiedDate] - ISO date/time
+ * @property {string} [modifiedAuthor] - Author
+ * @property {string} [dueDate] - ISO date/time
+ * @property {string} [assignedTo] - Assignee (usually an email)
+ * @property {Object[]} comments - `{ guid, date, author, text, viewpointGuid, modifiedDate, modifiedAuthor }`
+ * @property {Object[]} viewpoints - `{ guid, camera, snapshot }`; camera is
+ *   `{ type: 'perspective'|'orthographic', position, direction, up, fieldOfView,
+ *   viewToWorldScale, aspectRatio }` and snapshot `{ name, data }`
+ */
+
+const point = (name, { x, y, z }) => el(name, null, field('X', x), field('Y', y), field('Z', z));
+
+const readPoint = (element) =>
+  element && {
+    x: Number(childText(element, 'X')),
+    y: Number(childText(element, 'Y')),
+    z: Number(childText(element, 'Z')),
+  };
+
+const document = (root) => XML_DECLARATION + toXml(root) + '\n';
+
+/**
+ * Topic element for markup.bcf
+ * @param {BcfTopic} topic - Topic
+ * @param {string} version - BCF version
+ * @returns {Object} Element node
+ */
+function topicElement(topic, version) {
+  const v3 = version === '3.0';
+  const comments = topic.comments.map((comment) =>
+    el(
+      'Comment',
+      { Guid: comment.guid },
+      field('Date', comment.date),
+      field('Author', comment.author),
+      field('Comment', comment.text),
+      comment.viewpointGuid ? el('Viewpoint', { Guid: comment.viewpointGuid }) : null,
+      field('ModifiedDate', comment.modifiedDate),
+      field('ModifiedAuthor', comment.modifiedAuthor)
+    )
+  );
+  const viewpoints = topic.viewpoints.map((viewpoint, index) =>
+    el(
+      v3 ? 'ViewPoint' : 'Viewpoints',
+      { Guid: viewpoint.guid },
+      field('Viewpoint', `${viewpoint.guid}.bcfv`),
+      field('Snapshot', viewpoint.snapshot && snapshotFile(viewpoint)),
+      field('Index', index)
+    )
+  );
+
+  const element = el(
+    'Topic',
+    { Guid: topic.guid, TopicType: topic.type, TopicStatus: topic.status },
+    field('Title', topic.title),
+    field('Priority', topic.priority),
+    v3
+      ? topic.labels.length > 0
+        ? el(
+            'Labels',
+            null,
+            topic.labels.map((label) => field('Label', label))
+          )
+        : null
+      : topic.labels.map((label) => field('Labels', label)),
+    field('CreationDate', topic.creationDate),
+    field('CreationAuthor', topic.creationAuthor),
+    field('ModifiedDate', topic.modifiedDate),
+    field('ModifiedAuthor', topic.modifiedAuthor),
+    field('DueDate', topic.dueDate),
+    field('AssignedTo', topic.assignedTo),
+    field('Description', topic.description),
+    v3 && comments.length > 0 ? el('Comments', null, comments) : null,
+    v3 && viewpoints.length > 0 ? el('Viewpoints', null, viewpoints) : null
+  );
+
+  return v3 ? el('Markup', null, element) : el('Markup', null, element, comments, viewpoints);
+}
+
+/**
+ * Snapshot file name of a viewpoint inside the topic folder
+ * @param {Object} viewpoint - Viewpoint with a snapshot
+ * @returns {string} File name
+ */
+function snapshotFile(viewpoint) {
+  const extension = path.extname(viewpoint.snapshot.name || '').toLowerCase() || '.png';
+  return `${viewpoint.guid}${extension === '.jpeg' ? '.jpg' : extension}`;
+}
+
+/**
+ * visinfo (.bcfv) document for a viewpoint
+ * @param {Object} viewpoint - Viewpoint
+ * @param {string} version - BCF version
+ * @returns {Object} Element node
+ */
+function viewpointElement(viewpoint, version) {
+  const { camera } = viewpoint;
+  let cameraElement = null;
+
+  if (camera?.type === 'orthographic') {
+    cameraElement = el(
+      'OrthogonalCamera',
+      null,
+      point('CameraViewPoint', camera.position),
+      point('CameraDirection', camera.direction),
+      point('CameraUpVector', camera.up),
+      field('ViewToWorldScale', camera.viewToWorldScale),
+      version === '3.0' ? field('AspectRatio', camera.aspectRatio ?? 1) : null
+    );
+  } else if (camera) {
+    cameraElement = el(
+      'PerspectiveCamera',
+      null,
+      point('CameraViewPoint', camera.position),
+      point('CameraDirection', camera.direction),
+      point('CameraUpVector', camera.up),
+      field('FieldOfView', camera.fieldOfView),
+      version === '3.0' ? field('AspectRatio', camera.aspectRatio ?? 1) : null
+    );
+  }
+
+  return el('VisualizationInfo', { Guid: viewpoint.guid }, cameraElement);
+}
+
+/**
+ * Read the camera of a visinfo document
+ * @param {Object} visualization - VisualizationInfo element
+ * @returns {Object|null} Camera
+ */
+function readCamera(visualization) {
+  const perspective = findChild(visualization, 'PerspectiveCamera');
+  const orthogonal = findChild(visualization, 'OrthogonalCamera');
+  const camera = perspective || orthogonal;
+  if (!camera) return null;
+
+  const aspectRatio = childText(camera, 'AspectRatio');
+  return {
+    type: perspective ? 'perspective' : 'orthographic',
+    position: readPoint(findChild(camera, 'CameraViewPoint')),
+    direction: readPoint(findChild(camera, 'CameraDirection')),
+    up: readPoint(findChild(camera, 'CameraUpVector')),
+    ...(perspective
+      ? { fieldOfView: Number(childText(camera, 'FieldOfView')) }
+      : { viewToWorldScale: Number(childText(camera, 'ViewToWorldScale')) }),
+    ...(aspectRatio && { aspectRatio: Number(aspectRatio) }),
+  };
+}
+
+/**
+ * Write topics to a .bcfzip archive
+ * @param {BcfTopic[]} topics - Topics
+ * @param {Object} [options] - Export options
+ * @param {string} [options.version] - BCF version (`2.1` or `3.0`)
+ * @param {string} [options.projectName] - Project name written to project.bcfp
+ * @param {string} [options.projectId] - Project ID written to project.bcfp
+ * @returns {Buffer} Archive
+ */
+export function writeBcfZip(topics, options = {}) {
+  const version = options.version || '2.1';
+  const files = [
+    {
+      name: 'bcf.version',
+      data: document(
+        el(
+          'Version',
+          { 'xmlns:xsi': XSI, VersionId: version },
+          version === '2.1' ? field('DetailedVersion', version) : null
+        )
+      ),
+    },
+  ];
+
+  if (options.projectId) {
+    files.push({
+      name: 'project.bcfp',
+      data: document(
+        el(
+          'ProjectInfo',
+          null,
+          el('Project', { ProjectId: options.projectId }, field('Name', options.projectName))
+        )
+      ),
+    });
+  }
+
+  if (version === '3.0') {
+    const unique = (values) => [...new Set(values.filter(Boolean))];
+    const list = (name, item, values) =>
+      el(
+        name,
+        null,
+        values.map((value) => el(item, null, value))
+      );
+    files.push({
+      name: 'extensions.xml',
+      data: document(
+        el(
+          'Extensions',
+          null,
+          list('TopicTypes', 'TopicType', unique(topics.map((topic) => topic.type))),
+          list('TopicStatuses', 'TopicStatus', unique(topics.map((topic) => topic.status))),
+          list(
+            'Users',
+            'User',
+            unique(topics.flatMap((topic) => [topic.creationAuthor, topic.assignedTo]))
+          )
+        )
+      ),
+    });
+  }
+
+  for (const topic of topics) {
+    files.push({ name: `${topic.guid}/markup.bcf`, data: document(topicElement(topic, version)) });
+
+    for (const viewpoint of topic.viewpoints) {
+      files.push({
+        name: `${topic.guid}/${viewpoint.guid}.bcfv`,
+        data: document(viewpointElement(viewpoint, version)),
+      });
+      if (viewpoint.snapshot) {
+        files.push({
+          name: `${topic.guid}/${snapshotFile(viewpoint)}`,
+          data: viewpoint.snapshot.data,
+        });
+      }
+    }
+  }
+
+  return createZip(files);
+}
+
+/**
+ * Read a .bcfzip archive (BCF 2.0, 2.1 or 3.0)
+ * @param {Buffer} buffer - Archive
+ * @returns {Object} { version, project, topics }
+ */
+export function readBcfZip(buffer) {
+  const files = readZip(buffer);
+  const text = (name) => files.get(name)?.toString('utf8');
+
+  const versionFile = text('bcf.version');
+  const version = versionFile ? parseXml(versionFile).attributes.VersionId : '2.1';
+
+  let project = null;
+  if (files.has('project.bcfp')) {
+    const info = findChild(parseXml(text('project.bcfp')), 'Project');
+    project = info && { id: info.attributes.ProjectId, name: childText(info, 'Name') };
+  }
+
+  const topics = [];
+  for (const [name, data] of files) {
+    if (path.posix.basename(name) !== 'markup.bcf') continue;
+
+    const folder = path.posix.dirname(name);
+    const markup = parseXml(data.toString('utf8'));
+    const topic = findChild(markup, 'Topic');
+    if (!topic) {
+      throw new Error(`${name} has no Topic`);
+    }
+
+    // 3.0 nests comments and viewpoints in the topic; 2.x keeps them next to it
+    const commentElements = findChild(topic, 'Comments')
+      ? findChildren(findChild(topic, 'Comments'), 'Comment')
+      : findChildren(markup, 'Comment');
+    const viewpointElements = findChild(topic, 'Viewpoints')
+      ? findChildren(findChild(topic, 'Viewpoints'), 'ViewPoint')
+      : findChildren(markup, 'Viewpoints');
+    const labels = findChild(findChild(topic, 'Labels'), 'Label')
+      ? findChildren(findChild(topic, 'Labels'), 'Label')
+      : findChildren(topic, 'Labels');
+
+    topics.push({
+      guid: topic.attributes.Guid || folder,
+      type: topic.attributes.TopicType,
+      status: topic.attributes.TopicStatus,
+      title: childText(topic, 'Title') || '(untitled)',
+      description: childText(topic, 'Description'),
+      priority: childText(topic, 'Priority'),
+      labels: labels.map((label) => label.text.trim()).filter(Boolean),
+      creationDate: childText(topic, 'CreationDate'),
+      creationAuthor: childText(topic, 'CreationAuthor'),
+      modifiedDate: childText(topic, 'ModifiedDate'),
+      modifiedAuthor: childText(topic, 'ModifiedAuthor'),
+      dueDate: childText(topic, 'DueDate'),
+      assignedTo: childText(topic, 'AssignedTo'),
+      comments: commentElements.map((comment) => ({
+        guid: comment.attributes.Guid,
+        date: childText(comment, 'Date'),
+        author: childText(comment, 'Author'),
+        text: childText(comment, 'Comment') || '',
+        viewpointGuid: findChild(comment, 'Viewpoint')?.attributes.Guid,
+        modifiedDate: childText(comment, 'ModifiedDate'),
+        modifiedAuthor: childText(comment, 'ModifiedAuthor'),
+      })),
+      viewpoints: viewpointElements.map((viewpoint) => {
+        const visinfo = text(`${folder}/${childText(viewpoint, 'Viewpoint') || 'viewpoint.bcfv'}`);
+        const snapshot = childText(viewpoint, 'Snapshot');
+        return {
+          guid: viewpoint.attributes.Guid,
+          camera: visinfo ? readCamera(parseXml(visinfo)) : null,
+          snapshot:
+            snapshot && files.has(`${folder}/${snapshot}`)
+              ? { name: snapshot, data: files.get(`${folder}/${snapshot}`) }
+              : null,
+        };
+      }),
+    });
+  }
+
+  return { version, project, topics };
+}
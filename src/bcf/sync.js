@@ -0,0 +1,510 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { createLogger } from '../utils/logger.js';
+import { ApsError, toApsError } from '../utils/apsError.js';
+import { fillEndpoint, toContainerId } from '../utils/ids.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { IssueLookups, fetchAllResults } from '../bulk/issueImport.js';
+import { readBcfZip, writeBcfZip } from './format.js';
+
+const logger = createLogger('bcf');
+
+/**
+ * BCF topic status (lower case) to ACC issue status
+ */
+export const BCF_TO_ACC_STATUS = {
+  new: 'open',
+  open: 'open',
+  active: 'open',
+  reopened: 'open',
+  assigned: 'open',
+  'in progress': 'in_progress',
+  pending: 'pending',
+  completed: 'completed',
+  'in review': 'in_review',
+  resolved: 'in_review',
+  'not approved': 'not_approved',
+  rejected: 'not_approved',
+  'in dispute': 'in_dispute',
+  disputed: 'in_dispute',
+  closed: 'closed',
+  done: 'closed',
+  void: 'void',
+};
+
+/**
+ * ACC issue status to BCF topic status. Chosen so that they map back to the same
+ * ACC status on import.
+ */
+export const ACC_TO_BCF_STATUS = {
+  draft: 'Open',
+  open: 'Open',
+  pending: 'Pending',
+  in_progress: 'In Progress',
+  completed: 'Completed',
+  in_review: 'Resolved',
+  not_approved: 'Not Approved',
+  in_dispute: 'In Dispute',
+  closed: 'Closed',
+  void: 'Void',
+};
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+/**
+ * Longest wait for a snapshot download from a signed URL
+ */
+const DOWNLOAD_TIMEOUT_MS = 60000;
+
+/**
+ * GUID derived from stable parts, so repeated exports keep viewpoint GUIDs
+ * @param {...string} parts - Parts to hash
+ * @returns {string} GUID
+ */
+function stableGuid(...parts) {
+  const hex = createHash('sha1').update(parts.join('/')).digest('hex');
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    `5${hex.slice(13, 16)}`,
+    ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16) + hex.slice(17, 20),
+    hex.slice(20, 32),
+  ].join('-');
+}
+
+/**
+ * BCF camera from the viewer state of an ACC pushpin
+ * @param {Object} viewerState - Viewer state saved with the pushpin
+ * @returns {Object|null} Camera
+ */
+function cameraFromViewerState(viewerState) {
+  const viewport = viewerState?.viewport;
+  if (!viewport?.eye || !viewport?.target) return null;
+
+  const [ex, ey, ez] = viewport.eye.map(Number);
+  const [tx, ty, tz] = viewport.target.map(Number);
+  const length = Math.hypot(tx - ex, ty - ey, tz - ez) || 1;
+  const [ux, uy, uz] = (viewport.up || [0, 0, 1]).map(Number);
+
+  return {
+    type: viewport.isOrthographic ? 'orthographic' : 'perspective',
+    position: { x: ex, y: ey, z: ez },
+    direction: { x: (tx - ex) / length, y: (ty - ey) / length, z: (tz - ez) / length },
+    up: { x: ux, y: uy, z: uz },
+    fieldOfView: Number(viewport.fieldOfView ?? 60),
+    viewToWorldScale: Number(viewport.orthographicHeight ?? 1),
+    aspectRatio: viewport.aspectRatio && Number(viewport.aspectRatio),
+  };
+}
+
+/**
+ * Maps BCF topic and comment GUIDs to the ACC issues and comments they were imported
+ * as, so re-importing a file updates those records. Stored as one JSON file keyed by
+ * container ID.
+ */
+export class BcfGuidMap {
+  /**
+   * @param {string} filePath - JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null;
+  }
+
+  /**
+   * Mappings of one project, loading the file on first use
+   * @param {string} projectId - Project ID in either form
+   * @returns {Promise<Object>} { topics, comments }
+   */
+  async project(projectId) {
+    if (!this.data) {
+      try {
+        this.data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn(`Cannot read BCF GUID map ${this.filePath}: ${error.message}`);
+        }
+        this.data = {};
+      }
+    }
+
+    const containerId = toContainerId(projectId);
+    this.data[containerId] ??= { topics: {}, comments: {} };
+    return this.data[containerId];
+  }
+
+  /**
+   * Write the map (temporary file, then rename)
+   */
+  async save() {
+    await fs.promises.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tmp, this.filePath);
+  }
+}
+
+/**
+ * Moves issues between ACC and BCF archives for one project
+ */
+export class BcfSync {
+  /**
+   * @param {Object} options - Sync options
+   * @param {AuthManager} options.authManager - Authentication manager
+   * @param {Object} options.endpoints - Output of getApiEndpoints()
+   * @param {string} options.projectId - Project ID in either form
+   * @param {BcfGuidMap} options.guidMap - Imported GUIDs
+   */
+  constructor({ authManager, endpoints, projectId, guidMap }) {
+    this.authManager = authManager;
+    this.endpoints = endpoints;
+    this.projectId = projectId;
+    this.containerId = toContainerId(projectId);
+    this.guidMap = guidMap;
+    this.lookups = new IssueLookups(authManager, endpoints, projectId);
+    this.issuesUrl = fillEndpoint(endpoints.acc.issues, { containerId: this.containerId });
+  }
+
+  /**
+   * Send a request through the auth manager
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response body
+   */
+  async request(options) {
+    return (await this.authManager.makeAuthenticatedRequest(options)).data;
+  }
+
+  /**
+   * Comments endpoint of an issue
+   * @param {string} issueId - Issue ID
+   * @returns {string} URL
+   */
+  commentsUrl(issueId) {
+    return fillEndpoint(this.endpoints.acc.issueComments, {
+      containerId: this.containerId,
+      issueId,
+    });
+  }
+
+  /**
+   * Export issues to a .bcfzip
+   * @param {Object} options - Export options
+   * @param {string[]} [options.issueIds] - Issues to export (default: all matching `status`)
+   * @param {string} [options.status] - Only issues with this ACC status
+   * @param {string} [options.version] - BCF version
+   * @param {boolean} [options.includeSnapshots] - Download image attachments as snapshots
+   * @returns {Promise<Object>} { buffer, topics, warnings }
+   */
+  async export({ issueIds, status, version = '2.1', includeSnapshots = true }) {
+    const issues = issueIds
+      ? await Promise.all(
+          issueIds.map((id) => this.request({ url: `${this.issuesUrl}/${encodeURIComponent(id)}` }))
+        )
+      : await fetchAllResults(
+          this.authManager,
+          this.issuesUrl,
+          status && { 'filter[status]': status }
+        );
+
+    const warnings = [];
+    const topics = [];
+    for (const issue of issues) {
+      topics.push(await this.issueToTopic(issue, { includeSnapshots, warnings }));
+    }
+
+    const buffer = writeBcfZip(topics, { version, projectId: this.containerId });
+    logger.info(`Exported ${topics.length} issues to BCF ${version} (${buffer.length} bytes)`);
+    return { buffer, topics: topics.length, warnings };
+  }
+
+  /**
+   * BCF topic for an ACC issue, with comments, pushpin viewpoints and image snapshots
+   * @param {Object} issue - ACC issue
+   * @param {Object} options - { includeSnapshots, warnings }
+   * @returns {Promise<Object>} Topic
+   */
+  async issueToTopic(issue, { includeSnapshots, warnings }) {
+    const comments = await fetchAllResults(this.authManager, this.commentsUrl(issue.id));
+
+    const cameras = (issue.linkedDocuments || [])
+      .map((document) => cameraFromViewerState(document.details?.viewerState))
+      .filter(Boolean);
+    const snapshots = includeSnapshots ? await this.snapshots(issue, warnings) : [];
+
+    const viewpoints = [];
+    for (let i = 0; i < Math.max(cameras.length, snapshots.length); i++) {
+      viewpoints.push({
+        guid: stableGuid(issue.id, 'viewpoint', String(i)),
+        camera: cameras[i] || null,
+        snapshot: snapshots[i] || null,
+      });
+    }
+
+    return {
+      guid: issue.id,
+      type: await this.lookups.subtypeName(issue.issueSubtypeId),
+      status: ACC_TO_BCF_STATUS[issue.status] || issue.status,
+      title: issue.title,
+      description: issue.description,
+      labels: [],
+      creationDate: issue.createdAt,
+      creationAuthor: await this.lookups.userEmail(issue.createdBy),
+      modifiedDate: issue.updatedAt,
+      modifiedAuthor: await this.lookups.userEmail(issue.updatedBy),
+      dueDate: issue.dueDate && new Date(`${issue.dueDate.slice(0, 10)}T00:00:00Z`).toISOString(),
+      assignedTo:
+        issue.assignedToType === 'user' || !issue.assignedToType
+          ? await this.lookups.userEmail(issue.assignedTo)
+          : undefined,
+      comments: await Promise.all(
+        comments.map(async (comment) => ({
+          guid: comment.id,
+          date: comment.createdAt,
+          author: await this.lookups.userEmail(comment.createdBy),
+          text: comment.body,
+        }))
+      ),
+      viewpoints,
+    };
+  }
+
+  /**
+   * Download the image attachments of an issue
+   * @param {Object} issue - ACC issue
+   * @param {string[]} warnings - Collects problems
+   * @returns {Promise<Object[]>} `{ name, data }` snapshots
+   */
+  async snapshots(issue, warnings) {
+    const url = fillEndpoint(this.endpoints.acc.issueAttachments, {
+      projectId: this.containerId,
+      issueId: issue.id,
+    });
+
+    let attachments;
+    try {
+      attachments = await fetchAllResults(this.authManager, url);
+    } catch (error) {
+      warnings.push(`Issue ${issue.id}: cannot list attachments (${toApsError(error).message})`);
+      return [];
+    }
+
+    const snapshots = [];
+    for (const attachment of attachments) {
+      const name = attachment.fileName || attachment.displayName || '';
+      if (!IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase())) continue;
+
+      try {
+        snapshots.push({ name, data: await this.download(attachment.storageUrn) });
+      } catch (error) {
+        warnings.push(`Issue ${issue.id}: cannot download ${name} (${toApsError(error).message})`);
+      }
+    }
+    return snapshots;
+  }
+
+  /**
+   * Download an OSS object through a signed S3 URL
+   * @param {string} storageUrn - `urn:adsk.objects:os.object:<bucket>/<object>`
+   * @returns {Promise<Buffer>} Content
+   */
+  async download(storageUrn) {
+    const match = /^urn:adsk\.objects:os\.object:([^/]+)\/(.+)$/.exec(storageUrn || '');
+    if (!match) {
+      throw new ApsError('VALIDATION', `Unsupported storage URN ${storageUrn}`);
+    }
+
+    const signed = await this.request({
+      url: fillEndpoint(this.endpoints.oss.signedDownload, {
+        bucketKey: match[1],
+        objectKey: match[2],
+      }),
+    });
+    // Signed S3 URLs must be fetched without the APS bearer token, so this skips
+    // makeAuthenticatedRequest but still uses the auth manager's HTTP client
+    const response = await this.authManager.http.get(signed.url, {
+      responseType: 'arraybuffer',
+      signal: getRequestContext().signal,
+      timeout: DOWNLOAD_TIMEOUT_MS,
+    });
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Import a .bcfzip: topics become ACC issues (updated when they were imported or
+   * exported before), comments are added when new
+   * @param {Buffer} buffer - Archive
+   * @param {Object} [options] - Import options
+   * @param {Object} [options.statusMapping] - BCF status to ACC status, over the defaults
+   * @param {Object} [options.typeMapping] - BCF topic type to ACC issue type name
+   * @param {string} [options.defaultType] - ACC issue type for unmapped topic types
+   * @param {boolean} [options.importComments] - Add new comments
+   * @returns {Promise<Object>} Per-topic report
+   */
+  async import(buffer, options = {}) {
+    const { version, topics } = readBcfZip(buffer);
+    const { dryRun } = getRequestContext();
+    const statusMapping = { ...BCF_TO_ACC_STATUS };
+    for (const [bcfStatus, accStatus] of Object.entries(options.statusMapping || {})) {
+      statusMapping[bcfStatus.trim().toLowerCase()] = accStatus;
+    }
+    const typeMapping = Object.fromEntries(
+      Object.entries(options.typeMapping || {}).map(([key, value]) => [
+        key.trim().toLowerCase(),
+        value,
+      ])
+    );
+    const guids = await this.guidMap.project(this.projectId);
+
+    const results = [];
+    for (const topic of topics) {
+      const result = { guid: topic.guid, title: topic.title, warnings: [] };
+      try {
+        await this.importTopic(topic, { ...options, statusMapping, typeMapping, guids, result });
+        if (!dryRun) await this.guidMap.save();
+      } catch (error) {
+        const apsError = toApsError(error);
+        result.action = 'failed';
+        result.error = { code: apsError.code, message: apsError.message };
+      }
+      if (result.warnings.length === 0) delete result.warnings;
+      results.push(result);
+    }
+
+    const count = (action) => results.filter((result) => result.action === action).length;
+    const report = {
+      version,
+      total: results.length,
+      created: count('created'),
+      updated: count('updated'),
+      failed: count('failed'),
+      topics: results,
+    };
+    logger.info(
+      `Imported BCF ${version}: ${report.created} created, ${report.updated} updated, ` +
+        `${report.failed} failed${dryRun ? ' (dry run)' : ''}`
+    );
+    return report;
+  }
+
+  /**
+   * Create or update the issue for one topic and add its new comments
+   * @param {Object} topic - BCF topic
+   * @param {Object} context - Mappings, GUID map, options and the result being built
+   */
+  async importTopic(topic, context) {
+    const { statusMapping, typeMapping, guids, result } = context;
+    const issueId =
+      guids.topics[topic.guid] || ((await this.issueExists(topic.guid)) ? topic.guid : null);
+
+    const body = { title: topic.title };
+    if (topic.description) body.description = topic.description;
+    if (topic.dueDate) body.dueDate = topic.dueDate.slice(0, 10);
+
+    if (topic.status) {
+      const status = statusMapping[topic.status.trim().toLowerCase()];
+      if (status) {
+        body.status = status;
+      } else {
+        result.warnings.push(`Unmapped topic status "${topic.status}"`);
+      }
+    }
+
+    const typeName = (topic.type && typeMapping[topic.type.trim().toLowerCase()]) || topic.type;
+    for (const candidate of [typeName, context.defaultType].filter(Boolean)) {
+      try {
+        body.issueSubtypeId = (await this.lookups.resolveType(candidate)).issueSubtypeId;
+        break;
+      } catch (error) {
+        result.warnings.push(error.message);
+      }
+    }
+    if (!issueId && !body.issueSubtypeId) {
+      throw new ApsError(
+        'VALIDATION',
+        `No ACC issue type for topic type "${topic.type || ''}"; set typeMapping or defaultType`
+      );
+    }
+
+    if (topic.assignedTo) {
+      try {
+        body.assignedTo = await this.lookups.resolveAssignee(topic.assignedTo);
+        body.assignedToType = 'user';
+      } catch (error) {
+        result.warnings.push(error.message);
+      }
+    }
+
+    if (issueId) {
+      await this.request({
+        method: 'patch',
+        url: `${this.issuesUrl}/${encodeURIComponent(issueId)}`,
+        data: body,
+      });
+      result.action = 'updated';
+      result.issueId = issueId;
+    } else {
+      body.status ??= 'open';
+      const created = await this.request({ method: 'post', url: this.issuesUrl, data: body });
+      result.action = 'created';
+      result.issueId = created.id;
+      // A dry run only previews the create, so there is no issue to map or comment on
+      if (created.id) guids.topics[topic.guid] = created.id;
+    }
+
+    if (context.importComments !== false && result.issueId) {
+      result.commentsAdded = await this.importComments(topic, result.issueId, guids);
+    }
+    if (topic.viewpoints.length > 0) {
+      result.warnings.push(
+        `${topic.viewpoints.length} viewpoint(s) not imported: ACC pushpins need a linked model`
+      );
+    }
+  }
+
+  /**
+   * Add the comments of a topic that the issue does not have yet
+   * @param {Object} topic - BCF topic
+   * @param {string} issueId - ACC issue ID
+   * @param {Object} guids - GUID map of the project
+   * @returns {Promise<number>} Comments added
+   */
+  async importComments(topic, issueId, guids) {
+    const existing = new Set(
+      (await fetchAllResults(this.authManager, this.commentsUrl(issueId))).map((c) => c.id)
+    );
+
+    let added = 0;
+    for (const comment of topic.comments) {
+      if (!comment.text) continue;
+      if (existing.has(comment.guid) || existing.has(guids.comments[comment.guid])) continue;
+
+      const author = comment.author ? `${comment.author}: ` : '';
+      const created = await this.request({
+        method: 'post',
+        url: this.commentsUrl(issueId),
+        data: { body: `${author}${comment.text}` },
+      });
+      // Comments previewed by a dry run have no ID to map
+      if (comment.guid && created.id) guids.comments[comment.guid] = created.id;
+      added++;
+    }
+    return added;
+  }
+
+  /**
+   * Whether an ACC issue with this ID exists (topics exported from ACC use issue IDs)
+   * @param {string} issueId - Candidate issue ID
+   * @returns {Promise<boolean>} True if found
+   */
+  async issueExists(issueId) {
+    try {
+      await this.request({ url: `${this.issuesUrl}/${encodeURIComponent(issueId)}` });
+      return true;
+    } catch (error) {
+      // Topic GUIDs from other tools are not ACC issue IDs; APS may reject them as invalid
+      if (['NOT_FOUND', 'VALIDATION'].includes(toApsError(error).code)) return false;
+      throw error;
+    }
+  }
+}
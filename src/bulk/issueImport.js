@@ -0,0 +1,496 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { createLogger } from '../utils/logger.js';
+import { ApsError, toApsError } from '../utils/apsError.js';
+import { fillEndpoint, toContainerId } from '../utils/ids.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { paginate } from '../utils/paginate.js';
+
+const logger = createLogger('bulk:issues');
+
+/**
+ * Issue fields an import can set, with the column headers recognised for each
+ * (compared case-insensitively, ignoring spaces, dashes and underscores)
+ */
+export const IMPORT_FIELDS = {
+  id: ['id', 'issueid'],
+  title: ['title', 'summary', 'name', 'issue'],
+  description: ['description', 'details', 'notes'],
+  status: ['status'],
+  type: ['type', 'issuetype', 'subtype', 'category'],
+  assignee: ['assignee', 'assignedto', 'responsible'],
+  location: ['location', 'locationpath', 'area'],
+  dueDate: ['duedate', 'due', 'dueby'],
+};
+
+/**
+ * Issue statuses of the ACC Issues API
+ */
+export const ISSUE_STATUSES = [
+  'draft',
+  'open',
+  'pending',
+  'in_progress',
+  'completed',
+  'in_review',
+  'not_approved',
+  'in_dispute',
+  'closed',
+  'void',
+];
+const DONE = ['created', 'updated'];
+
+const normalize = (value) =>
+  String(value ?? '')
+    .trim()
+    .toLowerCase();
+const headerKey = (header) => normalize(header).replace(/[\s_-]+/g, '');
+
+/**
+ * Match CSV headers to issue fields
+ * @param {string[]} headers - Column headers
+ * @param {Object} [mapping] - Explicit field to header mapping, overriding detection
+ * @returns {Object} Field to header
+ */
+export function mapColumns(headers, mapping = {}) {
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+    const header = headers.find((candidate) => aliases.includes(headerKey(candidate)));
+    if (header) columns[field] = header;
+  }
+
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS[field]) {
+      throw new ApsError('VALIDATION', `Unknown import field "${field}"`);
+    }
+    if (!headers.includes(header)) {
+      throw new ApsError('VALIDATION', `Column "${header}" mapped to ${field} is not in the data`);
+    }
+    columns[field] = header;
+  }
+
+  return columns;
+}
+
+/**
+ * Parse a due date to `YYYY-MM-DD`. Accepts ISO dates, `M/D/YYYY`, `D.M.YYYY` and
+ * anything Date.parse understands.
+ * @param {string} value - Date as written in the sheet
+ * @returns {string} ISO date
+ */
+export function parseDueDate(value) {
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  let parts = match && [match[1], match[2], match[3]];
+
+  if (!parts && (match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    parts = [match[3], match[1], match[2]];
+  }
+  if (!parts && (match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/))) {
+    parts = [match[3], match[2], match[1]];
+  }
+  if (!parts) {
+    const time = Date.parse(text);
+    if (Number.isNaN(time)) {
+      throw new ApsError('VALIDATION', `Cannot read due date "${text}"`);
+    }
+    const date = new Date(time);
+    parts = [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+  }
+
+  const [year, month, day] = parts.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    throw new ApsError('VALIDATION', `Cannot read due date "${text}"`);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Fetch every page of an ACC container list (see paginate())
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {string} url - First page URL
+ * @param {Object} [params] - Query parameters for the first page
+ * @returns {Promise<Object[]>} All results
+ */
+export async function fetchAllResults(authManager, url, params) {
+  return (await paginate(authManager, url, { params })).results;
+}
+
+/**
+ * Resolves issue types, assignees and locations by name for one project, and back to
+ * names for exports. Each lookup list is fetched once per instance.
+ */
+export class IssueLookups {
+  /**
+   * @param {AuthManager} authManager - Authentication manager
+   * @param {Object} endpoints - Output of getApiEndpoints()
+   * @param {string} projectId - Project ID in either form
+   */
+  constructor(authManager, endpoints, projectId) {
+    this.authManager = authManager;
+    this.endpoints = endpoints;
+    this.containerId = toContainerId(projectId);
+    this.lists = {};
+  }
+
+  /**
+   * Fetch a container list once
+   * @param {string} key - Cache key
+   * @param {string} url - List URL
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<Object[]>} All results
+   */
+  list(key, url, params) {
+    this.lists[key] ??= fetchAllResults(this.authManager, url, params);
+    return this.lists[key];
+  }
+
+  /**
+   * Active issue types with their subtypes
+   * @returns {Promise<Object[]>} Issue types
+   */
+  async issueTypes() {
+    const url = fillEndpoint(this.endpoints.acc.issueTypes, { containerId: this.containerId });
+    return (await this.list('types', url, { include: 'subtypes' })).filter(
+      (type) => type.isActive !== false
+    );
+  }
+
+  /**
+   * Project members
+   * @returns {Promise<Object[]>} Users
+   */
+  users() {
+    const url = fillEndpoint(this.endpoints.acc.projectUsers, { projectId: this.containerId });
+    return this.list('users', url);
+  }
+
+  /**
+   * Issue subtype by name: `Subtype`, `Type > Subtype`, or a type with a single subtype
+   * @param {string} name - Name from the sheet
+   * @returns {Promise<Object>} { issueTypeId, issueSubtypeId }
+   */
+  async resolveType(name) {
+    const types = await this.issueTypes();
+    const [typeName, subtypeName] = name.includes('>')
+      ? name.split('>').map(normalize)
+      : [null, normalize(name)];
+
+    const candidates = [];
+    for (const type of types) {
+      if (typeName && normalize(type.title) !== typeName) continue;
+      for (const subtype of type.subtypes || []) {
+        if (subtype.isActive !== false && normalize(subtype.title) === subtypeName) {
+          candidates.push({ issueTypeId: type.id, issueSubtypeId: subtype.id });
+        }
+      }
+    }
+    if (!typeName && candidates.length === 0) {
+      const type = types.find((candidate) => normalize(candidate.title) === subtypeName);
+      if (type?.subtypes?.length === 1) {
+        candidates.push({ issueTypeId: type.id, issueSubtypeId: type.subtypes[0].id });
+      }
+    }
+
+    if (candidates.length === 1) return candidates[0];
+    const known = types.flatMap((type) =>
+      (type.subtypes || []).map((subtype) => `${type.title} > ${subtype.title}`)
+    );
+    throw new ApsError(
+      'VALIDATION',
+      candidates.length > 1
+        ? `Issue type "${name}" is ambiguous; use "Type > Subtype"`
+        : `Unknown issue type "${name}". Known types: ${known.join(', ')}`
+    );
+  }
+
+  /**
+   * Project member by email, name or Autodesk ID
+   * @param {string} name - Assignee from the sheet
+   * @returns {Promise<string>} Autodesk user ID
+   */
+  async resolveAssignee(name) {
+    const users = await this.users();
+    const wanted = normalize(name);
+
+    const matches = users.filter((user) =>
+      [user.email, user.name, user.autodeskId].some((value) => normalize(value) === wanted)
+    );
+    if (matches.length === 1) return matches[0].autodeskId;
+
+    throw new ApsError(
+      'VALIDATION',
+      matches.length > 1
+        ? `Assignee "${name}" matches several project members; use their email`
+        : `"${name}" is not a member of the project`
+    );
+  }
+
+  /**
+   * Name of an issue subtype
+   * @param {string} issueSubtypeId - Subtype ID
+   * @returns {Promise<string|undefined>} Subtype title
+   */
+  async subtypeName(issueSubtypeId) {
+    for (const type of await this.issueTypes()) {
+      const subtype = (type.subtypes || []).find((candidate) => candidate.id === issueSubtypeId);
+      if (subtype) return subtype.title;
+    }
+    return undefined;
+  }
+
+  /**
+   * Email of a project member, falling back to the ID for unknown users
+   * @param {string} autodeskId - Autodesk user ID
+   * @returns {Promise<string|undefined>} Email or ID
+   */
+  async userEmail(autodeskId) {
+    if (!autodeskId) return undefined;
+    const user = (await this.users()).find((candidate) => candidate.autodeskId === autodeskId);
+    return user?.email || autodeskId;
+  }
+
+  /**
+   * Location node by path (`Level 2 > East` or `Level 2/East`, with or without the root)
+   * @param {string} locationPath - Path from the sheet
+   * @returns {Promise<string>} Location node ID
+   */
+  async resolveLocation(locationPath) {
+    const url = fillEndpoint(this.endpoints.acc.locations, {
+      containerId: this.containerId,
+      treeId: 'default',
+    });
+    const nodes = await this.list('locations', url);
+    const byId = new Map(nodes.map((node) => [node.id, node]));
+    const wanted = locationPath.split(/[>/]/).map(normalize).join(' > ');
+
+    const node = nodes.find((candidate) => {
+      const names = [];
+      for (let current = candidate; current; current = byId.get(current.parentId)) {
+        names.unshift(normalize(current.name));
+      }
+      return names.join(' > ') === wanted || names.slice(1).join(' > ') === wanted;
+    });
+    if (!node) {
+      throw new ApsError('VALIDATION', `Unknown location "${locationPath}"`);
+    }
+    return node.id;
+  }
+}
+
+/**
+ * Build the create or update request body for one row
+ * @param {Object} row - Row keyed by column header
+ * @param {Object} columns - Field to header, from mapColumns()
+ * @param {IssueLookups} lookups - Name resolution for the project
+ * @returns {Promise<Object>} { id, body } where id is set for updates
+ */
+export async function buildIssueRequest(row, columns, lookups) {
+  const value = (field) => {
+    const cell = columns[field] ? row[columns[field]] : undefined;
+    return cell === undefined || cell === null || String(cell).trim() === ''
+      ? undefined
+      : String(cell).trim();
+  };
+
+  const id = value('id');
+  const body = {};
+
+  if (value('title')) body.title = value('title');
+  if (value('description')) body.description = value('description');
+  if (value('status')) {
+    const status = normalize(value('status')).replace(/\s+/g, '_');
+    if (!ISSUE_STATUSES.includes(status)) {
+      throw new ApsError(
+        'VALIDATION',
+        `Unknown status "${value('status')}". Use one of: ${ISSUE_STATUSES.join(', ')}`
+      );
+    }
+    body.status = status;
+  }
+  if (value('type')) {
+    body.issueSubtypeId = (await lookups.resolveType(value('type'))).issueSubtypeId;
+  }
+  if (value('assignee')) {
+    body.assignedTo = await lookups.resolveAssignee(value('assignee'));
+    body.assignedToType = 'user';
+  }
+  if (value('location')) body.locationId = await lookups.resolveLocation(value('location'));
+  if (value('dueDate')) body.dueDate = parseDueDate(value('dueDate'));
+
+  if (id) {
+    if (Object.keys(body).length === 0) {
+      throw new ApsError('VALIDATION', 'Row has an issue ID but no fields to update');
+    }
+    return { id, body };
+  }
+
+  if (!body.title) throw new ApsError('VALIDATION', 'A new issue needs a title');
+  if (!body.issueSubtypeId) throw new ApsError('VALIDATION', 'A new issue needs a type');
+  body.status ??= 'open';
+  return { id: null, body };
+}
+
+/**
+ * Saved import runs, one JSON file each, so a failed or interrupted run can be resumed
+ */
+export class ImportRunStore {
+  /**
+   * @param {string} dir - Directory for run files
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * @param {string} runId - Run ID
+   * @returns {string} Run file path
+   */
+  filePath(runId) {
+    if (!/^[\w-]+$/.test(runId)) {
+      throw new ApsError('VALIDATION', `Invalid run ID "${runId}"`);
+    }
+    return path.join(this.dir, `${runId}.json`);
+  }
+
+  /**
+   * Load a run
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object>} Run state
+   */
+  async load(runId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(runId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ApsError('NOT_FOUND', `Import run ${runId} not found`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save a run (write to a temporary file, then rename)
+   * @param {Object} run - Run state
+   */
+  async save(run) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const file = this.filePath(run.runId);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(run, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tmp, file);
+  }
+}
+
+/**
+ * Create a new run from rows
+ * @param {string} projectId - Project ID
+ * @param {Object[]} rows - Rows keyed by column header
+ * @param {Object} columns - Field to header
+ * @returns {Object} Run state
+ */
+export function createRun(projectId, rows, columns) {
+  const now = new Date().toISOString();
+  return {
+    runId: randomUUID(),
+    projectId,
+    createdAt: now,
+    updatedAt: now,
+    columns,
+    rows: rows.map((data, index) => ({ row: index + 1, data, status: 'pending' })),
+  };
+}
+
+/**
+ * Per-row report of a run
+ * @param {Object} run - Run state
+ * @returns {Object} { runId, total, created, updated, failed, pending, rows }
+ */
+export function summarizeRun(run) {
+  const count = (status) => run.rows.filter((row) => row.status === status).length;
+  return {
+    runId: run.runId,
+    projectId: run.projectId,
+    total: run.rows.length,
+    created: count('created'),
+    updated: count('updated'),
+    failed: count('failed'),
+    pending: count('pending'),
+    rows: run.rows.map((row) => {
+      const result = { row: row.row, status: row.status };
+      if (row.issueId) result.issueId = row.issueId;
+      if (row.displayId !== undefined) result.displayId = row.displayId;
+      if (row.error) result.error = row.error;
+      return result;
+    }),
+  };
+}
+
+/**
+ * Create or update the issues of every row that has not succeeded yet, with at most
+ * `concurrency` requests in flight. Row state is saved after each row (unless this is
+ * a dry run), so the run can be resumed after failures or a restart.
+ * @param {Object} options - Import options
+ * @param {AuthManager} options.authManager - Authentication manager
+ * @param {Object} options.endpoints - Output of getApiEndpoints()
+ * @param {Object} options.run - Run state from createRun() or ImportRunStore.load()
+ * @param {ImportRunStore} options.store - Where run state is saved
+ * @param {number} options.concurrency - Rows processed in parallel
+ * @returns {Promise<Object>} Report from summarizeRun()
+ */
+export async function runImport({ authManager, endpoints, run, store, concurrency }) {
+  const { dryRun } = getRequestContext();
+  const lookups = new IssueLookups(authManager, endpoints, run.projectId);
+  const issuesUrl = fillEndpoint(endpoints.acc.issues, {
+    containerId: toContainerId(run.projectId),
+  });
+  const queue = run.rows.filter((row) => !DONE.includes(row.status));
+  let saving = Promise.resolve();
+
+  const persist = () => {
+    if (dryRun) return saving;
+    run.updatedAt = new Date().toISOString();
+    saving = saving
+      .then(() => store.save(run))
+      .catch((error) => logger.error(`Failed to save import run ${run.runId}:`, error));
+    return saving;
+  };
+
+  const processRow = async (row) => {
+    try {
+      const { id, body } = await buildIssueRequest(row.data, run.columns, lookups);
+      const response = await authManager.makeAuthenticatedRequest({
+        method: id ? 'patch' : 'post',
+        url: id ? `${issuesUrl}/${encodeURIComponent(id)}` : issuesUrl,
+        data: body,
+      });
+      row.status = id ? 'updated' : 'created';
+      row.issueId = response.data?.id ?? id;
+      row.displayId = response.data?.displayId;
+      delete row.error;
+    } catch (error) {
+      const apsError = toApsError(error);
+      row.status = 'failed';
+      row.error = { code: apsError.code, message: apsError.message };
+    }
+    await persist();
+  };
+
+  await persist();
+  const workers = Array.from({ length: Math.min(concurrency, queue.length) }, async () => {
+    while (queue.length > 0) {
+      await processRow(queue.shift());
+    }
+  });
+  await Promise.all(workers);
+
+  const report = summarizeRun(run);
+  logger.info(
+    `Import run ${run.runId}: ${report.created} created, ${report.updated} updated, ` +
+      `${report.failed} failed of ${report.total}${dryRun ? ' (dry run)' : ''}`
+  );
+  return dryRun ? { ...report, runId: null } : report;
+}
@@ -1,92 +1,419 @@
 import { z } from 'zod';
 import { createLogger } from './utils/logger.js';
+import { OUTPUT_FORMATS, MIN_MAX_CHARS, DEFAULT_MAX_CHARS } from './utils/outputShaping.js';
 
 const logger = createLogger('config');
 
+/**
+ * Values of the `x-ads-region` header APS routes requests by
+ */
+export const APS_REGIONS = ['US', 'EMEA', 'AUS', 'CAN', 'DEU', 'IND', 'JPN', 'GBR'];
+
+/**
+ * A named profile: another app, hub, account or region served by the same server.
+ * Settings left unset are described in src/profiles/index.js.
+ */
+const profileSchema = z.object({
+  clientId: z.string().optional(),
+  clientSecret: z.string().optional(),
+  authMode: z.enum(['three-legged', 'two-legged']).optional(),
+  clientCredentialsScope: z.string().optional(),
+  userId: z.string().optional(),
+  accountId: z.string().optional(),
+  hubId: z.string().optional(),
+  region: z.enum(APS_REGIONS).optional(),
+  tokenStorage: z.enum(['keychain', 'file', 'memory']).optional(),
+  tokenFilePath: z.string().optional(),
+});
+
 /**
  * Configuration schema validation
  */
 const configSchema = z.object({
   autodesk: z.object({
     clientId: z.string().min(1, 'AUTODESK_CLIENT_ID is required'),
-    clientSecret: z.string().min(1, 'AUTODESK_CLIENT_SECRET is required'),
+    clientSecret: z.string().optional(), // not used by public (PKCE-only) clients
     callbackUrl: z.string().url().default('http://localhost:3000/callback'),
     baseUrl: z.string().url().default('https://developer.api.autodesk.com'),
     authUrl: z.string().url().default('https://developer.api.autodesk.com/authentication/v2'),
     scope: z.string().default('data:read data:write account:read account:write'),
+    authMode: z.enum(['three-legged', 'two-legged']).default('three-legged'),
+    clientCredentialsScope: z.string().default('data:read data:write account:read'),
+    userId: z.string().optional(), // x-user-id for two-legged calls that need a user context
+    publicClient: z.boolean().default(false),
     accountId: z.string().optional(),
     hubId: z.string().optional(),
+    region: z.enum(APS_REGIONS).optional(), // sent as x-ads-region
+  }),
+  profiles: z.object({
+    default: z.string().default('default'), // profile of calls that name none
+    named: z.record(profileSchema).default({}),
+  }),
+  login: z.object({
+    headless: z.boolean().default(false),
+    timeoutMs: z.number().int().positive().default(300000), // 5 minutes
   }),
   server: z.object({
     port: z.number().default(3000),
+    host: z.string().default('127.0.0.1'), // interface to listen on; 0.0.0.0 for all
     logLevel: z.enum(['error', 'warn', 'info', 'debug']).default('info'),
   }),
+  transport: z.object({
+    mode: z.enum(['stdio', 'http', 'both']).default('stdio'),
+    path: z.string().default('/mcp'), // Streamable HTTP endpoint; legacy SSE uses /sse and /messages
+    authTokens: z.array(z.string().min(16)).default([]),
+    allowAnonymous: z.boolean().default(false),
+    sessionIdleMs: z.number().int().min(0).default(1800000), // 30 minutes; 0 keeps sessions open
+    allowedHosts: z.array(z.string()).default([]), // Host headers accepted; default localhost:PORT
+    allowedOrigins: z.array(z.string()).default([]), // browser Origins accepted; default localhost
+  }),
   cache: z.object({
+    enabled: z.boolean().default(true),
     ttl: z.number().default(3600), // 1 hour
     maxSize: z.number().default(100),
     checkPeriod: z.number().default(600), // 10 minutes
+    familyTtl: z.record(z.number()).default({}), // per-family overrides, in seconds
   }),
   rateLimit: z.object({
     maxRequests: z.number().default(60),
     windowMs: z.number().default(60000), // 1 minute
+    maxRetries: z.number().int().min(0).default(4),
+    baseDelayMs: z.number().default(500),
+    maxDelayMs: z.number().default(30000),
+    maxRetryAfterMs: z.number().int().min(0).default(60000), // longer Retry-After is cut to this
   }),
   webhook: z.object({
     secret: z.string().optional(),
     endpoint: z.string().url().optional(),
+    journalSize: z.number().int().positive().default(500),
+    journalPath: z.string().optional(),
+  }),
+  audit: z.object({
+    enabled: z.boolean().default(true),
+    path: z.string().default('./.audit-log.jsonl'),
+    key: z.string().min(16).optional(), // HMAC key for the hash chain
+  }),
+  bulk: z.object({
+    concurrency: z.number().int().min(1).max(10).default(4),
+    runsDir: z.string().default('./.bulk-runs'), // state of bulk imports, for resuming
+  }),
+  bcf: z.object({
+    guidMapPath: z.string().default('./.bcf-guids.json'), // BCF GUID -> ACC issue ID
+    dir: z.string().optional(), // import_bcf reads files from here only; unset: base64 only
+  }),
+  metrics: z.object({
+    enabled: z.boolean().default(false), // /metrics, /healthz and /readyz on the HTTP server
+  }),
+  mirror: z.object({
+    enabled: z.boolean().default(false),
+    projects: z.array(z.string()).default([]),
+    dir: z.string().default('./.mirror'),
+    syncIntervalMs: z.number().int().min(0).default(900000), // 15 minutes; 0 disables
+  }),
+  policy: z.object({
+    readOnly: z.boolean().default(false),
+    hideBlocked: z.boolean().optional(),
+    file: z.string().optional(),
+  }),
+  prompts: z.object({
+    dir: z.string().optional(),
+  }),
+  plugins: z.object({
+    dir: z.string().optional(), // directory of plugin modules
+    npm: z.boolean().default(false), // also load mcp-autodesk-build-plugin-* packages
+    env: z.record(z.string()).default({}), // PLUGIN_<NAME>_* settings
+  }),
+  output: z.object({
+    format: z.enum(OUTPUT_FORMATS).default('json'), // tool results unless a call sets `format`
+    maxChars: z.number().int().min(MIN_MAX_CHARS).default(DEFAULT_MAX_CHARS), // per tool result
+  }),
+  cassette: z.object({
+    mode: z.enum(['off', 'record', 'replay']).default('off'), // APS traffic to or from a file
+    file: z.string().default('./tests/cassettes/session.json'),
   }),
   token: z.object({
     storage: z.enum(['keychain', 'file', 'memory']).default('keychain'),
     filePath: z.string().default('./.tokens'),
+    encryptionKey: z.string().optional(), // for `file` storage; derived per machine if unset
   }),
   debug: z.object({
     enabled: z.boolean().default(false),
     logApiCalls: z.boolean().default(false),
     mockApi: z.boolean().default(false),
+    mockApiPort: z.number().default(0), // 0 = pick a free port
+    mockFixturesDir: z.string().optional(),
   }),
 });
 
+/**
+ * Only public clients using the three-legged flow may omit the client secret
+ * @param {Object} config - Parsed configuration
+ * @param {z.RefinementCtx} ctx - Refinement context
+ */
+function requireClientSecret(config, ctx) {
+  const { clientSecret, publicClient, authMode } = config.autodesk;
+  if (!clientSecret && (!publicClient || authMode === 'two-legged')) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['autodesk', 'clientSecret'],
+      message: 'AUTODESK_CLIENT_SECRET is required',
+    });
+  }
+}
+
+/**
+ * Profile names are valid, the default profile exists, and profiles with their own app
+ * have its secret
+ * @param {Object} config - Parsed configuration
+ * @param {z.RefinementCtx} ctx - Refinement context
+ */
+function validateProfiles(config, ctx) {
+  const { named } = config.profiles;
+
+  for (const [name, profile] of Object.entries(named)) {
+    if (!/^[a-z][a-z0-9-]*$/.test(name) || name === 'default') {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['profiles', 'named', name],
+        message: 'Profile names are lowercase letters, digits and dashes, other than "default"',
+      });
+    }
+    const authMode = profile.authMode || config.autodesk.authMode;
+    if (
+      profile.clientId &&
+      !profile.clientSecret &&
+      (!config.autodesk.publicClient || authMode === 'two-legged')
+    ) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['profiles', 'named', name, 'clientSecret'],
+        message: `PROFILE_${envName(name)}_CLIENT_SECRET is required`,
+      });
+    }
+  }
+
+  if (config.profiles.default !== 'default' && !named[config.profiles.default]) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['profiles', 'default'],
+      message: `DEFAULT_PROFILE names an unknown profile: ${config.profiles.default}`,
+    });
+  }
+}
+
+/**
+ * @param {string} name - Profile name
+ * @returns {string} Name as used in environment variables, e.g. `EU_WEST` for `eu-west`
+ */
+function envName(name) {
+  return name.toUpperCase().replace(/-/g, '_');
+}
+
+/**
+ * Named profiles from `PROFILES=us,emea` and `PROFILE_<NAME>_*` variables,
+ * e.g. PROFILE_EMEA_HUB_ID
+ * @returns {Object} Map of profile name to its settings
+ */
+function parseProfiles() {
+  const names = (process.env.PROFILES || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const settings = {
+    clientId: 'CLIENT_ID',
+    clientSecret: 'CLIENT_SECRET',
+    authMode: 'AUTH_MODE',
+    clientCredentialsScope: 'CLIENT_CREDENTIALS_SCOPE',
+    userId: 'USER_ID',
+    accountId: 'ACCOUNT_ID',
+    hubId: 'HUB_ID',
+    region: 'REGION',
+    tokenStorage: 'TOKEN_STORAGE',
+    tokenFilePath: 'TOKEN_FILE_PATH',
+  };
+
+  return Object.fromEntries(
+    names.map((name) => [
+      name,
+      Object.fromEntries(
+        Object.entries(settings).map(([key, suffix]) => [
+          key,
+          process.env[`PROFILE_${envName(name)}_${suffix}`],
+        ])
+      ),
+    ])
+  );
+}
+
+/**
+ * Per-family cache TTL overrides, e.g. CACHE_TTL_ISSUE_TYPES=600
+ * @returns {Object} Map of family name to TTL in seconds
+ */
+function parseFamilyTtls() {
+  const families = {
+    hubs: 'CACHE_TTL_HUBS',
+    projects: 'CACHE_TTL_PROJECTS',
+    locations: 'CACHE_TTL_LOCATIONS',
+    issueTypes: 'CACHE_TTL_ISSUE_TYPES',
+    rootCauses: 'CACHE_TTL_ROOT_CAUSES',
+    attributeDefinitions: 'CACHE_TTL_ATTRIBUTE_DEFINITIONS',
+  };
+  const ttls = {};
+
+  for (const [family, envVar] of Object.entries(families)) {
+    if (process.env[envVar]) {
+      ttls[family] = parseInt(process.env[envVar], 10);
+    }
+  }
+
+  return ttls;
+}
+
 /**
  * Load and validate configuration from environment variables
  * @returns {Object} Validated configuration object
  */
 export function loadConfig() {
   try {
+    const mockApi = process.env.MOCK_API === 'true';
+
     const rawConfig = {
       autodesk: {
-        clientId: process.env.AUTODESK_CLIENT_ID,
-        clientSecret: process.env.AUTODESK_CLIENT_SECRET,
+        // The mock API accepts any client, so credentials are optional offline
+        clientId: process.env.AUTODESK_CLIENT_ID || (mockApi ? 'mock-client-id' : undefined),
+        clientSecret:
+          process.env.AUTODESK_CLIENT_SECRET || (mockApi ? 'mock-client-secret' : undefined),
         callbackUrl: process.env.AUTODESK_CALLBACK_URL,
         accountId: process.env.AUTODESK_ACCOUNT_ID,
         hubId: process.env.AUTODESK_HUB_ID,
+        authMode: process.env.AUTODESK_AUTH_MODE,
+        clientCredentialsScope: process.env.AUTODESK_CLIENT_CREDENTIALS_SCOPE,
+        userId: process.env.AUTODESK_USER_ID,
+        publicClient: process.env.AUTODESK_PUBLIC_CLIENT === 'true',
+        region: process.env.AUTODESK_REGION,
+      },
+      profiles: {
+        default: process.env.DEFAULT_PROFILE,
+        named: parseProfiles(),
+      },
+      login: {
+        headless: process.env.AUTH_HEADLESS === 'true',
+        timeoutMs: parseInt(process.env.AUTH_TIMEOUT_MS || '300000', 10),
       },
       server: {
         port: parseInt(process.env.PORT || '3000', 10),
+        host: process.env.HOST,
         logLevel: process.env.LOG_LEVEL,
       },
+      transport: {
+        mode: process.env.MCP_TRANSPORT,
+        path: process.env.MCP_HTTP_PATH,
+        authTokens: (process.env.MCP_AUTH_TOKENS || '')
+          .split(',')
+          .map((token) => token.trim())
+          .filter(Boolean),
+        allowAnonymous: process.env.MCP_ALLOW_ANONYMOUS === 'true',
+        sessionIdleMs: parseInt(process.env.MCP_SESSION_IDLE_MS || '1800000', 10),
+        allowedHosts: (process.env.MCP_ALLOWED_HOSTS || '')
+          .split(',')
+          .map((host) => host.trim())
+          .filter(Boolean),
+        allowedOrigins: (process.env.MCP_ALLOWED_ORIGINS || '')
+          .split(',')
+          .map((origin) => origin.trim())
+          .filter(Boolean),
+      },
       cache: {
         ttl: parseInt(process.env.CACHE_TTL || '3600', 10),
         maxSize: parseInt(process.env.CACHE_MAX_SIZE || '100', 10),
         checkPeriod: parseInt(process.env.CACHE_CHECK_PERIOD || '600', 10),
+        enabled: process.env.DISABLE_CACHE !== 'true',
+        familyTtl: parseFamilyTtls(),
       },
       rateLimit: {
         maxRequests: parseInt(process.env.RATE_LIMIT || '60', 10),
+        windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10),
+        maxRetries: parseInt(process.env.RETRY_MAX || '4', 10),
+        baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || '500', 10),
+        maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS || '30000', 10),
+        maxRetryAfterMs: parseInt(process.env.RETRY_AFTER_MAX_MS || '60000', 10),
       },
       webhook: {
         secret: process.env.WEBHOOK_SECRET,
         endpoint: process.env.WEBHOOK_ENDPOINT,
+        journalSize: parseInt(process.env.WEBHOOK_JOURNAL_SIZE || '500', 10),
+        journalPath: process.env.WEBHOOK_JOURNAL_PATH || './.webhook-events.jsonl',
+      },
+      audit: {
+        enabled: process.env.AUDIT_LOG !== 'false',
+        path: process.env.AUDIT_LOG_PATH,
+        key: process.env.AUDIT_LOG_KEY,
+      },
+      bulk: {
+        concurrency: parseInt(process.env.BULK_CONCURRENCY || '4', 10),
+        runsDir: process.env.BULK_RUNS_DIR,
+      },
+      bcf: {
+        guidMapPath: process.env.BCF_GUID_MAP_PATH,
+        dir: process.env.BCF_DIR,
+      },
+      metrics: {
+        enabled: process.env.METRICS_ENABLED === 'true',
+      },
+      mirror: {
+        enabled: process.env.MIRROR_ENABLED === 'true',
+        projects: (process.env.MIRROR_PROJECTS || '')
+          .split(',')
+          .map((id) => id.trim())
+          .filter(Boolean),
+        dir: process.env.MIRROR_DIR,
+        syncIntervalMs: parseInt(process.env.MIRROR_SYNC_INTERVAL_MS || '900000', 10),
+      },
+      policy: {
+        readOnly: process.env.READ_ONLY === 'true',
+        hideBlocked:
+          process.env.POLICY_HIDE_BLOCKED === undefined
+            ? undefined
+            : process.env.POLICY_HIDE_BLOCKED === 'true',
+        file: process.env.POLICY_FILE,
+      },
+      prompts: {
+        dir: process.env.PROMPTS_DIR,
+      },
+      plugins: {
+        dir: process.env.PLUGINS_DIR,
+        npm: process.env.PLUGINS_NPM === 'true',
+        env: Object.fromEntries(
+          Object.entries(process.env).filter(([key]) => key.startsWith('PLUGIN_'))
+        ),
+      },
+      output: {
+        format: process.env.OUTPUT_FORMAT,
+        maxChars: parseInt(process.env.OUTPUT_MAX_CHARS || String(DEFAULT_MAX_CHARS), 10),
+      },
+      cassette: {
+        mode: process.env.CASSETTE_MODE,
+        file: process.env.CASSETTE_FILE,
       },
       token: {
         storage: process.env.TOKEN_STORAGE,
+        filePath: process.env.TOKEN_FILE_PATH,
+        encryptionKey: process.env.TOKEN_ENCRYPTION_KEY,
       },
       debug: {
         enabled: process.env.DEBUG === 'true',
         logApiCalls: process.env.LOG_API_CALLS === 'true',
-        mockApi: process.env.MOCK_API === 'true',
+        mockApi,
+        mockApiPort: parseInt(process.env.MOCK_API_PORT || '0', 10),
+        mockFixturesDir: process.env.MOCK_FIXTURES_DIR,
       },
     };
 
     // Validate configuration
-    const config = configSchema.parse(rawConfig);
+    const config = configSchema
+      .superRefine(requireClientSecret)
+      .superRefine(validateProfiles)
+      .parse(rawConfig);
     
     logger.debug('Configuration loaded successfully');
     
@@ -99,6 +426,7 @@ export function loadConfig() {
       autodesk: {
         callbackUrl: config.autodesk.callbackUrl,
         scope: config.autodesk.scope,
+        authMode: config.autodesk.authMode,
         hasClientId: !!config.autodesk.clientId,
         hasClientSecret: !!config.autodesk.clientSecret,
       },
@@ -136,6 +464,10 @@ export function getApiEndpoints(config) {
     acc: {
       projects: `${baseUrl}/project/v1/hubs/:hubId/projects`,
       issues: `${baseUrl}/issues/v2/containers/:containerId/issues`,
+      issueTypes: `${baseUrl}/issues/v2/containers/:containerId/issue-types`,
+      issueComments: `${baseUrl}/issues/v2/containers/:containerId/issues/:issueId/comments`,
+      issueAttachments: `${baseUrl}/construction/issues/v1/projects/:projectId/attachments/:issueId/items`,
+      projectUsers: `${baseUrl}/construction/admin/v1/projects/:projectId/users`,
       rfis: `${baseUrl}/bim360/rfis/v2/containers/:containerId/rfis`,
       photos: `${baseUrl}/data/v1/projects/:projectId/folders/:folderId/contents`,
       submittals: `${baseUrl}/bim360/submittals/v1/containers/:containerId/submittals`,
@@ -149,5 +481,13 @@ export function getApiEndpoints(config) {
       folders: `${baseUrl}/data/v1/projects/:projectId/folders/:folderId/contents`,
       items: `${baseUrl}/data/v1/projects/:projectId/items/:itemId`,
     },
+    oss: {
+      signedDownload: `${baseUrl}/oss/v2/buckets/:bucketKey/objects/:objectKey/signeds3download`,
+    },
+    webhooks: {
+      list: `${baseUrl}/webhooks/v1/hooks`,
+      hooks: `${baseUrl}/webhooks/v1/systems/:system/events/:event/hooks`,
+      tokens: `${baseUrl}/webhooks/v1/tokens`,
+    },
   };
 }
\ No newline at end of file
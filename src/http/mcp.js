@@ -0,0 +1,290 @@
+import crypto from 'crypto';
+import express from 'express';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('http:mcp');
+
+/**
+ * Paths of the legacy HTTP+SSE transport (protocol version 2024-11-05)
+ */
+export const SSE_PATH = '/sse';
+export const SSE_MESSAGES_PATH = '/messages';
+
+/**
+ * JSON-RPC error response for requests rejected before they reach a session
+ * @param {express.Response} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ */
+function rejectRequest(res, status, message) {
+  res.status(status).json({ jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+/**
+ * Constant-time comparison of a presented token with the configured ones
+ * @param {string} presented - Token from the request
+ * @param {string[]} tokens - Accepted tokens
+ * @returns {boolean} True if the token is accepted
+ */
+function isAcceptedToken(presented, tokens) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const candidate = digest(presented);
+  return tokens.some((token) => crypto.timingSafeEqual(candidate, digest(token)));
+}
+
+/**
+ * Serves MCP over Streamable HTTP (and the legacy SSE transport) on the shared HTTP
+ * server. Every client session gets its own MCP server from `createServer`; all of
+ * them share the auth manager and services behind it.
+ */
+export class McpHttpTransport {
+  /**
+   * @param {Object} options - `config.transport`
+   * @param {string} options.path - Streamable HTTP endpoint path
+   * @param {string[]} options.authTokens - Bearer tokens accepted on the endpoints
+   * @param {boolean} options.allowAnonymous - Serve without a bearer token
+   * @param {number} options.sessionIdleMs - Close sessions idle this long
+   * @param {string[]} options.allowedHosts - Host headers accepted; empty: localhost only
+   * @param {string[]} options.allowedOrigins - Browser origins accepted; empty: localhost only
+   * @param {Function} createServer - Returns a new MCP server, ready to connect
+   */
+  constructor(options, createServer) {
+    if (options.authTokens.length === 0 && !options.allowAnonymous) {
+      throw new Error(
+        'The HTTP transport needs MCP_AUTH_TOKENS; set MCP_ALLOW_ANONYMOUS=true to serve it unprotected'
+      );
+    }
+
+    this.options = options;
+    this.createServer = createServer;
+    this.sessions = new Map();
+    this.sweeper = null;
+    this.closing = false;
+  }
+
+  /**
+   * Reject requests without an accepted `Authorization: Bearer` token, and every request
+   * once the transport is closing
+   * @returns {Function} Express middleware
+   */
+  authenticate() {
+    return (req, res, next) => {
+      if (this.closing) return rejectRequest(res, 503, 'Server is shutting down');
+      if (this.options.authTokens.length === 0) return next();
+
+      const [scheme, token] = (req.headers.authorization || '').split(' ');
+      if (
+        scheme?.toLowerCase() === 'bearer' &&
+        token &&
+        isAcceptedToken(token, this.options.authTokens)
+      ) {
+        return next();
+      }
+
+      res.set('WWW-Authenticate', 'Bearer realm="autodesk-build-mcp"');
+      rejectRequest(res, 401, 'Unauthorized');
+    };
+  }
+
+  /**
+   * Host and Origin values a request may carry. A web page on another site that rebinds
+   * its DNS name to this machine sends its own Host and Origin, so it is refused.
+   * @param {express.Request} req - Request
+   * @returns {Object} { allowedHosts, allowedOrigins }
+   */
+  allowedPeers(req) {
+    const port = req.socket.localPort;
+    const localHosts = ['localhost', '127.0.0.1', '[::1]'].map((host) => `${host}:${port}`);
+    const { allowedHosts, allowedOrigins } = this.options;
+
+    return {
+      allowedHosts: allowedHosts.length > 0 ? allowedHosts : localHosts,
+      allowedOrigins:
+        allowedOrigins.length > 0 ? allowedOrigins : localHosts.map((host) => `http://${host}`),
+    };
+  }
+
+  /**
+   * Reject requests whose Host or Origin header is not allowed (DNS rebinding). Requests
+   * without an Origin come from non-browser clients and only need an allowed Host.
+   * @returns {Function} Express middleware
+   */
+  checkPeer() {
+    return (req, res, next) => {
+      const { allowedHosts, allowedOrigins } = this.allowedPeers(req);
+      const { host, origin } = req.headers;
+
+      if (!allowedHosts.includes(host)) {
+        logger.warn(`Rejected MCP request for host ${host}`);
+        return rejectRequest(res, 403, `Invalid Host header: ${host}`);
+      }
+      if (origin && !allowedOrigins.includes(origin)) {
+        logger.warn(`Rejected MCP request from origin ${origin}`);
+        return rejectRequest(res, 403, `Invalid Origin header: ${origin}`);
+      }
+      next();
+    };
+  }
+
+  /**
+   * Mount the MCP endpoints and start closing idle sessions
+   * @param {HttpServer} httpServer - Shared HTTP server
+   */
+  mount(httpServer) {
+    const json = express.json({ limit: '10mb' });
+    const peer = this.checkPeer();
+    const auth = this.authenticate();
+
+    const streamable = express.Router();
+    streamable.all('/', peer, auth, json, (req, res) => this.handleStreamable(req, res));
+    httpServer.mount(this.options.path, streamable);
+
+    const sse = express.Router();
+    sse.get('/', peer, auth, (req, res) => this.handleSseConnect(req, res));
+    httpServer.mount(SSE_PATH, sse);
+
+    const messages = express.Router();
+    messages.post('/', peer, auth, json, (req, res) => this.handleSseMessage(req, res));
+    httpServer.mount(SSE_MESSAGES_PATH, messages);
+
+    if (this.options.sessionIdleMs > 0) {
+      this.sweeper = setInterval(() => this.closeIdleSessions(), 60000);
+      this.sweeper.unref();
+    }
+  }
+
+  /**
+   * Streamable HTTP: POST carries client messages, GET opens the server-to-client
+   * stream and DELETE ends the session
+   * @param {express.Request} req - Request
+   * @param {express.Response} res - Response
+   */
+  async handleStreamable(req, res) {
+    try {
+      const sessionId = req.headers['mcp-session-id'];
+      let session = sessionId && this.sessions.get(sessionId);
+
+      if (session?.type === 'sse') {
+        return rejectRequest(res, 400, 'Session belongs to the SSE transport');
+      }
+      if (sessionId && !session) {
+        return rejectRequest(res, 404, 'Session not found');
+      }
+      if (!session) {
+        if (req.method !== 'POST' || !isInitializeRequest(req.body)) {
+          return rejectRequest(res, 400, 'No session; send an initialize request first');
+        }
+        session = await this.openStreamableSession(req);
+      }
+
+      session.lastSeen = Date.now();
+      await session.transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      logger.error('Failed to handle MCP request:', error);
+      if (!res.headersSent) rejectRequest(res, 500, 'Internal server error');
+    }
+  }
+
+  /**
+   * @param {express.Request} req - The initialize request
+   * @returns {Promise<Object>} Session whose ID is assigned by the initialize response
+   */
+  async openStreamableSession(req) {
+    const session = { type: 'streamable', lastSeen: Date.now() };
+    session.transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      enableDnsRebindingProtection: true,
+      ...this.allowedPeers(req),
+      onsessioninitialized: (id) => {
+        this.sessions.set(id, session);
+        logger.info(`MCP session ${id} opened (${this.sessions.size} active)`);
+      },
+    });
+    session.transport.onclose = () => this.forget(session.transport.sessionId);
+
+    session.server = await this.createServer();
+    await session.server.connect(session.transport);
+    return session;
+  }
+
+  /**
+   * Legacy SSE: open the event stream; the client posts to the announced endpoint
+   * @param {express.Request} req - Request
+   * @param {express.Response} res - Response
+   */
+  async handleSseConnect(req, res) {
+    try {
+      const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res, {
+        enableDnsRebindingProtection: true,
+        ...this.allowedPeers(req),
+      });
+      const session = { type: 'sse', transport, lastSeen: Date.now() };
+      this.sessions.set(transport.sessionId, session);
+      transport.onclose = () => this.forget(transport.sessionId);
+
+      session.server = await this.createServer();
+      await session.server.connect(transport);
+      logger.info(`MCP SSE session ${transport.sessionId} opened (${this.sessions.size} active)`);
+    } catch (error) {
+      logger.error('Failed to open SSE session:', error);
+      if (!res.headersSent) rejectRequest(res, 500, 'Internal server error');
+    }
+  }
+
+  /**
+   * Legacy SSE: a client message for the session named in `?sessionId=`
+   * @param {express.Request} req - Request
+   * @param {express.Response} res - Response
+   */
+  async handleSseMessage(req, res) {
+    try {
+      const session = this.sessions.get(String(req.query.sessionId || ''));
+      if (session?.type !== 'sse') {
+        return rejectRequest(res, 404, 'Session not found');
+      }
+
+      session.lastSeen = Date.now();
+      await session.transport.handlePostMessage(req, res, req.body);
+    } catch (error) {
+      logger.error('Failed to handle MCP SSE message:', error);
+      if (!res.headersSent) rejectRequest(res, 500, 'Internal server error');
+    }
+  }
+
+  /**
+   * @param {string} [sessionId] - Session that closed
+   */
+  forget(sessionId) {
+    if (sessionId && this.sessions.delete(sessionId)) {
+      logger.info(`MCP session ${sessionId} closed (${this.sessions.size} active)`);
+    }
+  }
+
+  /**
+   * Close sessions that have not been used for `sessionIdleMs`
+   */
+  closeIdleSessions() {
+    const cutoff = Date.now() - this.options.sessionIdleMs;
+    for (const [id, session] of this.sessions) {
+      if (session.lastSeen < cutoff) {
+        logger.info(`Closing idle MCP session ${id}`);
+        session.server?.close().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Close every session, ending open streams so the HTTP server can stop
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closing = true;
+    clearInterval(this.sweeper);
+    const sessions = [...this.sessions.values()];
+    await Promise.allSettled(sessions.map((session) => session.server?.close()));
+    this.sessions.clear();
+  }
+}
@@ -0,0 +1,151 @@
+import axios from 'axios';
+import express from 'express';
+import { createLogger } from '../utils/logger.js';
+import { CONTENT_TYPE } from '../metrics/registry.js';
+
+const logger = createLogger('http:observability');
+
+const UPSTREAM_TIMEOUT_MS = 5000;
+const UPSTREAM_CHECK_TTL_MS = 30000;
+
+/**
+ * Checks whether APS answers at all. Any HTTP response counts as reachable; results are
+ * reused for 30 seconds so probes do not turn into load on APS.
+ */
+export class UpstreamProbe {
+  /**
+   * @param {string} url - URL to probe (the APS base URL)
+   */
+  constructor(url) {
+    this.url = url;
+    this.last = null;
+    this.pending = null;
+  }
+
+  /**
+   * @returns {Promise<Object>} { reachable, status, latencyMs, checkedAt, error }
+   */
+  async check() {
+    if (this.last && Date.now() - Date.parse(this.last.checkedAt) < UPSTREAM_CHECK_TTL_MS) {
+      return this.last;
+    }
+
+    this.pending ??= this.probe().finally(() => {
+      this.pending = null;
+    });
+    return this.pending;
+  }
+
+  /**
+   * @returns {Promise<Object>} Fresh probe result
+   */
+  async probe() {
+    const started = Date.now();
+    try {
+      const response = await axios.get(this.url, {
+        timeout: UPSTREAM_TIMEOUT_MS,
+        validateStatus: () => true,
+      });
+      this.last = { reachable: true, status: response.status };
+    } catch (error) {
+      logger.warn(`APS is unreachable: ${error.message}`);
+      this.last = { reachable: false, error: error.code || error.message };
+    }
+    this.last.latencyMs = Date.now() - started;
+    this.last.checkedAt = new Date().toISOString();
+    return this.last;
+  }
+}
+
+/**
+ * Auth state as reported by the health endpoints
+ * @param {AuthManager} authManager - Authentication manager of one profile
+ * @returns {Object} { mode, authenticated, tokenExpiresAt, tokenExpiresInSeconds, canRefresh }
+ */
+function authState(authManager) {
+  const expiry = authManager.tokenExpiry;
+  return {
+    mode: authManager.mode,
+    authenticated: authManager.isAuthenticated,
+    tokenExpiresAt: expiry?.toISOString() || null,
+    tokenExpiresInSeconds: expiry ? Math.round((expiry.getTime() - Date.now()) / 1000) : null,
+    // Two-legged tokens are requested again; user tokens need a refresh token
+    canRefresh: authManager.isTwoLegged() || Boolean(authManager.refreshToken),
+  };
+}
+
+/**
+ * Auth state of every profile
+ * @param {ProfileManager} profiles - Profile manager
+ * @returns {Object} Auth state by profile name
+ */
+function profileStates(profiles) {
+  return Object.fromEntries(
+    profiles.all().map(({ name, authManager }) => [name, authState(authManager)])
+  );
+}
+
+/**
+ * Why a profile cannot serve tool calls
+ * @param {Object} auth - Auth state of the profile
+ * @returns {string|null} Problem, or null if the profile is ready
+ */
+function authProblem(auth) {
+  if (!auth.authenticated) {
+    return 'not authenticated; run with --auth';
+  }
+  if (auth.tokenExpiresInSeconds !== null && auth.tokenExpiresInSeconds <= 0 && !auth.canRefresh) {
+    return 'access token expired and cannot be refreshed';
+  }
+  return null;
+}
+
+/**
+ * Create the router serving `/metrics`, `/healthz` and `/readyz`
+ * @param {Object} options - Router options
+ * @param {ProfileManager} options.authManager - Profile manager; every profile is checked
+ * @param {Metrics} options.metrics - Server metrics
+ * @param {Object} options.config - Configuration object
+ * @returns {express.Router} Router to mount at the root
+ */
+export function createObservabilityRouter({ authManager, metrics, config }) {
+  const router = express.Router();
+  const upstream = new UpstreamProbe(config.autodesk.baseUrl);
+
+  router.get('/metrics', (req, res) => {
+    res.type(CONTENT_TYPE).send(metrics.render());
+  });
+
+  // Liveness: the process answers; details are local state only, APS is never contacted
+  router.get('/healthz', (req, res) => {
+    res.json({
+      status: 'ok',
+      uptimeSeconds: Math.round(process.uptime()),
+      profiles: profileStates(authManager),
+    });
+  });
+
+  // Readiness: tool calls can succeed (every profile holds credentials and APS is reachable)
+  router.get('/readyz', async (req, res) => {
+    const profiles = profileStates(authManager);
+    const reachability = await upstream.check();
+    const problems = [];
+
+    for (const [name, auth] of Object.entries(profiles)) {
+      const problem = authProblem(auth);
+      if (problem) problems.push(`profile ${name}: ${problem}`);
+    }
+    if (!reachability.reachable) {
+      problems.push(`APS unreachable (${reachability.error})`);
+    }
+
+    res.status(problems.length > 0 ? 503 : 200).json({
+      status: problems.length > 0 ? 'not_ready' : 'ready',
+      problems,
+      profiles,
+      upstream: reachability,
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,67 @@
+import express from 'express';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('http');
+
+/**
+ * Shared express server for everything the MCP server exposes over HTTP.
+ * Subsystems mount their routers on it; it only listens if something was mounted.
+ */
+export class HttpServer {
+  /**
+   * @param {Object} options - `config.server`
+   * @param {number} options.port - Port to listen on
+   * @param {string} options.host - Interface to listen on (127.0.0.1 unless configured)
+   */
+  constructor(options) {
+    this.port = options.port;
+    this.host = options.host;
+    this.app = express();
+    this.app.disable('x-powered-by');
+    this.routes = [];
+    this.listener = null;
+  }
+
+  /**
+   * Mount a router or middleware
+   * @param {string} path - Mount path
+   * @param {Function} handler - Express router or middleware
+   */
+  mount(path, handler) {
+    this.app.use(path, handler);
+    this.routes.push(path);
+  }
+
+  /**
+   * Whether anything has been mounted
+   * @returns {boolean} True if the server has routes to serve
+   */
+  hasRoutes() {
+    return this.routes.length > 0;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await new Promise((resolve, reject) => {
+      this.listener = this.app.listen(this.port, this.host, () => resolve());
+      this.listener.on('error', reject);
+    });
+
+    logger.info(`HTTP server listening on ${this.host}:${this.port} (${this.routes.join(', ')})`);
+  }
+
+  /**
+   * Stop accepting connections and wait for open requests to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.listener) return;
+
+    await new Promise((resolve) => this.listener.close(() => resolve()));
+    this.listener = null;
+    logger.info('HTTP server stopped');
+  }
+}
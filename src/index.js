@@ -1,13 +1,22 @@
 #!/usr/bin/env node
 
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import dotenv from 'dotenv';
 import { createLogger } from './utils/logger.js';
 import { loadConfig } from './config.js';
-import { AuthManager } from './auth.js';
-import { registerTools } from './tools/index.js';
-import { setupErrorHandlers } from './utils/errorHandler.js';
+import { DEFAULT_PROFILE, ProfileManager, profileConfig } from './profiles/index.js';
+import { createServer } from './server.js';
+import { startMockApi } from './mock/server.js';
+import { HttpServer } from './http/server.js';
+import { McpHttpTransport } from './http/mcp.js';
+import { createObservabilityRouter } from './http/observability.js';
+import { Metrics } from './metrics/index.js';
+import { PluginLoader } from './plugins/loader.js';
+import { EventJournal } from './webhooks/journal.js';
+import { createWebhookRouter } from './webhooks/receiver.js';
+import { AuditLog } from './audit/log.js';
+import { MirrorStore } from './mirror/store.js';
+import { MirrorSync } from './mirror/sync.js';
 
 // Load environment variables
 dotenv.config();
@@ -21,80 +30,154 @@ const config = loadConfig();
 async function main() {
   try {
     logger.info('Starting Autodesk Build MCP Server...');
-    
-    // Initialize auth manager
-    const authManager = new AuthManager(config);
-    
-    // Create MCP server
-    const server = new Server(
-      {
-        name: 'autodesk-build-mcp',
-        version: '1.0.0',
-      },
-      {
-        capabilities: {
-          resources: {},
-          tools: {},
-          prompts: {},
-        },
-      }
-    );
 
-    // Setup error handlers
-    setupErrorHandlers(server);
+    // Serve the API locally when running offline
+    let mockApi = null;
+    if (config.debug.mockApi) {
+      mockApi = await startMockApi(config);
+    }
 
-    // Register all tools
-    await registerTools(server, authManager, config);
+    // One auth manager per profile; tools and services see the profile of each call
+    const authManager = new ProfileManager(config);
 
-    // Setup server event handlers
-    server.onerror = (error) => {
-      logger.error('Server error:', error);
-    };
+    // Count tool calls and APS traffic from the start
+    let metrics = null;
+    if (config.metrics.enabled) {
+      metrics = new Metrics();
+      metrics.attach(authManager);
+    }
 
-    server.onclose = () => {
-      logger.info('Server connection closed');
-    };
+    // Webhook events are journaled whether or not this instance receives them
+    const journal = new EventJournal(config.webhook);
+    await journal.load();
 
-    // Create and start transport
-    const transport = new StdioServerTransport();
-    
-    logger.info('MCP server initialized successfully');
-    logger.info(`Available tools: ${Object.keys(server.tools).length}`);
-    
-    // Start the server
-    await server.connect(transport);
-    
-    logger.info('Autodesk Build MCP Server is running');
-    
-    // Handle graceful shutdown
-    process.on('SIGINT', async () => {
-      logger.info('Shutting down server...');
-      await server.close();
-      process.exit(0);
-    });
+    const httpServer = new HttpServer(config.server);
+    if (config.webhook.secret) {
+      const webhookPath = config.webhook.endpoint
+        ? new URL(config.webhook.endpoint).pathname
+        : '/webhooks';
+      httpServer.mount(webhookPath, createWebhookRouter(config.webhook, journal));
+    }
+
+    if (metrics) {
+      httpServer.mount('/', createObservabilityRouter({ authManager, metrics, config }));
+    }
+
+    // Record every write sent to APS
+    const audit = new AuditLog(config.audit);
+    await audit.load();
+    audit.attach(authManager);
 
-    process.on('SIGTERM', async () => {
+    // Keep a local copy of the configured projects for offline queries
+    let mirror = null;
+    if (config.mirror.enabled) {
+      mirror = new MirrorSync({
+        authManager: authManager.get(authManager.defaultProfile).authManager,
+        config,
+        store: new MirrorStore(config.mirror.dir),
+      });
+      await mirror.start({ journal });
+    }
+
+    // Third-party tool modules; broken ones are logged and skipped
+    let plugins = null;
+    if (config.plugins.dir || config.plugins.npm) {
+      plugins = new PluginLoader(config);
+      await plugins.load();
+    }
+
+    // Every client connection gets its own MCP server over the shared services
+    const services = { journal, audit, mirror, metrics, plugins };
+    const newServer = () => createServer(authManager, authManager.scopedConfig(), services);
+    const { mode } = config.transport;
+
+    let stdioServer = null;
+    if (mode === 'stdio' || mode === 'both') {
+      stdioServer = await newServer();
+      logger.info(`Available tools: ${Object.keys(stdioServer.tools).length}`);
+      await stdioServer.connect(new StdioServerTransport());
+    }
+
+    let mcpHttp = null;
+    if (mode === 'http' || mode === 'both') {
+      mcpHttp = new McpHttpTransport(config.transport, newServer);
+      mcpHttp.mount(httpServer);
+    }
+
+    if (httpServer.hasRoutes()) {
+      await httpServer.start();
+    }
+
+    logger.info(`Autodesk Build MCP Server is running (transport: ${mode})`);
+
+    // Handle graceful shutdown
+    const shutdown = async () => {
       logger.info('Shutting down server...');
-      await server.close();
+      mirror?.stop();
+      await stdioServer?.close();
+      await mcpHttp?.close();
+      await httpServer.stop();
+      await mockApi?.close();
       process.exit(0);
-    });
+    };
 
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
   }
 }
 
+/**
+ * Configuration to sign in with: the default profile, or `--auth --profile emea`
+ * @returns {Object} Profile configuration
+ */
+function loginConfig() {
+  const flag = process.argv.indexOf('--profile');
+  if (flag === -1) return profileConfig(config, config.profiles.default);
+
+  const names = [DEFAULT_PROFILE, ...Object.keys(config.profiles.named)];
+  const name = process.argv[flag + 1];
+  if (!names.includes(name)) {
+    throw new Error(
+      `Usage: --auth --profile <name>, where name is one of: ${names.join(', ')}` +
+        (name && !name.startsWith('--') ? ` (got ${name})` : '')
+    );
+  }
+  return profileConfig(config, name);
+}
+
 // Check if we need to handle OAuth callback
 if (process.argv.includes('--auth')) {
-  // Start OAuth flow
-  import('./auth-server.js').then(({ startAuthServer }) => {
-    startAuthServer(config);
-  });
+  let login;
+  try {
+    login = loginConfig();
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  if (login.autodesk.authMode === 'two-legged') {
+    logger.info('Two-legged mode authenticates with client credentials; --auth is not needed');
+  } else {
+    // Start OAuth flow
+    import('./auth-server.js')
+      .then(({ startAuthServer }) =>
+        startAuthServer(login, { headless: process.argv.includes('--headless') || undefined })
+      )
+      .then(
+        () => process.exit(0),
+        (error) => {
+          logger.error('Authentication failed:', error.message);
+          process.exit(1);
+        }
+      );
+  }
 } else {
   // Start MCP server
   main().catch((error) => {
     logger.error('Unhandled error:', error);
     process.exit(1);
   });
-}
\ No newline at end of file
+}
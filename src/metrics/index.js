@@ -0,0 +1,185 @@
+import { MetricsRegistry } from './registry.js';
+
+/**
+ * API families APS request metrics are grouped by; anything else counts as `other`
+ */
+const ENDPOINT_FAMILIES = [
+  'authentication',
+  'userprofile',
+  'project',
+  'data',
+  'oss',
+  'issues',
+  'rfis',
+  'submittals',
+  'checklists',
+  'locations',
+  'cost',
+  'admin',
+  'photos',
+  'webhooks',
+];
+
+/**
+ * API family of a request URL, e.g. `issues` for `/construction/issues/v1/...` and
+ * `/issues/v2/...` alike
+ * @param {string} url - Request URL
+ * @returns {string} Family name
+ */
+export function endpointFamily(url) {
+  const segments = new URL(url, 'http://localhost').pathname.split('/').filter(Boolean);
+  const [first, second] = segments;
+  const family = first === 'bim360' || first === 'construction' ? second : first;
+  return ENDPOINT_FAMILIES.includes(family) ? family : 'other';
+}
+
+/**
+ * Metrics of this server: tool calls, APS requests, token refreshes, rate-limit waits
+ * and cache lookups. Fed by AuthManager events and by instrumentTool().
+ */
+export class Metrics {
+  /**
+   * @param {Object} [options] - Metric options
+   * @param {string} [options.prefix] - Prefix of every metric name
+   */
+  constructor({ prefix = 'acc_mcp_' } = {}) {
+    const registry = new MetricsRegistry();
+    this.registry = registry;
+    this.prefix = prefix;
+    this.startedAt = Date.now();
+
+    this.toolCalls = registry.counter(
+      `${prefix}tool_calls_total`,
+      'Tool calls by tool and outcome (success or the error code)',
+      ['tool', 'outcome']
+    );
+    this.toolDuration = registry.histogram(`${prefix}tool_duration_seconds`, 'Tool call latency', [
+      'tool',
+    ]);
+    this.apsRequests = registry.counter(
+      `${prefix}aps_requests_total`,
+      'APS HTTP requests by API family, method and status (retries count separately)',
+      ['family', 'method', 'status']
+    );
+    this.apsDuration = registry.histogram(
+      `${prefix}aps_request_duration_seconds`,
+      'APS HTTP request latency by API family',
+      ['family']
+    );
+    this.apsRetries = registry.counter(
+      `${prefix}aps_retries_total`,
+      'APS requests retried, by reason',
+      ['reason']
+    );
+    this.tokenRefreshes = registry.counter(
+      `${prefix}token_refreshes_total`,
+      'Access tokens refreshed or obtained'
+    );
+    this.logouts = registry.counter(`${prefix}logouts_total`, 'Logouts');
+    this.rateLimitWaits = registry.counter(
+      `${prefix}rate_limit_waits_total`,
+      'Requests held back by the rate limiter or a Retry-After header',
+      ['reason']
+    );
+    this.rateLimitWaitSeconds = registry.counter(
+      `${prefix}rate_limit_wait_seconds_total`,
+      'Time requests were held back',
+      ['reason']
+    );
+    this.cacheLookups = registry.counter(
+      `${prefix}cache_lookups_total`,
+      'Response cache lookups by family and result (hit or miss)',
+      ['family', 'result']
+    );
+    registry.gauge(`${prefix}uptime_seconds`, 'Seconds since the server started', [], () =>
+      Math.round((Date.now() - this.startedAt) / 1000)
+    );
+  }
+
+  /**
+   * Feed the metrics from the auth managers of every profile and their schedulers and
+   * caches, and publish their auth state and cache hit rate
+   * @param {ProfileManager} profiles - Profile manager
+   */
+  attach(profiles) {
+    const { registry, prefix } = this;
+
+    profiles.on('request', ({ method, url, status, durationMs }) => {
+      const family = endpointFamily(url);
+      this.apsRequests.inc({ family, method, status });
+      this.apsDuration.observe({ family }, durationMs / 1000);
+    });
+    profiles.on('token_refreshed', () => this.tokenRefreshes.inc());
+    profiles.on('logout', () => this.logouts.inc());
+
+    for (const { authManager } of profiles.all()) {
+      authManager.scheduler.on('wait', ({ delayMs, reason }) => {
+        this.rateLimitWaits.inc({ reason });
+        this.rateLimitWaitSeconds.inc({ reason }, delayMs / 1000);
+      });
+      authManager.scheduler.on('retry', ({ reason }) => this.apsRetries.inc({ reason }));
+
+      authManager.cache.on('hit', ({ family }) => this.cacheLookups.inc({ family, result: 'hit' }));
+      authManager.cache.on('miss', ({ family }) =>
+        this.cacheLookups.inc({ family, result: 'miss' })
+      );
+    }
+
+    // Gauges have a series per profile
+    const perProfile = (read) => () =>
+      profiles.all().map(({ name, authManager }) => [{ profile: name }, read(authManager)]);
+
+    registry.gauge(
+      `${prefix}cache_hit_ratio`,
+      'Share of response cache lookups served from the cache',
+      ['profile'],
+      perProfile((authManager) => authManager.cache.getStats().hitRate)
+    );
+    registry.gauge(
+      `${prefix}authenticated`,
+      '1 if the server holds credentials for APS',
+      ['profile'],
+      perProfile((authManager) => (authManager.isAuthenticated ? 1 : 0))
+    );
+    registry.gauge(
+      `${prefix}token_expiry_seconds`,
+      'Seconds until the access token expires (negative once expired)',
+      ['profile'],
+      perProfile((authManager) =>
+        authManager.tokenExpiry
+          ? Math.round((authManager.tokenExpiry.getTime() - Date.now()) / 1000)
+          : null
+      )
+    );
+  }
+
+  /**
+   * Count and time every call of a tool
+   * @param {Object} tool - Tool from createTool()
+   */
+  instrumentTool(tool) {
+    const handler = tool.handler;
+    tool.handler = async (args, extra) => {
+      const started = process.hrtime.bigint();
+      let outcome = 'INTERNAL';
+      try {
+        const result = await handler(args, extra);
+        outcome = result?.isError ? result.structuredContent?.error?.code || 'ERROR' : 'success';
+        return result;
+      } finally {
+        this.toolCalls.inc({ tool: tool.name, outcome });
+        this.toolDuration.observe(
+          { tool: tool.name },
+          Number(process.hrtime.bigint() - started) / 1e9
+        );
+      }
+    };
+  }
+
+  /**
+   * @returns {string} Every metric in the Prometheus text format
+   */
+  render() {
+    return this.registry.render();
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Default histogram buckets, in seconds
+ */
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * `{name="value",...}` for a label set, or an empty string
+ * @param {string[]} names - Label names
+ * @param {string[]} values - Label values, in the same order
+ * @returns {string} Label block
+ */
+function formatLabels(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(',')}}`;
+}
+
+/**
+ * Base of all metric types: a series per distinct label set
+ */
+class Metric {
+  /**
+   * @param {string} type - Prometheus type
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {string[]} labelNames - Label names
+   */
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Series for a label set, created on first use
+   * @param {Object} labels - Label values by name
+   * @param {Function} create - Returns a new series
+   * @returns {Object} Series
+   */
+  seriesFor(labels, create) {
+    const values = this.labelNames.map((name) => labels[name] ?? '');
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { values, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * @returns {string[]} Sample lines
+   */
+  samples() {
+    return [...this.series.values()].map(
+      ({ values, value }) => `${this.name}${formatLabels(this.labelNames, values)} ${value}`
+    );
+  }
+
+  /**
+   * @returns {string} HELP, TYPE and sample lines
+   */
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`]
+      .concat(this.samples())
+      .join('\n');
+  }
+}
+
+/**
+ * Monotonically increasing count
+ */
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * @param {Object} [labels] - Label values by name
+   * @param {number} [amount] - Increment
+   */
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+/**
+ * Value read when metrics are scraped
+ */
+export class Gauge extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {string[]} labelNames - Label names
+   * @param {Function} collect - Returns the current value, or `[labels, value]` pairs
+   */
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  samples() {
+    const collected = this.collect();
+    const pairs = Array.isArray(collected) ? collected : [[{}, collected]];
+    return pairs
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([labels, value]) => {
+        const values = this.labelNames.map((name) => labels[name] ?? '');
+        return `${this.name}${formatLabels(this.labelNames, values)} ${Number(value)}`;
+      });
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets
+ */
+export class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {string[]} labelNames - Label names
+   * @param {number[]} [buckets] - Upper bounds, ascending
+   */
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {Object} labels - Label values by name
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  samples() {
+    const lines = [];
+    const bucketLabels = [...this.labelNames, 'le'];
+    for (const { values, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels(bucketLabels, [...values, bound])} ${counts[i]}`
+        );
+      });
+      lines.push(`${this.name}_bucket${formatLabels(bucketLabels, [...values, '+Inf'])} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Set of metrics rendered together in the Prometheus text exposition format
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * @param {Metric} metric - Metric to register
+   * @returns {Metric} The metric
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * @returns {string} Every metric in text format
+   */
+  render() {
+    return this.metrics.map((metric) => metric.render()).join('\n') + '\n';
+  }
+}
+
+/**
+ * Content type of the text exposition format
+ */
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
@@ -0,0 +1,178 @@
+/**
+ * Entities the mirror can be queried for
+ */
+export const QUERYABLE_ENTITIES = ['issues', 'rfis', 'submittals', 'forms'];
+
+/**
+ * Statuses that take a record out of "open" and "overdue"
+ */
+const CLOSED_STATUSES = ['closed', 'void', 'completed', 'cancelled'];
+
+/**
+ * Assignee IDs of a record; each entity stores them differently
+ */
+const ASSIGNEES = {
+  issues: (record) => [record.assignedTo],
+  rfis: (record) => (record.assignedTo || []).map((assignee) => assignee.id),
+  submittals: (record) => [record.manager],
+  forms: (record) => (record.assignees || []).map((assignee) => assignee.id),
+};
+
+/**
+ * Whether a date or time is within a bound given as a date or a date-time; `before`
+ * bounds include the whole day when they are dates
+ * @param {string} [value] - ISO date or date-time of the record
+ * @param {string} [after] - Lower bound
+ * @param {string} [before] - Upper bound
+ * @returns {boolean}
+ */
+function inRange(value, after, before) {
+  if (!after && !before) return true;
+  if (!value) return false;
+  return (!after || value >= after) && (!before || value.slice(0, before.length) <= before);
+}
+
+const lower = (value) => String(value ?? '').toLowerCase();
+
+/**
+ * Full path of every location node, e.g. "Level 2 > East" (the root is left out)
+ * @param {Object} records - Location nodes by ID
+ * @returns {Map<string, string>} Path by node ID
+ */
+function locationPaths(records) {
+  const paths = new Map();
+  const pathOf = (node, depth = 0) => {
+    if (!node || !node.parentId || depth > 50) return '';
+    if (paths.has(node.id)) return paths.get(node.id);
+    const parent = pathOf(records[node.parentId], depth + 1);
+    const path = parent ? `${parent} > ${node.name}` : node.name;
+    paths.set(node.id, path);
+    return path;
+  };
+  Object.values(records).forEach((node) => pathOf(node));
+  return paths;
+}
+
+/**
+ * IDs of the location nodes a search covers: the node given by ID, or every node whose
+ * path (with or without the root) or name matches, and all nodes below them
+ * @param {Object} records - Location nodes by ID
+ * @param {string} location - Node ID, path such as "Level 2 > East" or "Level 2/East", or name
+ * @returns {Set<string>} Node IDs; empty if nothing matches
+ */
+export function locationSubtree(records, location) {
+  const paths = locationPaths(records);
+  const rootName = lower(Object.values(records).find((node) => !records[node.parentId])?.name);
+  const wanted = lower(location).replace(/\s*[>/]\s*/g, ' > ');
+  const roots = records[location]
+    ? [location]
+    : Object.values(records)
+        .filter((node) => {
+          const path = lower(paths.get(node.id));
+          return (
+            lower(node.name) === wanted || path === wanted || `${rootName} > ${path}` === wanted
+          );
+        })
+        .map((node) => node.id);
+
+  const children = new Map();
+  for (const node of Object.values(records)) {
+    if (!children.has(node.parentId)) children.set(node.parentId, []);
+    children.get(node.parentId).push(node.id);
+  }
+
+  const ids = new Set();
+  const queue = [...roots];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (ids.has(id)) continue;
+    ids.add(id);
+    queue.push(...(children.get(id) || []));
+  }
+  return ids;
+}
+
+/**
+ * IDs of users and companies whose name, email or ID contains the search
+ * @param {Object} users - Project users by ID
+ * @param {string} search - Search text
+ * @returns {Set<string>} Autodesk user IDs and company IDs
+ */
+function assigneeIds(users, search) {
+  const wanted = lower(search);
+  const ids = new Set([search]);
+  for (const user of Object.values(users)) {
+    const fields = [user.autodeskId, user.email, user.name, user.companyName].map(lower);
+    if (fields.some((field) => field.includes(wanted))) {
+      if (user.autodeskId) ids.add(user.autodeskId);
+    }
+    if (lower(user.companyName).includes(wanted) && user.companyId) {
+      ids.add(user.companyId);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Query mirrored records of one project
+ * @param {Object} project - Project data from MirrorStore
+ * @param {Object} query - Query
+ * @param {string[]} query.entities - Entities to search
+ * @param {string[]} [query.status] - Statuses to include
+ * @param {boolean} [query.open] - Only records that are not closed, void or completed
+ * @param {boolean} [query.overdue] - Only open records past their due date
+ * @param {string} [query.assignee] - User or company name, email or ID
+ * @param {string} [query.location] - Location node ID, path or name; includes sub-locations
+ * @param {string} [query.dueBefore] - Due on or before this date
+ * @param {string} [query.dueAfter] - Due on or after this date
+ * @param {string} [query.updatedSince] - Updated at or after this date/time
+ * @param {string} [query.updatedBefore] - Updated on or before this date/time
+ * @param {string} [query.createdAfter] - Created at or after this date/time
+ * @param {string} [query.createdBefore] - Created on or before this date/time
+ * @param {string} [query.text] - Text in the title, description or question
+ * @returns {Object[]} Matching records with `entity` and `locationPath` added
+ */
+export function queryProject(project, query) {
+  const locations = project.entities.locations.records;
+  const paths = locationPaths(locations);
+  const today = new Date().toISOString().slice(0, 10);
+  const statuses = query.status?.map(lower);
+  const assignees = query.assignee && assigneeIds(project.entities.users.records, query.assignee);
+  const locationIds = query.location && locationSubtree(locations, query.location);
+  const text = query.text && lower(query.text);
+
+  const results = [];
+  for (const entity of query.entities) {
+    for (const record of Object.values(project.entities[entity].records)) {
+      const status = lower(record.status);
+      const isOpen = !CLOSED_STATUSES.includes(status);
+      const due = record.dueDate?.slice(0, 10);
+
+      if (statuses && !statuses.includes(status)) continue;
+      if (query.open && !isOpen) continue;
+      if (query.overdue && !(isOpen && due && due < today)) continue;
+      if (query.dueBefore && !(due && due <= query.dueBefore)) continue;
+      if (query.dueAfter && !(due && due >= query.dueAfter)) continue;
+      if (!inRange(record.updatedAt, query.updatedSince, query.updatedBefore)) continue;
+      if (!inRange(record.createdAt, query.createdAfter, query.createdBefore)) continue;
+      if (assignees && !ASSIGNEES[entity](record).some((id) => assignees.has(id))) continue;
+      if (locationIds && !locationIds.has(record.locationId)) continue;
+      if (
+        text &&
+        ![record.title, record.description, record.question].some((field) =>
+          lower(field).includes(text)
+        )
+      ) {
+        continue;
+      }
+
+      results.push({
+        entity,
+        ...record,
+        ...(record.locationId && { locationPath: paths.get(record.locationId) || null }),
+      });
+    }
+  }
+
+  return results;
+}
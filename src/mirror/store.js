@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+import { toContainerId } from '../utils/ids.js';
+
+const logger = createLogger('mirror:store');
+
+/**
+ * Entity types kept in the mirror
+ */
+export const MIRROR_ENTITIES = ['issues', 'rfis', 'submittals', 'forms', 'locations', 'users'];
+
+/**
+ * Embedded store for mirrored project data: one JSON file per project, held in memory
+ * while the server runs.
+ *
+ * Each project file holds `{ projectId, entities: { <entity>: { records, lastSyncedAt,
+ * cursor } } }`, where `records` maps IDs to APS records and `cursor` is the newest
+ * `updatedAt` seen (the starting point of the next incremental sync).
+ */
+export class MirrorStore {
+  /**
+   * @param {string} dir - Directory for project files
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.projects = new Map();
+    this.writes = new Map();
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @returns {string} Project file path
+   */
+  filePath(containerId) {
+    return path.join(this.dir, `${containerId.replace(/[^\w.-]/g, '_')}.json`);
+  }
+
+  /**
+   * Load a project from disk, or start it empty
+   * @param {string} projectId - Project ID in either form
+   * @returns {Promise<Object>} Project data
+   */
+  async load(projectId) {
+    const containerId = toContainerId(projectId);
+    if (this.projects.has(containerId)) return this.projects.get(containerId);
+
+    let project = { projectId: containerId, entities: {} };
+    try {
+      project = JSON.parse(await fs.promises.readFile(this.filePath(containerId), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Cannot read mirror of ${containerId}, starting over: ${error.message}`);
+      }
+    }
+
+    for (const entity of MIRROR_ENTITIES) {
+      project.entities[entity] ??= { records: {}, lastSyncedAt: null, cursor: null };
+    }
+    this.projects.set(containerId, project);
+    return project;
+  }
+
+  /**
+   * A loaded project
+   * @param {string} projectId - Project ID in either form
+   * @returns {Object|undefined} Project data
+   */
+  get(projectId) {
+    return this.projects.get(toContainerId(projectId));
+  }
+
+  /**
+   * Loaded projects
+   * @returns {Object[]} Project data
+   */
+  all() {
+    return [...this.projects.values()];
+  }
+
+  /**
+   * Insert or replace records, moving the cursor forward
+   * @param {string} projectId - Project ID
+   * @param {string} entity - Entity type
+   * @param {Object[]} records - APS records with `id`
+   */
+  upsert(projectId, entity, records) {
+    const state = this.get(projectId).entities[entity];
+    for (const record of records) {
+      state.records[record.id] = record;
+      if (record.updatedAt && (!state.cursor || record.updatedAt > state.cursor)) {
+        state.cursor = record.updatedAt;
+      }
+    }
+  }
+
+  /**
+   * Replace every record of an entity (full sync), dropping records deleted upstream
+   * @param {string} projectId - Project ID
+   * @param {string} entity - Entity type
+   * @param {Object[]} records - APS records with `id`
+   */
+  replace(projectId, entity, records) {
+    const state = this.get(projectId).entities[entity];
+    state.records = {};
+    state.cursor = null;
+    this.upsert(projectId, entity, records);
+  }
+
+  /**
+   * Remove a record
+   * @param {string} projectId - Project ID
+   * @param {string} entity - Entity type
+   * @param {string} id - Record ID
+   */
+  remove(projectId, entity, id) {
+    delete this.get(projectId)?.entities[entity]?.records[id];
+  }
+
+  /**
+   * Record a completed sync
+   * @param {string} projectId - Project ID
+   * @param {string} entity - Entity type
+   * @param {string} syncedAt - ISO time the sync started
+   */
+  markSynced(projectId, entity, syncedAt) {
+    this.get(projectId).entities[entity].lastSyncedAt = syncedAt;
+  }
+
+  /**
+   * Write a project to disk (temporary file, then rename). Writes of one project are
+   * serialized.
+   * @param {string} projectId - Project ID
+   * @returns {Promise<void>}
+   */
+  save(projectId) {
+    const containerId = toContainerId(projectId);
+    const previous = this.writes.get(containerId) || Promise.resolve();
+
+    const write = previous.then(async () => {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      const file = this.filePath(containerId);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(this.projects.get(containerId)), {
+        mode: 0o600,
+      });
+      await fs.promises.rename(tmp, file);
+    });
+
+    this.writes.set(
+      containerId,
+      write.catch((error) => logger.error(`Failed to save mirror of ${containerId}:`, error))
+    );
+    return write;
+  }
+}
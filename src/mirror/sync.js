@@ -0,0 +1,267 @@
+import { createLogger } from '../utils/logger.js';
+import { fillEndpoint, toContainerId } from '../utils/ids.js';
+import { getApiEndpoints } from '../config.js';
+import { entityFromUrl } from '../audit/log.js';
+import { fetchAllResults } from '../bulk/issueImport.js';
+import { MIRROR_ENTITIES } from './store.js';
+
+const logger = createLogger('mirror:sync');
+
+const REFRESH_DELAY_MS = 2000;
+
+/**
+ * Where each entity is listed from. Incremental entities are fetched with an
+ * `updatedAt` range starting at the store cursor; the rest are always fetched whole.
+ */
+const SOURCES = {
+  issues: { url: (e, ids) => fillEndpoint(e.acc.issues, ids), incremental: true },
+  rfis: { url: (e, ids) => fillEndpoint(e.acc.rfis, ids), incremental: true },
+  submittals: { url: (e, ids) => fillEndpoint(e.acc.submittals, ids), incremental: true },
+  forms: { url: (e, ids) => fillEndpoint(e.acc.forms, ids), incremental: true },
+  locations: {
+    url: (e, ids) => fillEndpoint(e.acc.locations, { ...ids, treeId: 'default' }),
+    incremental: false,
+  },
+  users: { url: (e, ids) => fillEndpoint(e.acc.projectUsers, ids), incremental: false },
+};
+
+/**
+ * Mirror entity of a request path segment or webhook system name
+ */
+const ENTITY_ALIASES = {
+  issues: 'issues',
+  rfis: 'rfis',
+  submittals: 'submittals',
+  instances: 'forms',
+  checklists: 'forms',
+  forms: 'forms',
+  trees: 'locations',
+  locations: 'locations',
+  users: 'users',
+};
+
+/**
+ * Keeps the mirror of the configured projects up to date: on a timer, on demand, and
+ * shortly after a webhook event or a write made through this server touches a
+ * mirrored entity.
+ */
+export class MirrorSync {
+  /**
+   * @param {Object} options - Sync options
+   * @param {AuthManager} options.authManager - Authentication manager
+   * @param {Object} options.config - Configuration object
+   * @param {MirrorStore} options.store - Mirror store
+   */
+  constructor({ authManager, config, store }) {
+    this.authManager = authManager;
+    this.endpoints = getApiEndpoints(config);
+    this.options = config.mirror;
+    this.store = store;
+    this.projects = this.options.projects.map(toContainerId);
+    this.running = new Map();
+    this.pending = new Map();
+    this.errors = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Whether a project is mirrored
+   * @param {string} projectId - Project ID in either form
+   * @returns {boolean}
+   */
+  isMirrored(projectId) {
+    return this.projects.includes(toContainerId(projectId));
+  }
+
+  /**
+   * Load the mirrored projects, sync them in the background and keep them fresh
+   * @param {Object} sources - Change notifications
+   * @param {EventJournal} [sources.journal] - Webhook event journal
+   * @returns {Promise<void>}
+   */
+  async start({ journal } = {}) {
+    for (const projectId of this.projects) {
+      await this.store.load(projectId);
+    }
+
+    journal?.on('event', (event) => this.onWebhookEvent(event));
+    this.authManager.on('write', (write) => this.onWrite(write));
+
+    if (this.options.syncIntervalMs > 0) {
+      this.timer = setInterval(() => this.syncAll(), this.options.syncIntervalMs);
+      this.timer.unref();
+    }
+    this.syncAll();
+  }
+
+  /**
+   * Stop periodic and pending syncs
+   */
+  stop() {
+    clearInterval(this.timer);
+    for (const timer of this.pending.values()) {
+      clearTimeout(timer);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Sync every mirrored project, logging failures
+   * @returns {Promise<void>}
+   */
+  async syncAll() {
+    for (const projectId of this.projects) {
+      await this.syncProject(projectId).catch((error) =>
+        logger.warn(`Mirror sync of ${projectId} failed: ${error.message}`)
+      );
+    }
+  }
+
+  /**
+   * Sync one project. Concurrent calls for the same project share the running sync.
+   * @param {string} projectId - Project ID in either form
+   * @param {Object} [options] - Sync options
+   * @param {string[]} [options.entities] - Entities to sync (defaults to all)
+   * @param {boolean} [options.full] - Refetch everything, dropping records deleted upstream
+   * @returns {Promise<Object>} Result per entity: `{ mode, fetched, total }` or `{ error }`
+   */
+  async syncProject(projectId, { entities = MIRROR_ENTITIES, full = false } = {}) {
+    const containerId = toContainerId(projectId);
+    const running = this.running.get(containerId);
+    if (running) {
+      await running.catch(() => {});
+      return this.syncProject(projectId, { entities, full });
+    }
+
+    const sync = this.runSync(containerId, entities, full);
+    this.running.set(containerId, sync);
+    try {
+      return await sync;
+    } finally {
+      this.running.delete(containerId);
+    }
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @param {string[]} entities - Entities to sync
+   * @param {boolean} full - Full refetch
+   * @returns {Promise<Object>} Result per entity
+   */
+  async runSync(containerId, entities, full) {
+    await this.store.load(containerId);
+    const ids = { containerId, projectId: containerId };
+    const results = {};
+
+    for (const entity of entities) {
+      const source = SOURCES[entity];
+      const state = this.store.get(containerId).entities[entity];
+      const incremental = source.incremental && !full && state.lastSyncedAt && state.cursor;
+      const startedAt = new Date().toISOString();
+
+      try {
+        const records = await fetchAllResults(
+          this.authManager,
+          source.url(this.endpoints, ids),
+          incremental ? { 'filter[updatedAt]': `${state.cursor}..` } : undefined
+        );
+        if (incremental) {
+          this.store.upsert(containerId, entity, records);
+        } else {
+          this.store.replace(containerId, entity, records);
+        }
+        this.store.markSynced(containerId, entity, startedAt);
+        this.errors.delete(`${containerId}/${entity}`);
+        results[entity] = {
+          mode: incremental ? 'incremental' : 'full',
+          fetched: records.length,
+          total: Object.keys(state.records).length,
+        };
+      } catch (error) {
+        this.errors.set(`${containerId}/${entity}`, { message: error.message, at: startedAt });
+        results[entity] = { error: error.message };
+      }
+    }
+
+    await this.store.save(containerId);
+    logger.debug(`Mirror sync of ${containerId}: ${JSON.stringify(results)}`);
+    return results;
+  }
+
+  /**
+   * Sync one entity of a project shortly, coalescing bursts of changes
+   * @param {string} containerId - Container ID
+   * @param {string} entity - Entity type
+   */
+  scheduleRefresh(containerId, entity) {
+    const key = `${containerId}/${entity}`;
+    clearTimeout(this.pending.get(key));
+    const timer = setTimeout(() => {
+      this.pending.delete(key);
+      this.syncProject(containerId, { entities: [entity] }).catch((error) =>
+        logger.warn(`Mirror refresh of ${key} failed: ${error.message}`)
+      );
+    }, REFRESH_DELAY_MS);
+    timer.unref();
+    this.pending.set(key, timer);
+  }
+
+  /**
+   * @param {Object} event - Journal event
+   */
+  onWebhookEvent(event) {
+    const entity = ENTITY_ALIASES[event.system?.split('.').pop()];
+    if (!entity || !event.projectId || !this.isMirrored(event.projectId)) return;
+
+    const containerId = toContainerId(event.projectId);
+    if (/deleted/i.test(event.event || '') && event.entityId) {
+      this.store.remove(containerId, entity, event.entityId);
+      this.store.save(containerId).catch(() => {});
+      return;
+    }
+    this.scheduleRefresh(containerId, entity);
+  }
+
+  /**
+   * @param {Object} write - AuthManager `write` event
+   */
+  onWrite(write) {
+    const { projectId, type, id } = entityFromUrl(write.url);
+    const entity = ENTITY_ALIASES[type];
+    if (!entity || !projectId || !this.isMirrored(projectId)) return;
+
+    if (write.method.toLowerCase() === 'delete' && id) {
+      this.store.remove(projectId, entity, id);
+      this.store.save(projectId).catch(() => {});
+      return;
+    }
+    this.scheduleRefresh(projectId, entity);
+  }
+
+  /**
+   * How fresh the mirror of a project is
+   * @param {string} projectId - Project ID in either form
+   * @returns {Object} Per entity `{ records, lastSyncedAt, ageSeconds, lastError }`
+   */
+  freshness(projectId) {
+    const containerId = toContainerId(projectId);
+    const project = this.store.get(containerId);
+    const now = Date.now();
+    const entities = {};
+
+    for (const entity of MIRROR_ENTITIES) {
+      const state = project?.entities[entity];
+      const lastSyncedAt = state?.lastSyncedAt || null;
+      entities[entity] = {
+        records: state ? Object.keys(state.records).length : 0,
+        lastSyncedAt,
+        ageSeconds: lastSyncedAt ? Math.round((now - Date.parse(lastSyncedAt)) / 1000) : null,
+        ...(this.errors.has(`${containerId}/${entity}`) && {
+          lastError: this.errors.get(`${containerId}/${entity}`),
+        }),
+      };
+    }
+
+    return { projectId: containerId, syncing: this.running.has(containerId), entities };
+  }
+}
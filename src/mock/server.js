@@ -0,0 +1,354 @@
+import express from 'express';
+import { STATUS_CODES } from 'http';
+import { createHash, randomBytes } from 'crypto';
+import { createLogger } from '../utils/logger.js';
+import { getApiEndpoints } from '../config.js';
+import { MockStore } from './store.js';
+
+const logger = createLogger('mock-api');
+
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 200;
+const SIGNED_DOWNLOAD_PATH = '/mock-s3';
+
+// 1x1 PNG served for every OSS object
+const PLACEHOLDER_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+/**
+ * Reduce every endpoint URL to its path template (e.g. `/project/v1/hubs/:hubId/projects`)
+ * @param {Object} endpoints - Output of getApiEndpoints()
+ * @returns {Object} Same shape with path templates instead of URLs
+ */
+function toPathTemplates(endpoints) {
+  const paths = {};
+
+  for (const [group, entries] of Object.entries(endpoints)) {
+    paths[group] = {};
+    for (const [key, url] of Object.entries(entries)) {
+      paths[group][key] = new URL(url).pathname;
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Build an absolute URL for the current request with some query parameters replaced
+ * @param {express.Request} req - Incoming request
+ * @param {Object} query - Query parameters
+ * @returns {string} Absolute URL
+ */
+function selfUrl(req, query) {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+  for (const [key, value] of Object.entries(query)) {
+    url.searchParams.set(key, String(value));
+  }
+  return url.toString();
+}
+
+/**
+ * Send an APS-shaped error body
+ * @param {express.Response} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} detail - Human readable detail
+ */
+function sendError(res, status, detail) {
+  res.status(status).json({
+    errors: [{ status: String(status), title: STATUS_CODES[status], detail }],
+  });
+}
+
+/**
+ * Paginate an ACC container collection (`limit`/`offset` with `pagination.nextUrl`)
+ * @param {express.Request} req - Incoming request
+ * @param {Array} records - Records to page through
+ * @returns {Object} Paginated response body
+ */
+function containerPage(req, records) {
+  const limit = Math.min(parseInt(req.query.limit || DEFAULT_PAGE_LIMIT, 10), MAX_PAGE_LIMIT);
+  const offset = parseInt(req.query.offset || '0', 10);
+  const results = records.slice(offset, offset + limit);
+  const hasMore = offset + limit < records.length;
+
+  return {
+    pagination: {
+      limit,
+      offset,
+      totalResults: records.length,
+      ...(hasMore && { nextUrl: selfUrl(req, { limit, offset: offset + limit }) }),
+    },
+    results,
+  };
+}
+
+/**
+ * Paginate a Data Management collection (`page[number]`/`page[limit]` with `links.next`)
+ * @param {express.Request} req - Incoming request
+ * @param {Array} records - Records to page through
+ * @returns {Object} JSON:API response body
+ */
+function jsonApiPage(req, records) {
+  const page = req.query.page || {};
+  const limit = Math.min(parseInt(page.limit || MAX_PAGE_LIMIT, 10), MAX_PAGE_LIMIT);
+  const number = parseInt(page.number || '0', 10);
+  const data = records.slice(number * limit, (number + 1) * limit);
+  const hasMore = (number + 1) * limit < records.length;
+
+  return {
+    jsonapi: { version: '1.0' },
+    links: {
+      self: { href: selfUrl(req, { 'page[number]': number, 'page[limit]': limit }) },
+      ...(hasMore && {
+        next: { href: selfUrl(req, { 'page[number]': number + 1, 'page[limit]': limit }) },
+      }),
+    },
+    data,
+  };
+}
+
+/**
+ * Issue a mock token response
+ * @param {string} grantType - OAuth grant type
+ * @returns {Object} OAuth token body
+ */
+function issueToken(grantType) {
+  const token = {
+    token_type: 'Bearer',
+    access_token: `mock-access-${randomBytes(12).toString('hex')}`,
+    expires_in: 3600,
+  };
+  // Like APS, two-legged tokens come without a refresh token
+  if (grantType !== 'client_credentials') {
+    token.refresh_token = `mock-refresh-${randomBytes(12).toString('hex')}`;
+  }
+  return token;
+}
+
+/**
+ * Create the express app serving every route from getApiEndpoints()
+ * @param {MockStore} store - Mock state
+ * @param {Object} config - Configuration object
+ * @returns {express.Express} Express app
+ */
+export function createMockApp(store, config) {
+  const paths = toPathTemplates(getApiEndpoints(config));
+  const app = express();
+  const mounted = new Set();
+  // Authorization codes issued by /authorize, with the PKCE challenge they were bound to
+  const authCodes = new Map();
+
+  app.set('query parser', 'extended');
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  // OAuth endpoints
+  app.get(paths.auth.authorize, (req, res) => {
+    const redirect = new URL(req.query.redirect_uri);
+    const code = `mock-code-${randomBytes(8).toString('hex')}`;
+    authCodes.set(code, { codeChallenge: req.query.code_challenge });
+    redirect.searchParams.set('code', code);
+    if (req.query.state) {
+      redirect.searchParams.set('state', req.query.state);
+    }
+    res.redirect(redirect.toString());
+  });
+
+  app.post(paths.auth.token, (req, res) => {
+    const grants = ['authorization_code', 'refresh_token', 'client_credentials'];
+    if (!grants.includes(req.body.grant_type)) {
+      return sendError(res, 400, `Unsupported grant_type: ${req.body.grant_type}`);
+    }
+
+    if (req.body.grant_type === 'authorization_code') {
+      const issued = authCodes.get(req.body.code);
+      authCodes.delete(req.body.code);
+      const verifier = req.body.code_verifier || '';
+      const challenge = createHash('sha256').update(verifier).digest('base64url');
+
+      if (!issued || (issued.codeChallenge && issued.codeChallenge !== challenge)) {
+        return res
+          .status(400)
+          .json({ error: 'invalid_grant', error_description: 'Invalid code or code_verifier' });
+      }
+    }
+    res.json(issueToken(req.body.grant_type));
+  });
+
+  app.get(paths.auth.userInfo, (req, res) => {
+    res.json({ sub: 'MOCKUSER', name: 'Mock User', email: 'mock.user@example.com' });
+  });
+
+  // Signed S3 URLs carry their own authorization
+  app.get(`${SIGNED_DOWNLOAD_PATH}/:bucketKey/:objectKey`, (req, res) => {
+    res.type('png').send(PLACEHOLDER_PNG);
+  });
+
+  // Everything else requires a bearer token, like APS does
+  app.use((req, res, next) => {
+    if (!/^Bearer\s+\S+/.test(req.get('authorization') || '')) {
+      return sendError(res, 401, 'Missing or invalid bearer token');
+    }
+    next();
+  });
+
+  /**
+   * Mount a route group once (several endpoint keys share a path)
+   * @param {string} template - Path template
+   * @param {Function} mountFn - Mounts the routes for the template
+   */
+  const mount = (template, mountFn) => {
+    if (mounted.has(template)) return;
+    mounted.add(template);
+    mountFn(template);
+  };
+
+  // JSON:API collections: hubs, projects, folder contents
+  const mountJsonApi = (template, getRecords, idParam) => {
+    mount(template, () => {
+      app.get(template, (req, res) => res.json(jsonApiPage(req, getRecords(req.params))));
+
+      if (idParam) {
+        app.get(`${template}/:${idParam}`, (req, res) => {
+          const record = store.find(getRecords(req.params), req.params[idParam]);
+          if (!record) return sendError(res, 404, `${idParam} ${req.params[idParam]} not found`);
+          res.json({ jsonapi: { version: '1.0' }, data: record });
+        });
+      }
+    });
+  };
+
+  // ACC container collections with create/update support
+  const mountContainer = (template, getRecords, idParam = 'id') => {
+    mount(template, () => {
+      app.get(template, (req, res) => {
+        const records = store.filter(getRecords(req.params), req.query.filter);
+        res.json(containerPage(req, records));
+      });
+
+      app.post(template, (req, res) => {
+        res.status(201).json(store.create(getRecords(req.params), req.body));
+      });
+
+      app.get(`${template}/:${idParam}`, (req, res) => {
+        const record = store.find(getRecords(req.params), req.params[idParam]);
+        if (!record) return sendError(res, 404, `${idParam} ${req.params[idParam]} not found`);
+        res.json(record);
+      });
+
+      app.patch(`${template}/:${idParam}`, (req, res) => {
+        const record = store.find(getRecords(req.params), req.params[idParam]);
+        if (!record) return sendError(res, 404, `${idParam} ${req.params[idParam]} not found`);
+        res.json(store.update(record, req.body));
+      });
+    });
+  };
+
+  mountJsonApi(paths.data.hubs, () => store.collection('hubs'), 'hubId');
+  mountJsonApi(paths.data.projects, (p) => store.collection('projects', p.hubId), 'projectId');
+  mountJsonApi(paths.acc.projects, (p) => store.collection('projects', p.hubId), 'projectId');
+  mountJsonApi(paths.data.folders, (p) => store.collection('folders', p.projectId, p.folderId));
+  mountJsonApi(paths.acc.photos, (p) => store.collection('folders', p.projectId, p.folderId));
+
+  mountContainer(paths.acc.issues, (p) => store.collection('issues', p.containerId));
+  mountContainer(paths.acc.issueTypes, (p) => store.collection('issueTypes', p.containerId));
+  mountContainer(paths.acc.projectUsers, (p) => store.collection('users', p.projectId));
+  mountContainer(paths.acc.issueComments, (p) =>
+    store.collection('issueComments', p.containerId, p.issueId)
+  );
+  mountContainer(paths.acc.issueAttachments, (p) =>
+    store.collection('attachments', p.projectId, p.issueId)
+  );
+  mountContainer(paths.acc.rfis, (p) => store.collection('rfis', p.containerId));
+  mountContainer(paths.acc.submittals, (p) => store.collection('submittals', p.containerId));
+  mountContainer(paths.acc.forms, (p) => store.collection('checklists', p.containerId));
+  mountContainer(`${paths.acc.cost}/:resource`, (p) =>
+    store.collection('cost', p.containerId, p.resource)
+  );
+  mountContainer(
+    paths.acc.locations,
+    (p) => store.collection('locations', p.containerId, p.treeId),
+    'nodeId'
+  );
+
+  mount(paths.data.items, (template) => {
+    app.get(template, (req, res) => {
+      const record = store.find(store.collection('items', req.params.projectId), req.params.itemId);
+      if (!record) return sendError(res, 404, `itemId ${req.params.itemId} not found`);
+      res.json({ jsonapi: { version: '1.0' }, data: record });
+    });
+  });
+
+  mount(paths.oss.signedDownload, (template) => {
+    app.get(template, (req, res) => {
+      const object = [req.params.bucketKey, req.params.objectKey].map(encodeURIComponent);
+      const url = `${req.protocol}://${req.get('host')}${SIGNED_DOWNLOAD_PATH}/${object.join('/')}`;
+      res.json({ status: 'complete', url });
+    });
+  });
+
+  // Webhook registrations
+  mount(paths.webhooks.list, (template) => {
+    app.get(template, (req, res) => res.json({ links: {}, data: store.collection('hooks') }));
+  });
+
+  mount(paths.webhooks.tokens, (template) => {
+    app.post(template, (req, res) => res.status(200).end());
+    app.put(template, (req, res) => res.status(204).end());
+  });
+
+  mount(paths.webhooks.hooks, (template) => {
+    app.post(template, (req, res) => {
+      const hook = store.create(store.collection('hooks'), {
+        ...req.body,
+        system: req.params.system,
+        event: req.params.event,
+        status: 'active',
+      });
+      hook.hookId = hook.id;
+      res.status(201).location(`${req.originalUrl}/${hook.hookId}`).json(hook);
+    });
+
+    app.delete(`${template}/:hookId`, (req, res) => {
+      const hooks = store.collection('hooks');
+      const index = hooks.findIndex((hook) => hook.hookId === req.params.hookId);
+      if (index === -1) return sendError(res, 404, `hookId ${req.params.hookId} not found`);
+      hooks.splice(index, 1);
+      res.status(204).end();
+    });
+  });
+
+  app.use((req, res) => sendError(res, 404, `No mock route for ${req.method} ${req.path}`));
+
+  return app;
+}
+
+/**
+ * Start the mock API and point the configuration at it
+ * @param {Object} config - Configuration object (baseUrl and authUrl are rewritten)
+ * @returns {Promise<Object>} Running mock: { url, store, close }
+ */
+export async function startMockApi(config) {
+  const store = new MockStore({ fixturesDir: config.debug.mockFixturesDir });
+  const app = createMockApp(store, config);
+  const authPath = new URL(config.autodesk.authUrl).pathname;
+
+  const httpServer = await new Promise((resolve, reject) => {
+    const listener = app.listen(config.debug.mockApiPort, '127.0.0.1', () => resolve(listener));
+    listener.on('error', reject);
+  });
+
+  const url = `http://127.0.0.1:${httpServer.address().port}`;
+  config.autodesk.baseUrl = url;
+  config.autodesk.authUrl = `${url}${authPath}`;
+
+  logger.info(`Mock Autodesk Build API listening on ${url}`);
+
+  return {
+    url,
+    store,
+    close: () => new Promise((resolve) => httpServer.close(() => resolve())),
+  };
+}
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('mock-store');
+
+const BUILTIN_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Fixture files loaded by the mock API, keyed by resource family
+ */
+export const FIXTURE_FAMILIES = [
+  'hubs',
+  'projects',
+  'issues',
+  'issueTypes',
+  'issueComments',
+  'attachments',
+  'users',
+  'rfis',
+  'submittals',
+  'checklists',
+  'cost',
+  'locations',
+  'folders',
+  'items',
+  'hooks',
+];
+
+/**
+ * In-memory state for the mock Autodesk Build API, seeded from JSON fixtures
+ */
+export class MockStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} [options.fixturesDir] - Directory with fixture overrides
+   */
+  constructor(options = {}) {
+    this.fixturesDir = options.fixturesDir;
+    this.data = {};
+    this.reset();
+  }
+
+  /**
+   * Reload every fixture, discarding changes made through the API
+   */
+  reset() {
+    for (const family of FIXTURE_FAMILIES) {
+      this.data[family] = this.loadFixture(family);
+    }
+    logger.debug('Mock fixtures loaded', { fixturesDir: this.fixturesDir || BUILTIN_FIXTURES_DIR });
+  }
+
+  /**
+   * Load a fixture file, preferring the override directory when it has one
+   * @param {string} family - Resource family
+   * @returns {Object|Array} Parsed fixture
+   */
+  loadFixture(family) {
+    const candidates = [BUILTIN_FIXTURES_DIR];
+    if (this.fixturesDir) {
+      candidates.unshift(path.resolve(this.fixturesDir));
+    }
+
+    for (const dir of candidates) {
+      const file = path.join(dir, `${family}.json`);
+      if (fs.existsSync(file)) {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      }
+    }
+
+    return ['hubs', 'hooks'].includes(family) ? [] : {};
+  }
+
+  /**
+   * Get (creating if needed) the array stored under a key path
+   * @param {string} family - Resource family
+   * @param {...string} keys - Nested keys, e.g. container ID then sub-collection
+   * @returns {Array} Mutable collection
+   */
+  collection(family, ...keys) {
+    if (keys.length === 0) {
+      return this.data[family];
+    }
+
+    let node = this.data[family];
+    keys.forEach((key, index) => {
+      const isLast = index === keys.length - 1;
+      if (node[key] === undefined) {
+        node[key] = isLast ? [] : {};
+      }
+      node = node[key];
+    });
+
+    return node;
+  }
+
+  /**
+   * Find a record by ID
+   * @param {Array} records - Collection
+   * @param {string} id - Record ID
+   * @returns {Object|undefined} Matching record
+   */
+  find(records, id) {
+    return records.find((record) => record.id === id);
+  }
+
+  /**
+   * Create a record in a collection
+   * @param {Array} records - Collection
+   * @param {Object} attributes - Record body
+   * @returns {Object} Created record
+   */
+  create(records, attributes) {
+    const now = new Date().toISOString();
+    const record = {
+      id: randomUUID(),
+      ...attributes,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    if (records.some((existing) => existing.displayId !== undefined)) {
+      record.displayId = Math.max(...records.map((existing) => existing.displayId || 0)) + 1;
+    }
+
+    records.push(record);
+    return record;
+  }
+
+  /**
+   * Merge changes into an existing record
+   * @param {Object} record - Record to update
+   * @param {Object} changes - Fields to change
+   * @returns {Object} Updated record
+   */
+  update(record, changes) {
+    const rest = { ...changes };
+    delete rest.id;
+    delete rest.createdAt;
+
+    Object.assign(record, rest, { updatedAt: new Date().toISOString() });
+    return record;
+  }
+
+  /**
+   * Apply `filter[field]=a,b` style filters to a collection. `from..to` values (either
+   * end optional) match a range, as APS does for dates.
+   * @param {Array} records - Collection
+   * @param {Object} [filter] - Parsed filter query object
+   * @returns {Array} Matching records
+   */
+  filter(records, filter) {
+    if (!filter || typeof filter !== 'object') {
+      return records;
+    }
+
+    return records.filter((record) =>
+      Object.entries(filter).every(([field, expected]) => {
+        const value = record[field] ?? record.attributes?.[field];
+        if (String(expected).includes('..')) {
+          const [from, to] = String(expected).split('..');
+          return value != null && (!from || value >= from) && (!to || value <= to);
+        }
+        const allowed = String(expected).split(',');
+        return allowed.includes(String(value));
+      })
+    );
+  }
+}
@@ -0,0 +1,263 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { z } from 'zod';
+import { createLogger } from '../utils/logger.js';
+import { ApsError } from '../utils/apsError.js';
+import { getApiEndpoints } from '../config.js';
+
+const logger = createLogger('plugins');
+
+/**
+ * npm packages named like this (optionally scoped, e.g. `@acme/mcp-autodesk-build-plugin-p6`)
+ * are loaded when `config.plugins.npm` is set
+ */
+export const PLUGIN_PACKAGE_PREFIX = 'mcp-autodesk-build-plugin-';
+
+/**
+ * Scopes that allow a plugin to send requests other than GET
+ */
+const WRITE_SCOPES = ['data:write', 'data:create', 'account:write'];
+
+/**
+ * What a plugin module exports, as `default` or `plugin`
+ */
+const pluginSchema = z.object({
+  name: z
+    .string()
+    .regex(/^[a-z][a-z0-9-]*$/, 'Plugin names are lowercase letters, digits and dashes'),
+  version: z.string().optional(),
+  description: z.string().optional(),
+  scopes: z.array(z.string()).default([]),
+  register: z.custom((value) => typeof value === 'function', 'register must be a function'),
+});
+
+/**
+ * Restricted view of the auth manager for one plugin: requests only go to the APS base
+ * URL, and only plugins that declared a write scope can send anything but GET
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {Object} config - Configuration object
+ * @param {Object} plugin - Validated plugin definition
+ * @returns {Object} { makeAuthenticatedRequest, getIdentity, isAuthenticated }
+ */
+export function createScopedAuth(authManager, config, plugin) {
+  const canWrite = plugin.scopes.some((scope) => WRITE_SCOPES.includes(scope));
+  const baseUrl = config.autodesk.baseUrl.replace(/\/$/, '');
+
+  return {
+    async makeAuthenticatedRequest(options) {
+      const method = (options.method || 'get').toLowerCase();
+      if (method !== 'get' && !canWrite) {
+        throw new ApsError(
+          'POLICY_DENIED',
+          `Plugin ${plugin.name} did not declare a write scope (${WRITE_SCOPES.join(', ')})`
+        );
+      }
+      if (!String(options.url).startsWith(`${baseUrl}/`)) {
+        throw new ApsError(
+          'POLICY_DENIED',
+          `Plugin ${plugin.name} can only send authenticated requests to ${baseUrl}`
+        );
+      }
+      return authManager.makeAuthenticatedRequest(options);
+    },
+    getIdentity: () => authManager.getIdentity(),
+    get isAuthenticated() {
+      return authManager.isAuthenticated;
+    },
+  };
+}
+
+/**
+ * Settings of one plugin from `PLUGIN_<NAME>_*` variables, e.g. `PLUGIN_P6_BRIDGE_URL`
+ * becomes `{ url }` for the plugin `p6-bridge`
+ * @param {Object} env - `config.plugins.env`
+ * @param {string} name - Plugin name
+ * @returns {Object} Settings with lower-camel-case keys
+ */
+function pluginSettings(env, name) {
+  const prefix = `PLUGIN_${name.toUpperCase().replace(/-/g, '_')}_`;
+  return Object.fromEntries(
+    Object.entries(env)
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, value]) => [
+        key
+          .slice(prefix.length)
+          .toLowerCase()
+          .replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase()),
+        value,
+      ])
+  );
+}
+
+/**
+ * Discovers, validates and registers third-party tool modules. A plugin that fails to
+ * load, lacks a granted scope or throws while registering is logged and skipped; the
+ * rest of the server starts as usual.
+ */
+export class PluginLoader {
+  /**
+   * @param {Object} config - Configuration object
+   */
+  constructor(config) {
+    this.config = config;
+    this.plugins = [];
+    this.failures = [];
+  }
+
+  /**
+   * Module specifiers of every plugin in the plugin directory and, if enabled, in
+   * node_modules
+   * @returns {Promise<Object[]>} `{ source, specifier }`
+   */
+  async discover() {
+    const found = [];
+    const { dir, npm } = this.config.plugins;
+
+    if (dir) {
+      const root = path.resolve(dir);
+      const entries = await fs.promises.readdir(root, { withFileTypes: true }).catch((error) => {
+        logger.warn(`Cannot read plugin directory ${root}: ${error.message}`);
+        return [];
+      });
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+      for (const entry of entries) {
+        const full = path.join(root, entry.name);
+        if (entry.isFile() && /\.m?js$/.test(entry.name)) {
+          found.push({ source: full, specifier: pathToFileURL(full).href });
+        } else if (entry.isDirectory() && fs.existsSync(path.join(full, 'package.json'))) {
+          // A broken manifest only skips that plugin
+          try {
+            const manifest = JSON.parse(fs.readFileSync(path.join(full, 'package.json'), 'utf8'));
+            const main = path.join(full, manifest.main || 'index.js');
+            found.push({ source: full, specifier: pathToFileURL(main).href });
+          } catch (error) {
+            this.failures.push({
+              source: full,
+              error: `unreadable package.json: ${error.message}`,
+            });
+            logger.error(`Skipping plugin ${full}: unreadable package.json: ${error.message}`);
+          }
+        }
+      }
+    }
+
+    if (npm) {
+      const modules = path.resolve('node_modules');
+      const names = await fs.promises.readdir(modules).catch(() => []);
+      for (const name of names) {
+        if (name.startsWith(PLUGIN_PACKAGE_PREFIX)) {
+          found.push({ source: name, specifier: name });
+        } else if (name.startsWith('@')) {
+          const scoped = await fs.promises.readdir(path.join(modules, name)).catch(() => []);
+          scoped
+            .filter((pkg) => pkg.startsWith(PLUGIN_PACKAGE_PREFIX))
+            .forEach((pkg) =>
+              found.push({ source: `${name}/${pkg}`, specifier: `${name}/${pkg}` })
+            );
+        }
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Import and validate every discovered plugin. Runs once; the plugins are then
+   * registered on each server.
+   * @returns {Promise<Object[]>} Loaded plugin definitions
+   */
+  async load() {
+    const granted = new Set(
+      (this.config.autodesk.authMode === 'two-legged'
+        ? this.config.autodesk.clientCredentialsScope
+        : this.config.autodesk.scope
+      ).split(/\s+/)
+    );
+
+    for (const { source, specifier } of await this.discover()) {
+      try {
+        const module = await import(specifier);
+        const definition = module.default ?? module.plugin;
+        if (!definition) {
+          throw new Error('exports no plugin (expected a default or `plugin` export)');
+        }
+        const parsed = pluginSchema.safeParse(definition);
+        if (!parsed.success) {
+          const issues = parsed.error.issues.map(
+            (issue) => `${issue.path.join('.')}: ${issue.message}`
+          );
+          throw new Error(`invalid plugin definition (${issues.join('; ')})`);
+        }
+
+        const plugin = { ...parsed.data, source };
+        const missing = plugin.scopes.filter((scope) => !granted.has(scope));
+        if (missing.length > 0) {
+          throw new Error(`needs scopes the server is not granted: ${missing.join(', ')}`);
+        }
+        if (this.plugins.some((loaded) => loaded.name === plugin.name)) {
+          throw new Error(`a plugin named ${plugin.name} is already loaded`);
+        }
+
+        this.plugins.push(plugin);
+        logger.info(`Loaded plugin ${plugin.name}${plugin.version ? `@${plugin.version}` : ''}`);
+      } catch (error) {
+        this.failures.push({ source, error: error.message });
+        logger.error(`Skipping plugin ${source}: ${error.message}`);
+      }
+    }
+
+    return this.plugins;
+  }
+
+  /**
+   * Register the tools of every loaded plugin on a server. Tools whose names are taken
+   * are skipped; a plugin whose register() throws contributes no tools.
+   * @param {Server} server - MCP server instance
+   * @param {AuthManager} authManager - Authentication manager
+   * @param {Function} createTool - createTool() of the tool registry
+   * @returns {Promise<number>} Number of tools registered
+   */
+  async register(server, authManager, createTool) {
+    let total = 0;
+    const endpoints = getApiEndpoints(this.config);
+
+    for (const plugin of this.plugins) {
+      try {
+        const tools = await plugin.register({
+          createTool,
+          z,
+          ApsError,
+          auth: createScopedAuth(authManager, this.config, plugin),
+          config: {
+            endpoints,
+            hubId: this.config.autodesk.hubId,
+            settings: pluginSettings(this.config.plugins.env, plugin.name),
+          },
+          logger: createLogger(`plugin:${plugin.name}`),
+        });
+
+        let count = 0;
+        for (const tool of tools || []) {
+          if (typeof tool?.handler !== 'function' || !tool.name || !tool.inputSchema) {
+            logger.warn(`Plugin ${plugin.name} returned a tool not made with createTool; skipped`);
+          } else if (server.tools[tool.name]) {
+            logger.warn(
+              `Plugin ${plugin.name} tool ${tool.name} clashes with an existing tool; skipped`
+            );
+          } else {
+            server.tools[tool.name] = { ...tool, module: plugin.name, plugin: plugin.name };
+            count++;
+          }
+        }
+
+        total += count;
+        logger.info(`Registered ${count} tools from plugin ${plugin.name}`);
+      } catch (error) {
+        logger.error(`Plugin ${plugin.name} failed to register its tools:`, error);
+      }
+    }
+
+    return total;
+  }
+}
@@ -0,0 +1,268 @@
+import fs from 'fs';
+import { z } from 'zod';
+import { createLogger } from '../utils/logger.js';
+import { ApsError } from '../utils/apsError.js';
+import { toContainerId } from '../utils/ids.js';
+import { toolErrorResult } from '../tools/index.js';
+
+const logger = createLogger('policy');
+
+const selectorList = z.array(z.string()).default([]);
+
+/**
+ * Policy file schema.
+ *
+ * Tool selectors are tool names with `*` wildcards (`delete_*`) or `<module>:<kind>`,
+ * where module is a tool module (`cost`, `issues`, ... or `*`) and kind is `read`,
+ * `write` or `*` (`cost:write`).
+ */
+export const policySchema = z.object({
+  readOnly: z.boolean().default(false),
+  hideBlocked: z.boolean().default(true), // false: keep blocked tools listed but refuse calls
+  tools: z.object({ allow: selectorList, deny: selectorList }).default({}),
+  projects: z.object({ allow: selectorList, deny: selectorList }).default({}),
+  confirm: selectorList,
+});
+
+/**
+ * Load the policy from `config.policy`: the optional JSON file plus the READ_ONLY switch
+ * @param {Object} options - `config.policy`
+ * @returns {Object} Parsed policy
+ */
+export function loadPolicy(options) {
+  let raw = {};
+  if (options.file) {
+    try {
+      raw = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read policy file ${options.file}: ${error.message}`);
+    }
+  }
+
+  const policy = policySchema.parse(raw);
+  if (options.readOnly) policy.readOnly = true;
+  if (options.hideBlocked !== undefined) policy.hideBlocked = options.hideBlocked;
+  return policy;
+}
+
+/**
+ * Whether a selector covers a tool
+ * @param {string} selector - Tool name pattern or `<module>:<kind>`
+ * @param {Object} tool - Registered tool
+ * @returns {boolean} True if the selector matches
+ */
+function matches(selector, tool) {
+  const [module, kind] = selector.includes(':') ? selector.split(':') : [null, null];
+  if (module !== null) {
+    const toolKind = tool.readOnly ? 'read' : 'write';
+    return (module === '*' || module === tool.module) && (kind === '*' || kind === toolKind);
+  }
+
+  const pattern = new RegExp(`^${selector.split('*').map(escapeRegExp).join('.*')}$`);
+  return pattern.test(tool.name);
+}
+
+const escapeRegExp = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Project a tool call targets: the tool's own resolver, else the usual argument names
+ * @param {Object} tool - Registered tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<string|undefined>} Project ID
+ */
+async function targetProject(tool, args) {
+  if (tool.project) return tool.project(args);
+  return args?.projectId || args?.containerId;
+}
+
+/**
+ * Access policy for tools: read-only mode, tool and project allow/deny lists and
+ * confirmation for selected tools
+ */
+export class ToolPolicy {
+  /**
+   * @param {Object} policy - Output of loadPolicy()
+   */
+  constructor(policy) {
+    this.policy = policy;
+    this.projectAllow = policy.projects.allow.map(toContainerId);
+    this.projectDeny = policy.projects.deny.map(toContainerId);
+  }
+
+  /**
+   * Why a tool is blocked regardless of arguments
+   * @param {Object} tool - Registered tool
+   * @returns {string|null} Reason, or null if the tool is available
+   */
+  toolDenial(tool) {
+    const { readOnly, tools } = this.policy;
+
+    if (readOnly && !tool.readOnly) {
+      return `${tool.name} modifies data and the server is in read-only mode`;
+    }
+    if (tools.allow.length > 0 && !tools.allow.some((selector) => matches(selector, tool))) {
+      return `${tool.name} is not in the tool allow list`;
+    }
+    const denied = tools.deny.find((selector) => matches(selector, tool));
+    if (denied) {
+      return `${tool.name} is denied by policy (${denied})`;
+    }
+    return null;
+  }
+
+  /**
+   * Why access to a project is blocked. Tool calls, resource reads and prompts all check it.
+   * @param {string} [projectId] - Project ID, with or without the `b.` prefix
+   * @returns {string|null} Reason, or null if the project may be used
+   */
+  projectDenial(projectId) {
+    if (!projectId) return null;
+    const project = toContainerId(projectId);
+
+    if (this.projectAllow.length > 0 && !this.projectAllow.includes(project)) {
+      return `Project ${project} is not in the project allow list`;
+    }
+    if (this.projectDeny.includes(project)) {
+      return `Project ${project} is denied by policy`;
+    }
+    return null;
+  }
+
+  /**
+   * Whether calls to a tool need explicit confirmation
+   * @param {Object} tool - Registered tool
+   * @returns {boolean} True if confirmation is required
+   */
+  requiresConfirmation(tool) {
+    return this.policy.confirm.some((selector) => matches(selector, tool));
+  }
+
+  /**
+   * One-line summary for the startup log
+   * @returns {string} Summary
+   */
+  describe() {
+    const { readOnly, tools, projects, confirm } = this.policy;
+    const list = (items) => (items.length > 0 ? items.join(', ') : 'none');
+    return [
+      `read-only: ${readOnly ? 'on' : 'off'}`,
+      `tools allow: ${tools.allow.length > 0 ? list(tools.allow) : 'all'}`,
+      `tools deny: ${list(tools.deny)}`,
+      `projects allow: ${projects.allow.length > 0 ? list(projects.allow) : 'all'}`,
+      `projects deny: ${list(projects.deny)}`,
+      `confirm: ${list(confirm)}`,
+    ].join('; ');
+  }
+
+  /**
+   * Apply the policy to every registered tool: hide or block denied tools, and wrap the
+   * rest with project checks and confirmation
+   * @param {Server} server - MCP server with `tools` registered
+   * @returns {Object} { hidden, blocked, confirmed } tool names
+   */
+  apply(server) {
+    const summary = { hidden: [], blocked: [], confirmed: [] };
+
+    for (const [name, tool] of Object.entries(server.tools)) {
+      const denial = this.toolDenial(tool);
+
+      if (denial && this.policy.hideBlocked) {
+        delete server.tools[name];
+        summary.hidden.push(name);
+        continue;
+      }
+
+      if (denial) {
+        summary.blocked.push(name);
+        tool.handler = async () => toolErrorResult(new ApsError('POLICY_DENIED', denial));
+        continue;
+      }
+
+      const confirm = this.requiresConfirmation(tool);
+      if (confirm) {
+        summary.confirmed.push(name);
+        tool.inputSchema.properties.confirm = {
+          type: 'boolean',
+          description: 'Set to true once the user has approved this change',
+        };
+      }
+
+      const handler = tool.handler;
+      tool.handler = async (args = {}, extra) => {
+        let projectDenial = null;
+        try {
+          if (this.projectAllow.length > 0 || this.projectDeny.length > 0) {
+            projectDenial = this.projectDenial(await targetProject(tool, args));
+          }
+        } catch (error) {
+          // Without the project (e.g. an unknown run ID) the call cannot be allowed
+          return toolErrorResult(error);
+        }
+        if (projectDenial) {
+          logger.warn(`Blocked ${name}: ${projectDenial}`);
+          return toolErrorResult(new ApsError('POLICY_DENIED', projectDenial));
+        }
+
+        // Dry runs write nothing, so they need no confirmation
+        if (confirm && args.dryRun !== true && !(await this.confirm(server, name, args))) {
+          return toolErrorResult(
+            new ApsError('CONFIRMATION_REQUIRED', `${name} needs explicit confirmation`)
+          );
+        }
+
+        // The tool schema drops `confirm` along with any other unknown argument
+        return handler(args, extra);
+      };
+    }
+
+    return summary;
+  }
+
+  /**
+   * Get confirmation for a call: ask the user through the client when it supports
+   * elicitation, otherwise rely on the `confirm` argument
+   * @param {Server} server - MCP server
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments, including `confirm`
+   * @returns {Promise<boolean>} True if the call may proceed
+   */
+  async confirm(server, name, args) {
+    const { confirm: confirmed, ...rest } = args;
+    if (!server.getClientCapabilities?.()?.elicitation) {
+      return confirmed === true;
+    }
+
+    try {
+      const result = await server.elicitInput({
+        message: `Allow ${name} with ${JSON.stringify(rest)}?`,
+        requestedSchema: {
+          type: 'object',
+          properties: { confirm: { type: 'boolean', title: `Run ${name}`, default: false } },
+          required: ['confirm'],
+        },
+      });
+      return result.action === 'accept' && result.content?.confirm === true;
+    } catch (error) {
+      logger.debug(`Elicitation failed, falling back to the confirm argument: ${error.message}`);
+      return confirmed === true;
+    }
+  }
+}
+
+/**
+ * Load the configured policy and apply it to the registered tools
+ * @param {Server} server - MCP server with `tools` registered
+ * @param {Object} config - Configuration object
+ * @returns {ToolPolicy} Active policy
+ */
+export function applyToolPolicy(server, config) {
+  const policy = new ToolPolicy(loadPolicy(config.policy));
+  const { hidden, blocked, confirmed } = policy.apply(server);
+
+  logger.info(`Tool policy: ${policy.describe()}`);
+  if (hidden.length > 0) logger.info(`Hidden by policy: ${hidden.join(', ')}`);
+  if (blocked.length > 0) logger.info(`Blocked by policy: ${blocked.join(', ')}`);
+  if (confirmed.length > 0) logger.info(`Require confirmation: ${confirmed.join(', ')}`);
+
+  return policy;
+}
@@ -0,0 +1,237 @@
+import { EventEmitter } from 'events';
+import { createLogger } from '../utils/logger.js';
+import { ApsError } from '../utils/apsError.js';
+import { getRequestContext, runWithContext } from '../utils/requestContext.js';
+import { AuthManager } from '../auth.js';
+
+const logger = createLogger('profiles');
+
+/**
+ * Name of the profile built from the AUTODESK_* settings
+ */
+export const DEFAULT_PROFILE = 'default';
+
+/**
+ * AuthManager events passed on by the profile manager, with the profile added
+ */
+const FORWARDED_EVENTS = [
+  'authenticated',
+  'token_refreshed',
+  'logout',
+  'write',
+  'write_failed',
+  'request',
+];
+
+/**
+ * Full configuration of one profile.
+ *
+ * A profile without its own client ID uses the default app (credentials, auth mode,
+ * scopes). Hub, account and region are never inherited. Tokens are kept apart: named
+ * profiles use an encrypted token file of their own unless they set a storage.
+ * @param {Object} config - Configuration object
+ * @param {string} name - Profile name
+ * @returns {Object} Configuration with the profile's `autodesk` and `token` settings
+ */
+export function profileConfig(config, name) {
+  if (name === DEFAULT_PROFILE) return config;
+
+  const profile = config.profiles.named[name];
+  if (!profile) {
+    throw new Error(`Unknown profile: ${name}`);
+  }
+
+  const app = profile.clientId
+    ? {
+        clientId: profile.clientId,
+        clientSecret: profile.clientSecret,
+        authMode: profile.authMode || config.autodesk.authMode,
+        clientCredentialsScope:
+          profile.clientCredentialsScope || config.autodesk.clientCredentialsScope,
+        userId: profile.userId,
+      }
+    : {
+        authMode: profile.authMode || config.autodesk.authMode,
+        clientCredentialsScope:
+          profile.clientCredentialsScope || config.autodesk.clientCredentialsScope,
+        userId: profile.userId ?? config.autodesk.userId,
+      };
+
+  return {
+    ...config,
+    autodesk: {
+      ...config.autodesk,
+      ...app,
+      accountId: profile.accountId,
+      hubId: profile.hubId,
+      region: profile.region,
+    },
+    token: {
+      ...config.token,
+      storage: profile.tokenStorage || (config.token.storage === 'memory' ? 'memory' : 'file'),
+      filePath: profile.tokenFilePath || `${config.token.filePath}.${name}`,
+    },
+  };
+}
+
+/**
+ * Holds one AuthManager per profile and stands in for an AuthManager everywhere one is
+ * expected. Calls go to the profile of the current tool call (see `withProfiles` in
+ * src/tools/index.js), or to the default profile outside tool calls. Events of every
+ * profile are re-emitted with a `profile` field.
+ */
+export class ProfileManager extends EventEmitter {
+  /**
+   * @param {Object} config - Configuration object
+   */
+  constructor(config) {
+    super();
+    this.config = config;
+    this.defaultProfile = config.profiles.default;
+    this.profiles = new Map();
+
+    for (const name of [DEFAULT_PROFILE, ...Object.keys(config.profiles.named)]) {
+      const profileCfg = profileConfig(config, name);
+      const authManager = new AuthManager(profileCfg);
+      for (const event of FORWARDED_EVENTS) {
+        authManager.on(event, (payload) => this.emit(event, { ...payload, profile: name }));
+      }
+      this.profiles.set(name, { name, config: profileCfg, authManager });
+    }
+
+    if (this.profiles.size > 1) {
+      logger.info(`Profiles: ${this.names.join(', ')} (default: ${this.defaultProfile})`);
+    }
+  }
+
+  /**
+   * @returns {string[]} Profile names
+   */
+  get names() {
+    return [...this.profiles.keys()];
+  }
+
+  /**
+   * @returns {Object[]} Every profile: { name, config, authManager }
+   */
+  all() {
+    return [...this.profiles.values()];
+  }
+
+  /**
+   * @param {string} name - Profile name
+   * @returns {Object} Profile: { name, config, authManager }
+   */
+  get(name) {
+    const profile = this.profiles.get(name);
+    if (!profile) {
+      throw new ApsError(
+        'VALIDATION',
+        `Unknown profile ${name}; configured profiles: ${this.names.join(', ')}`
+      );
+    }
+    return profile;
+  }
+
+  /**
+   * @returns {Object} Profile of the current tool call, or the default profile
+   */
+  current() {
+    return this.get(getRequestContext().profile || this.defaultProfile);
+  }
+
+  /**
+   * Configuration whose `autodesk` settings (hub, account, region) follow the current
+   * profile, for modules that read them when called
+   * @returns {Object} Configuration view
+   */
+  scopedConfig() {
+    const profiles = this;
+    return Object.defineProperty({ ...this.config }, 'autodesk', {
+      enumerable: true,
+      get() {
+        return profiles.current().config.autodesk;
+      },
+    });
+  }
+
+  /**
+   * Describe every profile
+   * @returns {Object[]} Name, hub, account, region and auth state per profile
+   */
+  list() {
+    return this.all().map(({ name, config, authManager }) => ({
+      name,
+      default: name === this.defaultProfile,
+      hubId: config.autodesk.hubId || null,
+      accountId: config.autodesk.accountId || null,
+      region: config.autodesk.region || 'US',
+      mode: authManager.mode,
+      authenticated: authManager.isAuthenticated,
+      tokenExpiresAt: authManager.tokenExpiry?.toISOString() || null,
+    }));
+  }
+
+  // AuthManager interface, served by the current profile
+
+  makeAuthenticatedRequest(options) {
+    return this.current().authManager.makeAuthenticatedRequest(options);
+  }
+
+  getIdentity() {
+    return this.current().authManager.getIdentity();
+  }
+
+  async getStatus() {
+    const { name, authManager } = this.current();
+    return { profile: name, ...(await authManager.getStatus()) };
+  }
+
+  isTwoLegged() {
+    return this.current().authManager.isTwoLegged();
+  }
+
+  get isAuthenticated() {
+    return this.current().authManager.isAuthenticated;
+  }
+
+  get mode() {
+    return this.current().authManager.mode;
+  }
+
+  get tokenExpiry() {
+    return this.current().authManager.tokenExpiry;
+  }
+
+  get refreshToken() {
+    return this.current().authManager.refreshToken;
+  }
+
+  get endpoints() {
+    return this.current().authManager.endpoints;
+  }
+
+  get cache() {
+    return this.current().authManager.cache;
+  }
+
+  get scheduler() {
+    return this.current().authManager.scheduler;
+  }
+}
+
+/**
+ * Run a request of a connection as one profile: the one it names, or the connection's
+ * active profile (see switch_profile). Without profiles the work runs unchanged.
+ * @param {Server} server - MCP server of the connection (holds `activeProfile`)
+ * @param {AuthManager|ProfileManager} authManager - Authentication manager
+ * @param {string} [name] - Profile named by the request
+ * @param {Function} fn - Async work
+ * @returns {Promise<*>} Result of `fn`
+ */
+export function runAsProfile(server, authManager, name, fn) {
+  if (!(authManager instanceof ProfileManager)) return fn();
+
+  const profile = authManager.get(name || server.activeProfile || authManager.defaultProfile);
+  return runWithContext({ profile: profile.name }, fn);
+}
@@ -0,0 +1,158 @@
+import { getApiEndpoints } from '../config.js';
+import { fillEndpoint, toContainerId, toDataProjectId } from '../utils/ids.js';
+import { paginate } from '../utils/paginate.js';
+
+const OPEN_ISSUE_STATUSES = ['open', 'pending', 'in_progress', 'in_review', 'in_dispute'];
+const CLOSED_RFI_STATUSES = ['answered', 'closed', 'void'];
+const CLOSED_SUBMITTAL_STATUSES = ['closed', 'void'];
+const MAX_LINES = 25;
+
+/**
+ * Records read per collection at most; beyond that the counts are marked as partial
+ */
+const MAX_RECORDS = 2000;
+
+/**
+ * Render records as a bullet list, capped at MAX_LINES
+ * @param {Object[]} records - Records to list
+ * @param {Function} format - Formats one record
+ * @param {boolean} [truncated] - The collection had more records than were read
+ * @returns {string} Markdown list
+ */
+function bulletList(records, format, truncated = false) {
+  const partial = truncated ? `\n(only the first ${MAX_RECORDS} records were read)` : '';
+  if (records.length === 0) return `(none)${partial}`;
+
+  const lines = records.slice(0, MAX_LINES).map((record) => `- ${format(record)}`);
+  if (records.length > MAX_LINES) {
+    lines.push(`- ...and ${records.length - MAX_LINES}${truncated ? '+' : ''} more`);
+  }
+  return lines.join('\n') + partial;
+}
+
+const due = (record) => (record.dueDate ? `, due ${record.dueDate}` : '');
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Fetch all pages of a container collection for the prompt's project, up to MAX_RECORDS
+ * @param {Object} ctx - Fetcher context
+ * @param {string} endpoint - Collection endpoint template
+ * @param {Object} [params] - Query parameters
+ * @returns {Promise<Object>} { results, truncated }
+ */
+function listContainer(ctx, endpoint, params) {
+  return paginate(
+    ctx.authManager,
+    fillEndpoint(endpoint, { containerId: toContainerId(ctx.args.projectId) }),
+    { params, maxResults: MAX_RECORDS }
+  );
+}
+
+/**
+ * Live-data fetchers templates can request through their `context` list.
+ * Each returns text that is available in the template as `{{context.<name>}}`.
+ */
+export const CONTEXT_FETCHERS = {
+  project: async (ctx) => {
+    const hubId = ctx.args.hubId || ctx.config.autodesk.hubId;
+    if (!hubId) return ctx.args.projectId;
+
+    const response = await ctx.authManager.makeAuthenticatedRequest({
+      method: 'get',
+      url: fillEndpoint(`${ctx.endpoints.data.projects}/:projectId`, {
+        hubId,
+        projectId: toDataProjectId(ctx.args.projectId),
+      }),
+    });
+    return response.data.data?.attributes?.name || ctx.args.projectId;
+  },
+
+  openIssues: async (ctx) => {
+    const { results: issues, truncated } = await listContainer(ctx, ctx.endpoints.acc.issues, {
+      'filter[status]': OPEN_ISSUE_STATUSES.join(','),
+    });
+    return bulletList(
+      issues,
+      (i) => `#${i.displayId} ${i.title} (${i.status}${due(i)})`,
+      truncated
+    );
+  },
+
+  overdueIssues: async (ctx) => {
+    const { results: issues, truncated } = await listContainer(ctx, ctx.endpoints.acc.issues, {
+      'filter[status]': OPEN_ISSUE_STATUSES.join(','),
+    });
+    const overdue = issues.filter((i) => i.dueDate && i.dueDate < today());
+    return bulletList(
+      overdue,
+      (i) => `#${i.displayId} ${i.title} (${i.status}${due(i)})`,
+      truncated
+    );
+  },
+
+  openRfis: async (ctx) => {
+    const { results: rfis, truncated } = await listContainer(ctx, ctx.endpoints.acc.rfis);
+    const open = rfis.filter((r) => !CLOSED_RFI_STATUSES.includes(r.status));
+    return bulletList(
+      open,
+      (r) => `${r.customIdentifier || r.id} ${r.title} (${r.status}${due(r)})`,
+      truncated
+    );
+  },
+
+  pendingSubmittals: async (ctx) => {
+    const { results: submittals, truncated } = await listContainer(
+      ctx,
+      ctx.endpoints.acc.submittals
+    );
+    const pending = submittals.filter((s) => !CLOSED_SUBMITTAL_STATUSES.includes(s.status));
+    return bulletList(
+      pending,
+      (s) => `${s.identifier || s.id} ${s.title} (${s.status}${due(s)})`,
+      truncated
+    );
+  },
+
+  issue: async (ctx) => {
+    const response = await ctx.authManager.makeAuthenticatedRequest({
+      method: 'get',
+      url: `${fillEndpoint(ctx.endpoints.acc.issues, {
+        containerId: toContainerId(ctx.args.projectId),
+      })}/${encodeURIComponent(ctx.args.issueId)}`,
+    });
+    return JSON.stringify(response.data, null, 2);
+  },
+
+  submittal: async (ctx) => {
+    const response = await ctx.authManager.makeAuthenticatedRequest({
+      method: 'get',
+      url: `${fillEndpoint(ctx.endpoints.acc.submittals, {
+        containerId: toContainerId(ctx.args.projectId),
+      })}/${encodeURIComponent(ctx.args.submittalId)}`,
+    });
+    return JSON.stringify(response.data, null, 2);
+  },
+};
+
+/**
+ * Run the requested fetchers. A failing fetcher yields a note instead of failing the prompt.
+ * @param {string[]} names - Fetcher names
+ * @param {Object} args - Prompt arguments
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} Context values by fetcher name
+ */
+export async function fetchContext(names, args, authManager, config) {
+  const ctx = { args, authManager, config, endpoints: getApiEndpoints(config) };
+  const context = {};
+
+  for (const name of names) {
+    try {
+      context[name] = await CONTEXT_FETCHERS[name](ctx);
+    } catch (error) {
+      context[name] = `(unavailable: ${error.message})`;
+    }
+  }
+
+  return context;
+}
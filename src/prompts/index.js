@@ -0,0 +1,196 @@
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import {
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { createLogger } from '../utils/logger.js';
+import { ApsError } from '../utils/apsError.js';
+import { ProfileManager, runAsProfile } from '../profiles/index.js';
+import { BUILTIN_TEMPLATES } from './templates.js';
+import { CONTEXT_FETCHERS, fetchContext } from './context.js';
+
+const logger = createLogger('prompts');
+
+/**
+ * Schema for prompt templates, built-in or loaded from PROMPTS_DIR
+ */
+const templateSchema = z.object({
+  name: z.string().regex(/^[a-z0-9_]+$/, 'Use lowercase letters, digits and underscores'),
+  description: z.string(),
+  arguments: z
+    .array(
+      z.object({
+        name: z.string(),
+        description: z.string().optional(),
+        required: z.boolean().default(false),
+        default: z.string().optional(),
+      })
+    )
+    .default([]),
+  context: z.array(z.enum(Object.keys(CONTEXT_FETCHERS))).default([]),
+  template: z.string(),
+});
+
+/**
+ * Replace `{{key}}` and `{{context.key}}` placeholders
+ * @param {string} text - Template text
+ * @param {Object} values - Values; nested objects are addressed with dots
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(text, values) {
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((node, part) => node?.[part], values);
+    return value === undefined ? match : String(value);
+  });
+}
+
+/**
+ * Prompt templates from the built-in set plus an optional directory of JSON files
+ */
+export class PromptRegistry {
+  /**
+   * @param {Object} options - `config.prompts`
+   * @param {string} [options.dir] - Directory with custom `*.json` templates
+   */
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.templates = new Map();
+  }
+
+  /**
+   * Load built-in and custom templates. Invalid custom files are logged and skipped.
+   */
+  load() {
+    for (const template of BUILTIN_TEMPLATES) {
+      this.templates.set(template.name, templateSchema.parse(template));
+    }
+
+    if (!this.dir) return;
+
+    if (!fs.existsSync(this.dir)) {
+      logger.warn(`Prompt directory ${this.dir} does not exist`);
+      return;
+    }
+
+    for (const file of fs.readdirSync(this.dir).filter((name) => name.endsWith('.json'))) {
+      try {
+        const raw = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        const template = templateSchema.parse(raw);
+        if (this.templates.has(template.name)) {
+          logger.info(`Custom prompt ${template.name} replaces the built-in one`);
+        }
+        this.templates.set(template.name, template);
+      } catch (error) {
+        const reason =
+          error instanceof z.ZodError
+            ? error.errors.map((e) => `${e.path.join('.')}: ${e.message}`).join(', ')
+            : error.message;
+        logger.error(`Skipping invalid prompt template ${file}: ${reason}`);
+      }
+    }
+  }
+
+  /**
+   * Prompt descriptions for prompts/list
+   * @returns {Object[]} Prompts
+   */
+  list() {
+    return [...this.templates.values()].map((template) => ({
+      name: template.name,
+      description: template.description,
+      arguments: template.arguments.map(({ name, description, required }) => ({
+        name,
+        description,
+        required,
+      })),
+    }));
+  }
+
+  /**
+   * Render a prompt, fetching its live context
+   * @param {string} name - Prompt name
+   * @param {Object} args - Prompt arguments
+   * @param {AuthManager} authManager - Authentication manager
+   * @param {Object} config - Configuration object
+   * @param {ToolPolicy} [policy] - Access policy; prompts for blocked projects are refused
+   * @returns {Promise<Object>} prompts/get result
+   */
+  async render(name, args, authManager, config, policy) {
+    const template = this.templates.get(name);
+    if (!template) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+
+    const missing = template.arguments
+      .filter((arg) => arg.required && !args[arg.name])
+      .map((arg) => arg.name);
+    if (missing.length > 0) {
+      throw new Error(`Missing required arguments: ${missing.join(', ')}`);
+    }
+
+    const base = { today: new Date().toISOString().slice(0, 10) };
+    const values = { ...base };
+    for (const arg of template.arguments) {
+      values[arg.name] = args[arg.name] ?? (arg.default && renderTemplate(arg.default, base)) ?? '';
+    }
+    const denial = policy?.projectDenial(values.projectId);
+    if (denial) {
+      throw new ApsError('POLICY_DENIED', denial);
+    }
+
+    values.context = await fetchContext(template.context, values, authManager, config);
+
+    return {
+      description: template.description,
+      messages: [
+        {
+          role: 'user',
+          content: { type: 'text', text: renderTemplate(template.template, values) },
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Register prompts/list and prompts/get
+ * @param {Server} server - MCP server instance
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {Object} config - Configuration object
+ * @returns {number} Number of prompts registered
+ */
+export function registerPrompts(server, authManager, config) {
+  const registry = new PromptRegistry(config.prompts);
+  registry.load();
+
+  // With several profiles a prompt can name the one its context is fetched with
+  const profiles = authManager instanceof ProfileManager ? authManager.names : [];
+  const profileArgument = {
+    name: 'profile',
+    description: `Profile to fetch the context with: ${profiles.join(', ')}`,
+    required: false,
+  };
+  const listed = () =>
+    registry
+      .list()
+      .map((prompt) =>
+        profiles.length > 1
+          ? { ...prompt, arguments: [...prompt.arguments, profileArgument] }
+          : prompt
+      );
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: listed() }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const args = request.params.arguments || {};
+    return runAsProfile(server, authManager, args.profile, () =>
+      registry.render(request.params.name, args, authManager, config, server.policy)
+    );
+  });
+
+  logger.info(`Registered ${registry.templates.size} prompts`);
+
+  return registry.templates.size;
+}
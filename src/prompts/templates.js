@@ -0,0 +1,122 @@
+const projectArgs = [
+  { name: 'projectId', description: 'Project ID', required: true },
+  { name: 'hubId', description: 'Hub ID (defaults to AUTODESK_HUB_ID)', required: false },
+];
+
+/**
+ * Built-in prompt templates.
+ *
+ * `{{arg}}` is replaced with an argument, `{{context.<name>}}` with live data from the
+ * fetchers listed in `context` (see ./context.js), and `{{today}}` with the current date.
+ * An argument's `default` is used when the client leaves it out.
+ */
+export const BUILTIN_TEMPLATES = [
+  {
+    name: 'daily_field_report',
+    description: 'Draft the daily field report for a project',
+    arguments: [
+      ...projectArgs,
+      { name: 'date', description: 'Report date', required: false, default: '{{today}}' },
+      {
+        name: 'notes',
+        description: 'Weather, manpower or other field notes',
+        required: false,
+        default: '(none provided)',
+      },
+    ],
+    context: ['project', 'openIssues', 'openRfis'],
+    template: `Prepare the daily field report for {{context.project}} for {{date}}.
+
+Field notes from the superintendent:
+{{notes}}
+
+Open issues:
+{{context.openIssues}}
+
+Open RFIs:
+{{context.openRfis}}
+
+Structure the report as: weather and site conditions, manpower and work performed,
+issues and RFIs needing attention today, safety observations, and plan for tomorrow.
+Keep it factual and concise. Use the tools to look up anything you need.`,
+  },
+  {
+    name: 'weekly_owner_update',
+    description: 'Draft the weekly update to the owner',
+    arguments: [
+      ...projectArgs,
+      {
+        name: 'weekEnding',
+        description: 'Week ending date',
+        required: false,
+        default: '{{today}}',
+      },
+    ],
+    context: ['project', 'overdueIssues', 'openRfis', 'pendingSubmittals'],
+    template: `Write the weekly owner update for {{context.project}}, week ending {{weekEnding}}.
+
+Overdue issues:
+{{context.overdueIssues}}
+
+Open RFIs:
+{{context.openRfis}}
+
+Pending submittals:
+{{context.pendingSubmittals}}
+
+Cover progress, schedule risks, decisions needed from the owner and upcoming
+milestones. Write for a non-technical owner's representative; no internal IDs
+unless they are needed to act on something.`,
+  },
+  {
+    name: 'rfi_from_issue',
+    description: 'Draft an RFI from an existing issue',
+    arguments: [...projectArgs, { name: 'issueId', description: 'Issue ID', required: true }],
+    context: ['project', 'issue'],
+    template: `Draft an RFI for {{context.project}} based on this issue:
+
+{{context.issue}}
+
+Write a clear subject, the question to the design team, the background (location,
+drawings or specs involved), and a proposed solution if one is evident. Show me the
+draft before creating the RFI.`,
+  },
+  {
+    name: 'submittal_review_checklist',
+    description: 'Build a review checklist for a submittal',
+    arguments: [
+      ...projectArgs,
+      { name: 'submittalId', description: 'Submittal item ID', required: true },
+    ],
+    context: ['submittal'],
+    template: `Build a review checklist for this submittal:
+
+{{context.submittal}}
+
+Check conformance with the referenced spec section, required attachments (product
+data, shop drawings, samples, certifications), coordination with other trades, and
+open questions for the subcontractor. End with a recommended review action.`,
+  },
+  {
+    name: 'punch_list_walkdown',
+    description: 'Plan a punch-list walkdown for an area',
+    arguments: [
+      ...projectArgs,
+      {
+        name: 'location',
+        description: 'Area or location path to walk',
+        required: false,
+        default: 'the whole project',
+      },
+    ],
+    context: ['project', 'openIssues'],
+    template: `Plan a punch-list walkdown for {{context.project}} in {{location}}.
+
+Open issues on the project:
+{{context.openIssues}}
+
+Group the open items in this area by room or trade, suggest a walking route, and
+list what to verify for each item. After the walk, help me create new issues for
+anything found and close the items that are complete.`,
+  },
+];
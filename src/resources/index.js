@@ -0,0 +1,296 @@
+import {
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { createLogger } from '../utils/logger.js';
+import { ApsError } from '../utils/apsError.js';
+import { getApiEndpoints } from '../config.js';
+import { fillEndpoint, toContainerId, toDataProjectId } from '../utils/ids.js';
+import { paginate } from '../utils/paginate.js';
+import { runAsProfile } from '../profiles/index.js';
+
+const logger = createLogger('resources');
+
+const PROJECT_PREFIX = 'acc://hub/{hubId}/project/{projectId}';
+
+/**
+ * URL of one record in an ACC container collection
+ * @param {string} template - Collection endpoint
+ * @param {Object} params - Parsed URI params ({ projectId, id })
+ * @returns {string} Record URL
+ */
+const containerItemUrl = (template, params) => {
+  const collection = fillEndpoint(template, { containerId: toContainerId(params.projectId) });
+  return `${collection}/${encodeURIComponent(params.id)}`;
+};
+
+/**
+ * Resource types exposed under the acc:// scheme.
+ * `entity` is the path segment used in URIs and in ACC container URLs.
+ */
+export const RESOURCE_TYPES = [
+  {
+    name: 'project',
+    uriTemplate: PROJECT_PREFIX,
+    description: 'An Autodesk Build project',
+    url: (endpoints, p) =>
+      fillEndpoint(`${endpoints.data.projects}/:projectId`, {
+        hubId: p.hubId,
+        projectId: toDataProjectId(p.projectId),
+      }),
+  },
+  {
+    name: 'issue',
+    entity: 'issues',
+    uriTemplate: `${PROJECT_PREFIX}/issues/{id}`,
+    description: 'A construction issue',
+    url: (endpoints, p) => containerItemUrl(endpoints.acc.issues, p),
+  },
+  {
+    name: 'rfi',
+    entity: 'rfis',
+    uriTemplate: `${PROJECT_PREFIX}/rfis/{id}`,
+    description: 'A request for information',
+    url: (endpoints, p) => containerItemUrl(endpoints.acc.rfis, p),
+  },
+  {
+    name: 'submittal',
+    entity: 'submittals',
+    uriTemplate: `${PROJECT_PREFIX}/submittals/{id}`,
+    description: 'A submittal item',
+    url: (endpoints, p) => containerItemUrl(endpoints.acc.submittals, p),
+  },
+  {
+    name: 'document',
+    entity: 'documents',
+    uriTemplate: `${PROJECT_PREFIX}/documents/{id}`,
+    description: 'A document or drawing (Data Management item)',
+    url: (endpoints, p) =>
+      fillEndpoint(endpoints.data.items, { projectId: toDataProjectId(p.projectId), itemId: p.id }),
+  },
+  {
+    name: 'location',
+    entity: 'locations',
+    uriTemplate: `${PROJECT_PREFIX}/locations/{id}`,
+    description: 'A location node, with its path from the root',
+    url: (endpoints, p) =>
+      fillEndpoint(endpoints.acc.locations, {
+        containerId: toContainerId(p.projectId),
+        treeId: 'default',
+      }),
+  },
+].map((type) => ({
+  ...type,
+  pattern: new RegExp(`^${type.uriTemplate.replace(/\{(\w+)\}/g, '(?<$1>[^/]+)')}$`),
+}));
+
+/**
+ * Build an acc:// URI
+ * @param {Object} params - { hubId, projectId, entity?, id? }
+ * @returns {string} Resource URI
+ */
+export function buildResourceUri({ hubId, projectId, entity, id }) {
+  const base = `acc://hub/${encodeURIComponent(hubId)}/project/${encodeURIComponent(projectId)}`;
+  return entity ? `${base}/${entity}/${encodeURIComponent(id)}` : base;
+}
+
+/**
+ * Parse an acc:// URI
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} { type, params } or null if the URI is not recognized
+ */
+export function parseResourceUri(uri) {
+  for (const type of RESOURCE_TYPES) {
+    const match = uri.match(type.pattern);
+    if (match) {
+      const params = Object.fromEntries(
+        Object.entries(match.groups).map(([key, value]) => [key, decodeURIComponent(value)])
+      );
+      return { type, params };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map a container URL touched by a write to the entity it changed
+ * @param {string} url - Request URL
+ * @returns {Object|null} { projectId, entity, id }
+ */
+function entityFromUrl(url) {
+  const match = new URL(url, 'http://localhost').pathname.match(
+    /\/containers\/([^/]+)\/(issues|rfis|submittals)(?:\/([^/]+))?/
+  );
+  return match
+    ? { projectId: match[1], entity: match[2], id: match[3] && decodeURIComponent(match[3]) }
+    : null;
+}
+
+/**
+ * Register resources/list, resources/read, resource templates and subscriptions
+ * @param {Server} server - MCP server instance
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {Object} config - Configuration object
+ * @param {Object} services - Shared services ({ journal })
+ * @returns {Function} Removes the change listeners, for when the server closes
+ */
+export function registerResources(server, authManager, config, services) {
+  const endpoints = getApiEndpoints(config);
+  const subscriptions = new Set();
+
+  /**
+   * Refuse URIs of projects the access policy blocks
+   * @param {Object} params - Parsed URI params
+   */
+  const checkProject = (params) => {
+    const denial = server.policy?.projectDenial(params.projectId);
+    if (denial) throw new ApsError('POLICY_DENIED', denial);
+  };
+
+  // Resources are read with the connection's active profile (see switch_profile)
+  const inProfile = (fn) => runAsProfile(server, authManager, undefined, fn);
+
+  const get = async (url) =>
+    (await authManager.makeAuthenticatedRequest({ method: 'get', url })).data;
+
+  // Hubs, projects and location trees are paged lists
+  const getAll = async (url) => (await paginate(authManager, url)).results;
+
+  server.setRequestHandler(ListResourcesRequestSchema, () =>
+    inProfile(async () => {
+      const hubIds = config.autodesk.hubId
+        ? [config.autodesk.hubId]
+        : (await getAll(endpoints.data.hubs)).map((hub) => hub.id);
+
+      const resources = [];
+      for (const hubId of hubIds) {
+        const projects = await getAll(fillEndpoint(endpoints.data.projects, { hubId }));
+        for (const project of projects) {
+          if (server.policy?.projectDenial(project.id)) continue;
+          resources.push({
+            uri: buildResourceUri({ hubId, projectId: project.id }),
+            name: project.attributes?.name || project.id,
+            description: 'Autodesk Build project',
+            mimeType: 'application/json',
+          });
+        }
+      }
+
+      return { resources };
+    })
+  );
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: RESOURCE_TYPES.map(({ name, uriTemplate, description }) => ({
+      name,
+      uriTemplate,
+      description,
+      mimeType: 'application/json',
+    })),
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, (request) =>
+    inProfile(async () => {
+      const { uri } = request.params;
+      const parsed = parseResourceUri(uri);
+      if (!parsed) {
+        throw new Error(`Unknown resource URI: ${uri}`);
+      }
+
+      const { type, params } = parsed;
+      checkProject(params);
+      const url = type.url(endpoints, params);
+      const data =
+        type.name === 'location'
+          ? resolveLocationNode(await getAll(url), params.id)
+          : await get(url);
+
+      return {
+        contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }],
+      };
+    })
+  );
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const parsed = parseResourceUri(request.params.uri);
+    if (!parsed) {
+      throw new Error(`Unknown resource URI: ${request.params.uri}`);
+    }
+    checkProject(parsed.params);
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  /**
+   * Notify subscribers of every URI that covers a changed entity
+   * @param {Object} change - { projectId, entity, id }
+   */
+  const notifyChange = (change) => {
+    const projectId = toContainerId(change.projectId);
+
+    for (const uri of subscriptions) {
+      const { type, params } = parseResourceUri(uri);
+      const sameProject = toContainerId(params.projectId) === projectId;
+      const sameEntity = type.entity === change.entity && params.id === change.id;
+
+      if (sameProject && (type.name === 'project' || sameEntity)) {
+        server
+          .sendResourceUpdated({ uri })
+          .catch((error) => logger.debug(`Could not notify ${uri}:`, error.message));
+      }
+    }
+  };
+
+  // Changes made through this server
+  const onWrite = ({ url }) => {
+    const change = entityFromUrl(url);
+    if (change && subscriptions.size > 0) notifyChange(change);
+  };
+
+  // Changes reported by APS webhooks
+  const onEvent = (event) => {
+    const entity = event.system?.split('.').pop();
+    if (event.projectId && subscriptions.size > 0) {
+      notifyChange({ projectId: event.projectId, entity, id: event.entityId });
+    }
+  };
+
+  authManager.on('write', onWrite);
+  services.journal?.on('event', onEvent);
+
+  logger.info(`Registered ${RESOURCE_TYPES.length} resource templates`);
+
+  return () => {
+    authManager.off('write', onWrite);
+    services.journal?.off('event', onEvent);
+  };
+}
+
+/**
+ * Pick one node from a location tree and attach its path from the root
+ * @param {Object[]} nodes - All nodes of the tree
+ * @param {string} nodeId - Node to return
+ * @returns {Object} Node with `path`
+ */
+function resolveLocationNode(nodes, nodeId) {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const node = byId.get(nodeId);
+  if (!node) {
+    throw new Error(`Location node not found: ${nodeId}`);
+  }
+
+  const path = [];
+  for (let current = node; current; current = byId.get(current.parentId)) {
+    path.unshift(current.name);
+  }
+
+  return { ...node, path: path.join(' > ') };
+}
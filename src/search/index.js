@@ -0,0 +1,270 @@
+import { createLogger } from '../utils/logger.js';
+import { ApsError, toApsError } from '../utils/apsError.js';
+import { fillEndpoint, toContainerId, toDataProjectId } from '../utils/ids.js';
+import { paginate } from '../utils/paginate.js';
+import { getApiEndpoints } from '../config.js';
+import { locationSubtree, queryProject } from '../mirror/query.js';
+
+const logger = createLogger('search');
+
+/**
+ * Modules search_project fans out to
+ */
+export const SEARCH_ENTITIES = ['issues', 'rfis', 'submittals', 'forms', 'photos'];
+
+/**
+ * Records fetched per module at most; a module that has more is marked truncated
+ */
+const MAX_RECORDS_PER_ENTITY = 5000;
+
+/**
+ * Record dates a date range can apply to
+ */
+export const DATE_FIELDS = ['updated', 'created', 'due'];
+
+/**
+ * ACC web app host by APS region; other regions use the US host
+ */
+const WEB_HOSTS = {
+  US: 'https://acc.autodesk.com',
+  EMEA: 'https://acc.autodesk.eu',
+};
+
+/**
+ * Path of a record in the ACC web app
+ */
+const WEB_PATHS = {
+  issues: (projectId, record) => `/build/issues/projects/${projectId}/issues?issueId=${record.id}`,
+  rfis: (projectId, record) => `/build/rfis/projects/${projectId}/rfis?preview=${record.id}`,
+  submittals: (projectId, record) =>
+    `/build/submittals/projects/${projectId}/items?preview=${record.id}`,
+  forms: (projectId, record) => `/build/forms/projects/${projectId}/forms/${record.id}`,
+  photos: (projectId, record) =>
+    `/docs/files/projects/${projectId}?folderUrn=${encodeURIComponent(record.folderId)}` +
+    `&entityId=${encodeURIComponent(record.id)}`,
+};
+
+/**
+ * Number shown to users for a record, e.g. issue #42 or RFI 007
+ * @param {Object} record - APS record
+ * @returns {string|null} Identifier
+ */
+function displayNumber(record) {
+  const number = record.displayId ?? record.customIdentifier ?? record.identifier ?? record.formNum;
+  return number === undefined || number === null ? null : String(number);
+}
+
+/**
+ * Photo files of a Data Management folder as records the query understands
+ * @param {Object[]} items - Folder contents
+ * @param {string} folderId - Folder URN
+ * @returns {Object[]} Records with id, title, createdAt and updatedAt
+ */
+function photoRecords(items, folderId) {
+  return items
+    .filter((item) => item.type === 'items')
+    .map((item) => ({
+      id: item.id,
+      title: item.attributes?.displayName,
+      createdAt: item.attributes?.createTime,
+      updatedAt: item.attributes?.lastModifiedTime,
+      folderId,
+    }));
+}
+
+/**
+ * Relevance of a record to the search words: every word must appear somewhere; words
+ * in the number or title count more than words in the text or location
+ * @param {Object} record - Matching record
+ * @param {string[]} words - Lower-case search words
+ * @returns {number} Score, or -1 if a word is missing
+ */
+function relevance(record, words) {
+  const number = String(displayNumber(record) ?? '').toLowerCase();
+  const title = String(record.title ?? record.name ?? '').toLowerCase();
+  const body = [record.description, record.question, record.answer, record.locationPath]
+    .map((field) => String(field ?? '').toLowerCase())
+    .join('\n');
+
+  let score = 0;
+  for (const word of words) {
+    if (number === word.replace(/^#/, '')) score += 5;
+    else if (title.includes(word)) score += 3;
+    else if (body.includes(word)) score += 1;
+    else return -1;
+  }
+  return score;
+}
+
+/**
+ * Search issues, RFIs, submittals, forms and photos of one project at once.
+ *
+ * Records are fetched live from each module (concurrently, through the request
+ * scheduler) and filtered with the same rules as mirror_query. A module that fails is
+ * reported in `sources` while the others still answer.
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {Object} config - Configuration object
+ * @param {Object} query - Search
+ * @param {string} query.projectId - Project ID
+ * @param {string[]} query.entities - Modules to search
+ * @param {string} [query.text] - Words that must all appear in the record
+ * @param {string} [query.location] - Location node ID, path or name; includes sub-locations
+ * @param {string} [query.from] - Start of the date range
+ * @param {string} [query.to] - End of the date range (inclusive)
+ * @param {string} query.dateField - Date the range applies to (updated, created or due)
+ * @param {string} [query.assignee] - Assigned user or company
+ * @param {string[]} [query.status] - Only these statuses
+ * @param {boolean} [query.open] - Only records that are not closed
+ * @param {string} [query.photoFolderId] - Folder holding the project's photos
+ * @param {number} query.limit - Maximum results
+ * @returns {Promise<Object>} { total, results, truncated, sources }
+ */
+export async function searchProject(authManager, config, query) {
+  const endpoints = getApiEndpoints(config);
+  const containerId = toContainerId(query.projectId);
+  const ids = { containerId, projectId: containerId };
+  const sources = {};
+
+  // Photos are files: they have no status, assignee or location to filter on
+  const entities = query.entities.filter((entity) => {
+    if (entity !== 'photos') return true;
+    if (!query.photoFolderId) {
+      sources.photos = { skipped: 'pass photoFolderId to search photos' };
+    } else if (query.status || query.open || query.assignee || query.location) {
+      sources.photos = { skipped: 'photos have no status, assignee or location' };
+    } else {
+      return true;
+    }
+    return false;
+  });
+
+  const updatedRange =
+    query.dateField === 'updated' && (query.from || query.to)
+      ? `${query.from || ''}..${query.to || ''}`
+      : undefined;
+  const list = (url, params) =>
+    paginate(authManager, url, { params, maxResults: MAX_RECORDS_PER_ENTITY });
+  const containerList = (endpoint) => () =>
+    list(fillEndpoint(endpoint, ids), updatedRange && { 'filter[updatedAt]': updatedRange });
+  const fetchers = {
+    issues: containerList(endpoints.acc.issues),
+    rfis: containerList(endpoints.acc.rfis),
+    submittals: containerList(endpoints.acc.submittals),
+    forms: containerList(endpoints.acc.forms),
+    photos: async () => {
+      const page = await list(
+        fillEndpoint(endpoints.acc.photos, {
+          projectId: toDataProjectId(query.projectId),
+          folderId: query.photoFolderId,
+        })
+      );
+      return { ...page, results: photoRecords(page.results, query.photoFolderId) };
+    },
+    locations: () => list(fillEndpoint(endpoints.acc.locations, { ...ids, treeId: 'default' })),
+    users: () => list(fillEndpoint(endpoints.acc.projectUsers, ids)),
+  };
+
+  const lookups = ['locations', ...(query.assignee ? ['users'] : [])];
+  const settled = await Promise.allSettled(
+    [...entities, ...lookups].map((entity) => fetchers[entity]())
+  );
+  const fetched = Object.fromEntries(
+    [...entities, ...lookups].map((entity, index) => [entity, settled[index]])
+  );
+
+  for (const lookup of lookups) {
+    // Without the location tree or users the filters would silently match nothing
+    if (fetched[lookup].status === 'rejected' && (lookup === 'users' || query.location)) {
+      throw fetched[lookup].reason;
+    }
+  }
+  const locations = Object.fromEntries(
+    (fetched.locations.value?.results || []).map((node) => [node.id, node])
+  );
+  if (query.location && locationSubtree(locations, query.location).size === 0) {
+    throw new ApsError(
+      'VALIDATION',
+      `Unknown location "${query.location}"; give a node ID or a path such as "Level 2 > East"`
+    );
+  }
+
+  const project = {
+    entities: {
+      locations: { records: locations },
+      users: {
+        records: Object.fromEntries(
+          (fetched.users?.value?.results || []).map((user) => [user.id, user])
+        ),
+      },
+    },
+  };
+  for (const entity of entities) {
+    const outcome = fetched[entity];
+    if (outcome.status === 'rejected') {
+      const error = toApsError(outcome.reason);
+      logger.warn(`Search of ${entity} in ${containerId} failed: ${error.message}`);
+      sources[entity] = { error: `${error.code}: ${error.message}` };
+      continue;
+    }
+
+    // Pages can shift while they are read; keep each record once
+    const records = {};
+    for (const record of outcome.value.results) records[record.id] ??= record;
+    project.entities[entity] = { records };
+    sources[entity] = {
+      fetched: Object.keys(records).length,
+      ...(outcome.value.truncated && { truncated: true }),
+    };
+  }
+
+  const searched = entities.filter((entity) => project.entities[entity]);
+  if (searched.length === 0 && entities.length > 0) {
+    throw fetched[entities[0]].reason;
+  }
+
+  const range = {
+    updated: { updatedSince: query.from, updatedBefore: query.to },
+    created: { createdAfter: query.from, createdBefore: query.to },
+    due: { dueAfter: query.from, dueBefore: query.to },
+  }[query.dateField];
+  const matches = queryProject(project, {
+    entities: searched,
+    status: query.status,
+    open: query.open,
+    assignee: query.assignee,
+    location: query.location,
+    ...range,
+  });
+
+  const words = (query.text || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const host = WEB_HOSTS[config.autodesk.region] || WEB_HOSTS.US;
+  const results = matches
+    .map((record) => ({ record, score: relevance(record, words) }))
+    .filter(({ score }) => score >= 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        String(b.record.updatedAt ?? '').localeCompare(String(a.record.updatedAt ?? '')) ||
+        SEARCH_ENTITIES.indexOf(a.record.entity) - SEARCH_ENTITIES.indexOf(b.record.entity) ||
+        String(a.record.id).localeCompare(String(b.record.id))
+    )
+    .map(({ record, score }) => ({
+      entity: record.entity,
+      id: record.id,
+      number: displayNumber(record),
+      title: record.title ?? record.name ?? null,
+      status: record.status ?? null,
+      locationPath: record.locationPath ?? null,
+      dueDate: record.dueDate ?? null,
+      updatedAt: record.updatedAt ?? null,
+      ...(words.length > 0 && { score }),
+      link: `${host}${WEB_PATHS[record.entity](containerId, record)}`,
+    }));
+
+  return {
+    total: results.length,
+    results: results.slice(0, query.limit),
+    truncated: results.length > query.limit,
+    sources,
+  };
+}
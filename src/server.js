@@ -0,0 +1,77 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { CallToolRequestSchema, ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { createLogger } from './utils/logger.js';
+import { registerTools } from './tools/index.js';
+import { registerResources } from './resources/index.js';
+import { registerPrompts } from './prompts/index.js';
+import { setupErrorHandlers } from './utils/errorHandler.js';
+
+const logger = createLogger('server');
+
+/**
+ * Create an MCP server with every tool, prompt and resource registered.
+ *
+ * A server serves one client connection, so the HTTP transport creates one per session.
+ * All of them share the auth manager and the services passed in.
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {Object} config - Configuration object
+ * @param {Object} services - Shared services ({ journal, audit, mirror })
+ * @returns {Promise<Server>} Server, ready to connect to a transport
+ */
+export async function createServer(authManager, config, services) {
+  const server = new Server(
+    {
+      name: 'autodesk-build-mcp',
+      version: '1.0.0',
+    },
+    {
+      capabilities: {
+        resources: { subscribe: true },
+        tools: {},
+        prompts: {},
+        logging: {},
+      },
+    }
+  );
+
+  // Setup error handlers
+  setupErrorHandlers(server);
+
+  // Register all tools
+  await registerTools(server, authManager, config, services);
+
+  // Tool handlers get the request's abort signal and progress token (see createTool)
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const tool = server.tools[request.params.name];
+    if (!tool) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${request.params.name}`);
+    }
+    return tool.handler(request.params.arguments || {}, extra);
+  });
+
+  // Register workflow prompt templates
+  registerPrompts(server, authManager, config);
+
+  // Expose ACC entities as acc:// resources
+  const removeResourceListeners = registerResources(server, authManager, config, services);
+
+  // Push new events to the client as they arrive
+  const forwardEvent = (event) => {
+    server
+      .sendLoggingMessage({ level: 'info', logger: 'webhooks', data: event })
+      .catch((error) => logger.debug('Could not forward webhook event:', error.message));
+  };
+  services.journal?.on('event', forwardEvent);
+
+  server.onerror = (error) => {
+    logger.error('Server error:', error);
+  };
+
+  server.onclose = () => {
+    removeResourceListeners();
+    services.journal?.off('event', forwardEvent);
+    logger.info('Server connection closed');
+  };
+
+  return server;
+}
@@ -0,0 +1,54 @@
+import { z } from 'zod';
+import { createTool } from './index.js';
+
+const date = z.string().refine((value) => !Number.isNaN(Date.parse(value)), {
+  message: 'Expected a date such as 2026-10-01 or a date-time',
+});
+
+/**
+ * Register audit log tools
+ * @param {Server} server - MCP server instance
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {Object} config - Configuration object
+ * @param {Object} services - Shared services ({ audit })
+ * @returns {number} Number of tools registered
+ */
+export async function registerAuditTools(server, authManager, config, services) {
+  if (!services.audit?.enabled) return 0;
+
+  const tools = [
+    createTool(
+      'audit_query',
+      z
+        .object({
+          from: date.optional().describe('Only entries at or after this date or time'),
+          to: date.optional().describe('Only entries at or before this date or time (inclusive)'),
+          tool: z.string().optional().describe('Only writes made by this tool'),
+          entityType: z
+            .string()
+            .optional()
+            .describe('Only writes to this entity type (issues, rfis, submittals, ...)'),
+          entityId: z.string().optional().describe('Only writes to this entity'),
+          projectId: z.string().optional().describe('Only writes in this project'),
+          user: z.string().optional().describe('Only writes by this user ID, email or name'),
+          limit: z.number().int().min(1).max(500).default(50).describe('Maximum entries'),
+          verify: z
+            .boolean()
+            .default(false)
+            .describe('Also check the hash chain of the whole log for tampering'),
+        })
+        .describe('Search the audit log of changes made through this server, newest first'),
+      async ({ verify, ...filter }) => {
+        const entries = await services.audit.query(filter);
+        return verify ? { integrity: await services.audit.verify(), entries } : { entries };
+      },
+      { readOnly: true }
+    ),
+  ];
+
+  for (const tool of tools) {
+    server.tools[tool.name] = tool;
+  }
+
+  return tools.length;
+}
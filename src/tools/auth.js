@@ -0,0 +1,30 @@
+import { z } from 'zod';
+import { createTool } from './index.js';
+
+/**
+ * Register authentication tools
+ * @param {Server} server - MCP server instance
+ * @param {AuthManager} authManager - Authentication manager
+ * @returns {number} Number of tools registered
+ */
+export async function registerAuthTools(server, authManager) {
+  const tools = [
+    createTool(
+      'auth_status',
+      z
+        .object({})
+        .describe(
+          'Show the active authentication mode (three-legged user or two-legged app), ' +
+            'the identity requests run as, the granted scope and when the token expires'
+        ),
+      async () => authManager.getStatus(),
+      { readOnly: true }
+    ),
+  ];
+
+  for (const tool of tools) {
+    server.tools[tool.name] = tool;
+  }
+
+  return tools.length;
+}
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { createTool } from './index.js';
+import { getApiEndpoints } from '../config.js';
+import { ApsError } from '../utils/apsError.js';
+import { BCF_VERSIONS } from '../bcf/format.js';
+import { BcfGuidMap, BcfSync } from '../bcf/sync.js';
+import { ISSUE_STATUSES } from '../bulk/issueImport.js';
+
+// One map per file, shared by the servers of all client sessions
+const guidMaps = new Map();
+
+/**
+ * Resolve a file name given to import_bcf inside BCF_DIR. Paths that lead elsewhere,
+ * through `..`, an absolute path or a symlink, are refused.
+ * @param {string} [dir] - `config.bcf.dir`
+ * @param {string} filePath - Path relative to the directory
+ * @returns {Promise<string>} Real path of the file
+ */
+async function bcfFilePath(dir, filePath) {
+  if (!dir) {
+    throw new ApsError('VALIDATION', 'Reading BCF files is disabled; set BCF_DIR or pass base64');
+  }
+
+  const root = await fs.promises.realpath(dir);
+  const inside = (target) => {
+    const relative = path.relative(root, target);
+    const up = relative === '..' || relative.startsWith(`..${path.sep}`);
+    return relative !== '' && !up && !path.isAbsolute(relative);
+  };
+
+  const resolved = path.resolve(root, filePath);
+  if (!inside(resolved)) {
+    throw new ApsError('VALIDATION', `${filePath} is outside BCF_DIR`);
+  }
+
+  let real;
+  try {
+    real = await fs.promises.realpath(resolved);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    throw new ApsError('NOT_FOUND', `${filePath} not found in BCF_DIR`);
+  }
+  if (!inside(real)) {
+    throw new ApsError('VALIDATION', `${filePath} is outside BCF_DIR`);
+  }
+  return real;
+}
+
+/**
+ * Register BCF import/export tools
+ * @param {Server} server - MCP server instance
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {Object} config - Configuration object
+ * @returns {number} Number of tools registered
+ */
+export async function registerBcfTools(server, authManager, config) {
+  const endpoints = getApiEndpoints(config);
+  if (!guidMaps.has(config.bcf.guidMapPath)) {
+    guidMaps.set(config.bcf.guidMapPath, new BcfGuidMap(config.bcf.guidMapPath));
+  }
+  const guidMap = guidMaps.get(config.bcf.guidMapPath);
+
+  const sync = (projectId) => new BcfSync({ authManager, endpoints, projectId, guidMap });
+
+  const tools = [
+    createTool(
+      'export_bcf',
+      z
+        .object({
+          projectId: z.string().describe('Project ID'),
+          issueIds: z
+            .array(z.string())
+            .min(1)
+            .optional()
+            .describe('Issues to export (defaults to every issue, or every issue with status)'),
+          status: z.string().optional().describe('Only issues with this status, e.g. open'),
+          version: z.enum(BCF_VERSIONS).default('2.1').describe('BCF version'),
+          includeSnapshots: z
+            .boolean()
+            .default(true)
+            .describe('Include image attachments as viewpoint snapshots'),
+        })
+        .describe(
+          'Export issues to a BCF .bcfzip with markup, comments, pushpin viewpoints and ' +
+            'snapshots, for Navisworks, Solibri and other BIM tools. The archive is returned ' +
+            'as base64'
+        ),
+      async ({ projectId, issueIds, status, version, includeSnapshots }) => {
+        const { buffer, topics, warnings } = await sync(projectId).export({
+          issueIds,
+          status,
+          version,
+          includeSnapshots,
+        });
+        const result = { version, topics, size: buffer.length };
+        if (warnings.length > 0) result.warnings = warnings;
+        return { ...result, base64: buffer.toString('base64') };
+      },
+      { readOnly: true }
+    ),
+
+    createTool(
+      'import_bcf',
+      z
+        .object({
+          projectId: z.string().describe('Project ID'),
+          path: z.string().optional().describe('Name of a .bcfzip file in BCF_DIR'),
+          base64: z.string().optional().describe('The .bcfzip content as base64, instead of path'),
+          statusMapping: z
+            .record(z.enum(ISSUE_STATUSES))
+            .optional()
+            .describe(
+              'Topic status to ACC status, e.g. {"Active": "open", "Resolved": "closed"}. ' +
+                'Added to the built-in mapping'
+            ),
+          typeMapping: z
+            .record(z.string())
+            .optional()
+            .describe(
+              'Topic type to ACC issue type, e.g. {"Clash": "Coordination > Clash"}. ' +
+                'Unmapped types are looked up by name'
+            ),
+          defaultType: z
+            .string()
+            .optional()
+            .describe('ACC issue type for topics whose type cannot be resolved'),
+          importComments: z.boolean().default(true).describe('Add comments the issue lacks'),
+        })
+        .superRefine((args, ctx) => {
+          if (!args.path === !args.base64) {
+            ctx.addIssue({ code: 'custom', message: 'Provide either path or base64' });
+          }
+        })
+        .describe(
+          'Import a BCF .bcfzip (2.0, 2.1 or 3.0) into ACC issues. Topics imported or ' +
+            'exported before update their issue instead of creating a duplicate'
+        ),
+      async ({ projectId, path: filePath, base64, ...options }) => {
+        const buffer = filePath
+          ? await fs.promises.readFile(await bcfFilePath(config.bcf.dir, filePath))
+          : Buffer.from(base64, 'base64');
+        return sync(projectId).import(buffer, options);
+      },
+      { readOnly: false }
+    ),
+  ];
+
+  for (const tool of tools) {
+    server.tools[tool.name] = tool;
+  }
+
+  return tools.length;
+}
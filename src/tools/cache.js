@@ -0,0 +1,45 @@
+import { z } from 'zod';
+import { createTool } from './index.js';
+import { CACHE_FAMILIES } from '../utils/responseCache.js';
+
+const familyNames = CACHE_FAMILIES.map(({ name }) => name);
+
+/**
+ * Register response cache tools
+ * @param {Server} server - MCP server instance
+ * @param {AuthManager} authManager - Authentication manager
+ * @returns {number} Number of tools registered
+ */
+export async function registerCacheTools(server, authManager) {
+  const tools = [
+    createTool(
+      'cache_stats',
+      z.object({}).describe('Show response cache size, hit rate and TTL per resource family'),
+      async () => authManager.cache.getStats(),
+      { readOnly: true }
+    ),
+
+    createTool(
+      'cache_clear',
+      z
+        .object({
+          family: z.enum(familyNames).optional().describe('Only clear this resource family'),
+          containerId: z
+            .string()
+            .optional()
+            .describe('Only clear entries for this project/container'),
+        })
+        .describe('Clear cached reference data (hubs, projects, locations, issue types, ...)'),
+      async ({ family, containerId }) => ({
+        removed: authManager.cache.clear({ family, containerId }),
+      }),
+      { readOnly: true }
+    ),
+  ];
+
+  for (const tool of tools) {
+    server.tools[tool.name] = tool;
+  }
+
+  return tools.length;
+}
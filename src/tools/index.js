@@ -1,7 +1,19 @@
 import { z } from 'zod';
 import { createLogger } from '../utils/logger.js';
+import { toApsError } from '../utils/apsError.js';
+import { CallProgress, runWithContext } from '../utils/requestContext.js';
+import {
+  OUTPUT_FORMATS,
+  MIN_MAX_CHARS,
+  DEFAULT_MAX_CHARS,
+  keptResult,
+  readCursor,
+  shapeOutput,
+} from '../utils/outputShaping.js';
 import { registerProjectTools } from './projects.js';
 import { registerIssueTools } from './issues.js';
+import { registerIssueImportTools } from './issueImport.js';
+import { registerBcfTools } from './bcf.js';
 import { registerRfiTools } from './rfis.js';
 import { registerSubmittalTools } from './submittals.js';
 import { registerPhotoTools } from './photos.js';
@@ -9,21 +21,57 @@ import { registerFormTools } from './forms.js';
 import { registerCostTools } from './cost.js';
 import { registerLocationTools } from './locations.js';
 import { registerDocumentTools } from './documents.js';
+import { registerCacheTools } from './cache.js';
+import { registerWebhookTools } from './webhooks.js';
+import { registerAuthTools } from './auth.js';
+import { registerAuditTools } from './audit.js';
+import { registerMirrorTools } from './mirror.js';
+import { registerSearchTools } from './search.js';
+import { registerProfileTools } from './profiles.js';
+import { applyToolPolicy } from '../policy/index.js';
+import { ProfileManager } from '../profiles/index.js';
 
 const logger = createLogger('tools');
 
+/**
+ * Arguments every tool accepts for shaping its result (see src/utils/outputShaping.js)
+ */
+const outputOptionsSchema = z.object({
+  fields: z
+    .array(z.string().min(1))
+    .optional()
+    .describe('Only return these fields of each item (e.g. ["id", "title"]); nested as dot paths'),
+  format: z.enum(OUTPUT_FORMATS).optional().describe('Result format (default json)'),
+  maxChars: z
+    .number()
+    .int()
+    .min(MIN_MAX_CHARS)
+    .optional()
+    .describe('Cut the result after this many characters; a cursor for the rest is returned'),
+  cursor: z.string().optional().describe('Cursor from a truncated result, to get the next part'),
+});
+
+/**
+ * Format and budget of results when a call sets none (`config.output`)
+ */
+let outputDefaults = { format: 'json', maxChars: DEFAULT_MAX_CHARS };
+
 /**
  * Register all available tools with the MCP server
  * @param {Server} server - MCP server instance
  * @param {AuthManager} authManager - Authentication manager
  * @param {Object} config - Configuration object
+ * @param {Object} [services] - Shared services handed to every module (webhook journal, audit log, mirror, metrics, plugins)
  */
-export async function registerTools(server, authManager, config) {
+export async function registerTools(server, authManager, config, services = {}) {
   logger.info('Registering tools...');
+  outputDefaults = config.output || outputDefaults;
   
   const toolRegistrations = [
     { name: 'Projects', register: registerProjectTools },
     { name: 'Issues', register: registerIssueTools },
+    { name: 'Issue import', module: 'issues', register: registerIssueImportTools },
+    { name: 'BCF', register: registerBcfTools },
     { name: 'RFIs', register: registerRfiTools },
     { name: 'Submittals', register: registerSubmittalTools },
     { name: 'Photos', register: registerPhotoTools },
@@ -31,87 +79,274 @@ export async function registerTools(server, authManager, config) {
     { name: 'Cost', register: registerCostTools },
     { name: 'Locations', register: registerLocationTools },
     { name: 'Documents', register: registerDocumentTools },
+    { name: 'Cache', register: registerCacheTools },
+    { name: 'Webhooks', register: registerWebhookTools },
+    { name: 'Auth', register: registerAuthTools },
+    { name: 'Audit', register: registerAuditTools },
+    { name: 'Mirror', register: registerMirrorTools },
+    { name: 'Search', register: registerSearchTools },
+    { name: 'Profiles', register: registerProfileTools },
   ];
 
   let totalTools = 0;
   
-  for (const { name, register } of toolRegistrations) {
+  for (const { name, module = name.toLowerCase(), register } of toolRegistrations) {
+    const existing = new Set(Object.keys(server.tools));
     try {
-      const count = await register(server, authManager, config);
+      const count = await register(server, authManager, config, services);
+
+      // Policies can address tools by module (e.g. `cost:write`)
+      for (const toolName of Object.keys(server.tools)) {
+        if (!existing.has(toolName)) server.tools[toolName].module = module;
+      }
+
       totalTools += count;
       logger.info(`Registered ${count} ${name} tools`);
     } catch (error) {
-      logger.error(`Failed to register ${name} tools:`, error);
-      throw error;
+      // One broken module should not take every other tool down with it
+      logger.error(`Failed to register ${name} tools, skipping them:`, error);
+      for (const toolName of Object.keys(server.tools)) {
+        if (!existing.has(toolName)) delete server.tools[toolName];
+      }
     }
   }
 
+  // Third-party tool modules (see src/plugins/loader.js)
+  if (services.plugins) {
+    totalTools += await services.plugins.register(server, authManager, createTool);
+  }
+
   logger.info(`Total tools registered: ${totalTools}`);
+
+  // Resources and prompts check the same project lists
+  server.policy = applyToolPolicy(server, config);
+
+  if (authManager instanceof ProfileManager) {
+    withProfiles(server, authManager);
+  }
+
+  // Count every call, including the ones the policy refuses
+  if (services.metrics) {
+    for (const tool of Object.values(server.tools)) {
+      services.metrics.instrumentTool(tool);
+    }
+  }
   
   return totalTools;
 }
 
+/**
+ * Let every tool call pick a profile with a `profile` argument; calls that name none use
+ * the connection's active profile (see switch_profile)
+ * @param {Server} server - MCP server instance
+ * @param {ProfileManager} profiles - Profile manager
+ */
+function withProfiles(server, profiles) {
+  server.activeProfile = profiles.defaultProfile;
+
+  for (const tool of Object.values(server.tools)) {
+    if (profiles.names.length > 1 && tool.module !== 'profiles') {
+      tool.inputSchema.properties.profile = {
+        type: 'string',
+        enum: profiles.names,
+        description: 'Profile (hub, account and region) to run this call with',
+      };
+    }
+
+    const handler = tool.handler;
+    tool.handler = async (args, extra) => {
+      const name = args?.profile || server.activeProfile;
+      try {
+        profiles.get(name);
+      } catch (error) {
+        return toolErrorResult(error);
+      }
+      return runWithContext({ profile: name }, () => handler(args, extra));
+    };
+  }
+}
+
 /**
  * Create a tool handler with error handling and validation
  * @param {string} name - Tool name
  * @param {z.Schema} schema - Zod schema for input validation
  * @param {Function} handler - Tool handler function
+ * @param {Object} options - Tool options
+ * @param {boolean} options.readOnly - Whether the tool only reads; the access policy and dry
+ *   runs rely on it, so every tool declares it
+ * @param {Function} [options.project] - async (args) => project ID the call acts on, for
+ *   tools whose arguments do not name it (the policy checks it against the project lists)
  * @returns {Object} Tool configuration for MCP
+ *
+ * Tools that write accept `dryRun: true`: input is validated and lookups run as usual, but
+ * writes are not sent. The result lists each request that would be sent with its
+ * field-level before/after changes.
+ *
+ * The handler receives the MCP request's `extra` as a second argument: APS calls made
+ * for the call are aborted by its `signal`, and reportProgress() reaches the client when
+ * the call carried a progress token.
+ *
+ * Every tool also accepts `fields`, `format`, `maxChars` and `cursor` (unless its schema
+ * uses those names itself); they shape the returned text, not what the handler fetches.
+ * A cursor is checked before the handler runs. Read-only tools run again for each page;
+ * the further pages of a tool that writes come from the result kept when it ran.
  */
-export function createTool(name, schema, handler) {
+export function createTool(name, schema, handler, options = {}) {
+  const { readOnly, project } = options;
+  if (typeof readOnly !== 'boolean') {
+    throw new Error(`Tool ${name} must declare readOnly: true or false`);
+  }
+  const properties = zodToJsonSchema(schema);
+  const outputKeys = Object.keys(outputOptionsSchema.shape).filter((key) => !properties[key]);
+
+  for (const [key, property] of Object.entries(zodToJsonSchema(outputOptionsSchema))) {
+    if (outputKeys.includes(key)) properties[key] = property;
+  }
+
+  if (!readOnly) {
+    properties.dryRun = {
+      type: 'boolean',
+      description: 'Preview the change (requests and before/after values) without writing',
+    };
+  }
+
   return {
     name,
     description: schema.description || `Execute ${name}`,
+    readOnly,
+    project,
+    annotations: { readOnlyHint: readOnly },
     inputSchema: {
       type: 'object',
-      properties: zodToJsonSchema(schema),
+      properties,
       required: getRequiredFields(schema),
     },
-    handler: async (args) => {
+    handler: async (args, extra) => {
       try {
+        const { dryRun, ...toolArgs } = args || {};
+        const input = Object.entries(readOnly ? args || {} : toolArgs);
+        const output = outputOptionsSchema.parse(
+          Object.fromEntries(input.filter(([key]) => outputKeys.includes(key)))
+        );
+
         // Validate input
-        const validatedArgs = schema.parse(args);
+        const validatedArgs = schema.parse(
+          Object.fromEntries(input.filter(([key]) => !outputKeys.includes(key)))
+        );
         
+        const shaping = {
+          tool: name,
+          args: { ...validatedArgs, dryRun },
+          // Projection applies to results, not to the dry-run wrapper around them
+          fields: dryRun && !readOnly ? undefined : output.fields,
+          format: output.format || outputDefaults.format,
+          maxChars: output.maxChars || outputDefaults.maxChars,
+          // Further pages of a write are served from its kept result, not by writing again
+          keep: !readOnly && !dryRun,
+        };
+        // A bad cursor is refused before the handler runs
+        const position = readCursor(output.cursor, shaping);
+
         // Execute handler
-        const result = await handler(validatedArgs);
+        // APS calls made by the handler can tell which tool call they belong to
+        const context = {
+          tool: name,
+          args: validatedArgs,
+          signal: extra?.signal,
+          progress: callProgress(extra),
+        };
+        const result =
+          position.result !== undefined
+            ? keptResult(position)
+            : await runWithContext(context, () =>
+                dryRun && !readOnly ? previewTool(handler, validatedArgs) : handler(validatedArgs)
+              );
+
+        const { text, notice } = shapeOutput(result, { ...shaping, position });
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(result, null, 2),
+              text,
             },
+            ...(notice ? [{ type: 'text', text: notice }] : []),
           ],
         };
       } catch (error) {
-        if (error instanceof z.ZodError) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Validation error: ${error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ')}`,
-              },
-            ],
-            isError: true,
-          };
+        const apsError = toApsError(error);
+
+        if (apsError.code === 'CANCELLED' || extra?.signal?.aborted) {
+          logger.info(`Tool ${name} was cancelled`);
+        } else if (apsError.code === 'INTERNAL') {
+          logger.error(`Tool ${name} error:`, error);
+        } else {
+          logger.warn(`Tool ${name} failed with ${apsError.code}: ${apsError.message}`);
         }
         
-        logger.error(`Tool ${name} error:`, error);
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error: ${error.message}`,
-            },
-          ],
-          isError: true,
-        };
+        return toolErrorResult(apsError);
       }
     },
   };
 }
 
+/**
+ * Progress of a tool call, if the client sent a progress token with it
+ * @param {Object} [extra] - MCP request extra ({ _meta, sendNotification })
+ * @returns {CallProgress|undefined} Progress shared by everything the call does
+ */
+function callProgress(extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined) return undefined;
+
+  return new CallProgress((progress, total, message) =>
+    extra
+      .sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, total, message },
+      })
+      .catch((error) => logger.debug('Could not send progress:', error.message))
+  );
+}
+
+/**
+ * Run a tool handler in dry-run mode
+ * @param {Function} handler - Tool handler
+ * @param {Object} args - Validated arguments
+ * @returns {Promise<Object>} Requests that would be sent, their changes and the simulated result
+ */
+async function previewTool(handler, args) {
+  const dryRun = { requests: [] };
+  const result = await runWithContext({ dryRun }, () => handler(args));
+
+  return {
+    dryRun: true,
+    wouldSend: dryRun.requests,
+    result,
+  };
+}
+
+/**
+ * Build the result of a failed tool call: text for the model, structured content for
+ * clients that branch on the code
+ * @param {Error} error - Any error; classified with toApsError()
+ * @returns {Object} MCP tool result
+ */
+export function toolErrorResult(error) {
+  const apsError = toApsError(error);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `${apsError.code}: ${apsError.message}\nHint: ${apsError.hint}`,
+      },
+    ],
+    structuredContent: { error: apsError.toJSON() },
+    isError: true,
+  };
+}
+
 /**
  * Convert Zod schema to JSON Schema format
  * @param {z.Schema} schema - Zod schema
@@ -119,9 +354,10 @@ export function createTool(name, schema, handler) {
  */
 function zodToJsonSchema(schema) {
   const properties = {};
+  const objectSchema = unwrapEffects(schema);
   
-  if (schema instanceof z.ZodObject) {
-    const shape = schema.shape;
+  if (objectSchema instanceof z.ZodObject) {
+    const shape = objectSchema.shape;
     
     for (const [key, value] of Object.entries(shape)) {
       properties[key] = zodTypeToJsonSchema(value);
@@ -131,41 +367,199 @@ function zodToJsonSchema(schema) {
   return properties;
 }
 
+/**
+ * Strip refinements/transforms wrapped around a schema
+ * @param {z.ZodType} zodType - Zod type
+ * @returns {z.ZodType} Innermost schema
+ */
+function unwrapEffects(zodType) {
+  let current = zodType;
+  while (current instanceof z.ZodEffects) {
+    current = current.innerType();
+  }
+  return current;
+}
+
+/**
+ * JSON Schema keywords for string checks
+ * @param {z.ZodString} zodType - Zod string
+ * @returns {Object} JSON Schema
+ */
+function stringToJsonSchema(zodType) {
+  const json = { type: 'string' };
+  const formats = {
+    email: 'email',
+    url: 'uri',
+    uuid: 'uuid',
+    datetime: 'date-time',
+    date: 'date',
+    time: 'time',
+    duration: 'duration',
+  };
+
+  for (const check of zodType._def.checks) {
+    if (check.kind === 'min') {
+      json.minLength = check.value;
+    } else if (check.kind === 'max') {
+      json.maxLength = check.value;
+    } else if (check.kind === 'length') {
+      json.minLength = check.value;
+      json.maxLength = check.value;
+    } else if (check.kind === 'regex') {
+      json.pattern = check.regex.source;
+    } else if (check.kind === 'ip') {
+      json.format = check.version === 'v6' ? 'ipv6' : 'ipv4';
+    } else if (formats[check.kind]) {
+      json.format = formats[check.kind];
+    }
+  }
+
+  return json;
+}
+
+/**
+ * JSON Schema keywords for number checks
+ * @param {z.ZodNumber} zodType - Zod number
+ * @returns {Object} JSON Schema
+ */
+function numberToJsonSchema(zodType) {
+  const json = { type: 'number' };
+
+  for (const check of zodType._def.checks) {
+    if (check.kind === 'int') {
+      json.type = 'integer';
+    } else if (check.kind === 'min') {
+      json[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+    } else if (check.kind === 'max') {
+      json[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+    } else if (check.kind === 'multipleOf') {
+      json.multipleOf = check.value;
+    }
+  }
+
+  return json;
+}
+
+/**
+ * JSON Schema type name for a literal value
+ * @param {*} value - Literal value
+ * @returns {string} JSON Schema type
+ */
+function literalType(value) {
+  if (value === null) return 'null';
+  return typeof value === 'number' ? 'number' : typeof value;
+}
+
 /**
  * Convert individual Zod type to JSON Schema
  * @param {z.ZodType} zodType - Zod type
  * @returns {Object} JSON Schema type definition
  */
 function zodTypeToJsonSchema(zodType) {
+  let json;
+
   if (zodType instanceof z.ZodString) {
-    return { type: 'string', description: zodType.description };
+    json = stringToJsonSchema(zodType);
   } else if (zodType instanceof z.ZodNumber) {
-    return { type: 'number', description: zodType.description };
+    json = numberToJsonSchema(zodType);
+  } else if (zodType instanceof z.ZodBigInt) {
+    json = { type: 'integer' };
   } else if (zodType instanceof z.ZodBoolean) {
-    return { type: 'boolean', description: zodType.description };
+    json = { type: 'boolean' };
+  } else if (zodType instanceof z.ZodNull) {
+    json = { type: 'null' };
+  } else if (zodType instanceof z.ZodDate) {
+    // JSON has no dates: only z.coerce.date() turns the advertised string into a Date
+    if (!zodType._def.coerce) {
+      throw new Error(
+        'z.date() cannot be given in JSON; use z.coerce.date() or z.string().datetime()'
+      );
+    }
+    json = { type: 'string', format: 'date-time' };
   } else if (zodType instanceof z.ZodArray) {
-    return {
+    const { minLength, maxLength, exactLength } = zodType._def;
+    json = { type: 'array', items: zodTypeToJsonSchema(zodType.element) };
+    if (minLength || exactLength) json.minItems = (exactLength || minLength).value;
+    if (maxLength || exactLength) json.maxItems = (exactLength || maxLength).value;
+  } else if (zodType instanceof z.ZodTuple) {
+    json = {
       type: 'array',
-      items: zodTypeToJsonSchema(zodType.element),
-      description: zodType.description,
+      items: zodType.items.map(zodTypeToJsonSchema),
+      minItems: zodType.items.length,
     };
+    if (!zodType._def.rest) json.maxItems = zodType.items.length;
+  } else if (zodType instanceof z.ZodSet) {
+    json = { type: 'array', items: zodTypeToJsonSchema(zodType._def.valueType), uniqueItems: true };
   } else if (zodType instanceof z.ZodEnum) {
-    return {
-      type: 'string',
-      enum: zodType.options,
-      description: zodType.description,
+    json = { type: 'string', enum: zodType.options };
+  } else if (zodType instanceof z.ZodNativeEnum) {
+    // Numeric TypeScript enums also map values back to their names; skip those entries
+    const values = Object.entries(zodType.enum)
+      .filter(([key]) => typeof zodType.enum[zodType.enum[key]] !== 'number')
+      .map(([, value]) => value);
+    const types = [...new Set(values.map(literalType))];
+    json = { type: types.length === 1 ? types[0] : types, enum: values };
+  } else if (zodType instanceof z.ZodLiteral) {
+    json = { type: literalType(zodType.value), const: zodType.value };
+  } else if (zodType instanceof z.ZodUnion || zodType instanceof z.ZodDiscriminatedUnion) {
+    const options = [...zodType.options];
+    const literals = options.every((option) => option instanceof z.ZodLiteral);
+    const types = [...new Set(options.map((option) => literalType(option.value)))];
+    json =
+      literals && types.length === 1
+        ? { type: types[0], enum: options.map((option) => option.value) }
+        : { anyOf: options.map(zodTypeToJsonSchema) };
+  } else if (zodType instanceof z.ZodIntersection) {
+    json = {
+      allOf: [zodTypeToJsonSchema(zodType._def.left), zodTypeToJsonSchema(zodType._def.right)],
     };
-  } else if (zodType instanceof z.ZodOptional) {
-    return zodTypeToJsonSchema(zodType.unwrap());
+  } else if (zodType instanceof z.ZodRecord) {
+    json = { type: 'object', additionalProperties: zodTypeToJsonSchema(zodType.valueSchema) };
+  } else if (zodType instanceof z.ZodMap) {
+    json = { type: 'object', additionalProperties: zodTypeToJsonSchema(zodType._def.valueType) };
   } else if (zodType instanceof z.ZodObject) {
-    return {
+    json = {
       type: 'object',
       properties: zodToJsonSchema(zodType),
-      description: zodType.description,
+      required: getRequiredFields(zodType),
     };
+    if (zodType._def.unknownKeys === 'strict') json.additionalProperties = false;
+  } else if (zodType instanceof z.ZodNullable) {
+    const inner = zodTypeToJsonSchema(zodType.unwrap());
+    json =
+      typeof inner.type === 'string' && !inner.enum && inner.const === undefined
+        ? { ...inner, type: [inner.type, 'null'] }
+        : { anyOf: [inner, { type: 'null' }] };
+  } else if (zodType instanceof z.ZodOptional) {
+    json = zodTypeToJsonSchema(zodType.unwrap());
+  } else if (zodType instanceof z.ZodDefault) {
+    json = {
+      ...zodTypeToJsonSchema(zodType.removeDefault()),
+      default: zodType._def.defaultValue(),
+    };
+  } else if (zodType instanceof z.ZodEffects) {
+    json = zodTypeToJsonSchema(zodType.innerType());
+  } else if (zodType instanceof z.ZodCatch) {
+    json = zodTypeToJsonSchema(zodType.removeCatch());
+  } else if (zodType instanceof z.ZodBranded) {
+    json = zodTypeToJsonSchema(zodType.unwrap());
+  } else if (zodType instanceof z.ZodReadonly) {
+    json = zodTypeToJsonSchema(zodType._def.innerType);
+  } else if (zodType instanceof z.ZodPipeline) {
+    json = zodTypeToJsonSchema(zodType._def.in);
+  } else if (zodType instanceof z.ZodLazy) {
+    json = zodTypeToJsonSchema(zodType.schema);
+  } else {
+    // ZodAny, ZodUnknown and anything else accept any value
+    json = {};
+  }
+
+  // Wrappers such as .optional().describe() carry the description on the outer type
+  if (zodType.description) {
+    json.description = zodType.description;
   }
   
-  return { type: 'string' };
+  return json;
 }
 
 /**
@@ -175,16 +569,31 @@ function zodTypeToJsonSchema(zodType) {
  */
 function getRequiredFields(schema) {
   const required = [];
+  const objectSchema = unwrapEffects(schema);
   
-  if (schema instanceof z.ZodObject) {
-    const shape = schema.shape;
+  if (objectSchema instanceof z.ZodObject) {
+    const shape = objectSchema.shape;
     
     for (const [key, value] of Object.entries(shape)) {
-      if (!(value instanceof z.ZodOptional)) {
+      if (!acceptsUndefined(value)) {
         required.push(key);
       }
     }
   }
   
   return required;
-}
\ No newline at end of file
+}
+
+/**
+ * Whether a field may be omitted (optional, defaulted, or otherwise accepting undefined)
+ * @param {z.ZodType} zodType - Zod type
+ * @returns {boolean} True if the field is not required
+ */
+function acceptsUndefined(zodType) {
+  try {
+    return zodType.isOptional();
+  } catch (error) {
+    // A transform that cannot handle undefined means the field is required
+    return false;
+  }
+}
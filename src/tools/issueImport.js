@@ -0,0 +1,137 @@
+import { z } from 'zod';
+import { createTool } from './index.js';
+import { getApiEndpoints } from '../config.js';
+import { ApsError } from '../utils/apsError.js';
+import { parseCsv } from '../utils/csv.js';
+import { toContainerId } from '../utils/ids.js';
+import {
+  IMPORT_FIELDS,
+  ImportRunStore,
+  createRun,
+  mapColumns,
+  runImport,
+  summarizeRun,
+} from '../bulk/issueImport.js';
+
+/**
+ * Register bulk issue import tools
+ * @param {Server} server - MCP server instance
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {Object} config - Configuration object
+ * @returns {number} Number of tools registered
+ */
+export async function registerIssueImportTools(server, authManager, config) {
+  const endpoints = getApiEndpoints(config);
+  const store = new ImportRunStore(config.bulk.runsDir);
+
+  const tools = [
+    createTool(
+      'import_issues',
+      z
+        .object({
+          projectId: z
+            .string()
+            .optional()
+            .describe('Project to import into (not needed to resume)'),
+          csv: z.string().optional().describe('CSV text with a header row'),
+          rows: z
+            .array(z.record(z.union([z.string(), z.number(), z.null()])))
+            .optional()
+            .describe('Rows as objects keyed by column name, instead of csv'),
+          mapping: z
+            .record(z.enum(Object.keys(IMPORT_FIELDS)), z.string())
+            .optional()
+            .describe(
+              'Column for each issue field, e.g. {"assignee": "Responsible"}. Columns named ' +
+                'like the fields (title, description, status, type, assignee, location, ' +
+                'due date, id) are detected automatically'
+            ),
+          concurrency: z
+            .number()
+            .int()
+            .min(1)
+            .max(10)
+            .optional()
+            .describe('Rows processed in parallel (default BULK_CONCURRENCY)'),
+          resumeRunId: z
+            .string()
+            .optional()
+            .describe('Retry the failed and unfinished rows of an earlier run'),
+        })
+        .superRefine((args, ctx) => {
+          if (args.resumeRunId) return;
+          if (!args.projectId) {
+            ctx.addIssue({ code: 'custom', path: ['projectId'], message: 'projectId is required' });
+          }
+          if (!args.csv === !args.rows) {
+            ctx.addIssue({ code: 'custom', message: 'Provide either csv or rows' });
+          }
+        })
+        .describe(
+          'Create or update issues in bulk from CSV or JSON rows. Rows with an id column ' +
+            'update that issue; other rows create one. Issue type, assignee (name or email), ' +
+            'location path and due date are resolved by name. Returns a per-row report and a ' +
+            'runId for resuming'
+        ),
+      async ({ projectId, csv, rows, mapping, concurrency, resumeRunId }) => {
+        let run;
+        if (resumeRunId) {
+          run = await store.load(resumeRunId);
+          // The run may have been started with the b. prefixed ID or without it
+          if (projectId && toContainerId(projectId) !== toContainerId(run.projectId)) {
+            throw new ApsError(
+              'VALIDATION',
+              `Run ${resumeRunId} belongs to project ${run.projectId}`
+            );
+          }
+        } else {
+          const data = csv ? parseCsv(csv) : { headers: headersOf(rows), rows };
+          if (data.rows.length === 0) {
+            throw new ApsError('VALIDATION', 'No rows to import');
+          }
+          run = createRun(projectId, data.rows, mapColumns(data.headers, mapping));
+        }
+
+        return runImport({
+          authManager,
+          endpoints,
+          run,
+          store,
+          concurrency: concurrency || config.bulk.concurrency,
+        });
+      },
+      {
+        readOnly: false,
+        // A resumed run writes to the project it was started for
+        project: async ({ projectId, resumeRunId }) =>
+          resumeRunId ? (await store.load(resumeRunId)).projectId : projectId,
+      }
+    ),
+
+    createTool(
+      'get_import_run',
+      z
+        .object({
+          runId: z.string().describe('Run ID returned by import_issues'),
+        })
+        .describe('Show the per-row report of a bulk issue import'),
+      async ({ runId }) => summarizeRun(await store.load(runId)),
+      { readOnly: true, project: async ({ runId }) => (await store.load(runId)).projectId }
+    ),
+  ];
+
+  for (const tool of tools) {
+    server.tools[tool.name] = tool;
+  }
+
+  return tools.length;
+}
+
+/**
+ * Column names used across JSON rows, in first-seen order
+ * @param {Object[]} rows - Rows
+ * @returns {string[]} Headers
+ */
+function headersOf(rows) {
+  return [...new Set(rows.flatMap((row) => Object.keys(row)))];
+}
@@ -0,0 +1,172 @@
+import { z } from 'zod';
+import { createTool } from './index.js';
+import { ApsError } from '../utils/apsError.js';
+import { toContainerId } from '../utils/ids.js';
+import { MIRROR_ENTITIES } from '../mirror/store.js';
+import { QUERYABLE_ENTITIES, queryProject } from '../mirror/query.js';
+
+const date = z.string().regex(/^\d{4}-\d{2}-\d{2}/, 'Expected a date such as 2026-10-31');
+
+/**
+ * Register local mirror tools
+ * @param {Server} server - MCP server instance
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {Object} config - Configuration object
+ * @param {Object} services - Shared services ({ mirror })
+ * @returns {number} Number of tools registered
+ */
+export async function registerMirrorTools(server, authManager, config, services) {
+  const { mirror } = services;
+  if (!mirror) return 0;
+
+  const mirroredProjects = (projectId) => {
+    if (!projectId) return mirror.projects;
+    if (!mirror.isMirrored(projectId)) {
+      throw new ApsError(
+        'VALIDATION',
+        `Project ${projectId} is not mirrored; mirrored projects: ${mirror.projects.join(', ')}`
+      );
+    }
+    return [toContainerId(projectId)];
+  };
+
+  const tools = [
+    createTool(
+      'mirror_query',
+      z
+        .object({
+          projectId: z
+            .string()
+            .optional()
+            .describe('Project ID (defaults to every mirrored project)'),
+          entities: z
+            .array(z.enum(QUERYABLE_ENTITIES))
+            .min(1)
+            .default(QUERYABLE_ENTITIES)
+            .describe('Entities to search'),
+          status: z.array(z.string()).min(1).optional().describe('Only these statuses'),
+          open: z
+            .boolean()
+            .optional()
+            .describe('Only records that are not closed, void or completed'),
+          overdue: z.boolean().optional().describe('Only open records past their due date'),
+          assignee: z
+            .string()
+            .optional()
+            .describe('Assigned user or company: name, email or ID (partial names match)'),
+          location: z
+            .string()
+            .optional()
+            .describe(
+              'Location name or path such as "Level 3" or "Level 2 > East"; includes sub-locations'
+            ),
+          dueBefore: date.optional().describe('Due on or before this date'),
+          dueAfter: date.optional().describe('Due on or after this date'),
+          updatedSince: z.string().datetime().optional().describe('Updated at or after this time'),
+          text: z.string().optional().describe('Text in the title, description or question'),
+          limit: z.number().int().min(1).max(500).default(100).describe('Maximum records'),
+        })
+        .describe(
+          'Query the local mirror of issues, RFIs, submittals and forms across entities ' +
+            'without calling APS. Reports how fresh the mirrored data is'
+        ),
+      async ({ projectId, limit, ...query }) => {
+        const projectIds = mirroredProjects(projectId);
+        const results = [];
+        const freshness = [];
+
+        for (const id of projectIds) {
+          const project = mirror.store.get(id);
+          if (project) {
+            results.push(
+              ...queryProject(project, query).map((record) => ({ projectId: id, ...record }))
+            );
+          }
+          const { entities, syncing } = mirror.freshness(id);
+          freshness.push({
+            projectId: id,
+            syncing,
+            entities: Object.fromEntries(
+              query.entities.map((entity) => [
+                entity,
+                {
+                  lastSyncedAt: entities[entity].lastSyncedAt,
+                  ageSeconds: entities[entity].ageSeconds,
+                },
+              ])
+            ),
+          });
+        }
+
+        return {
+          total: results.length,
+          results: results.slice(0, limit),
+          truncated: results.length > limit,
+          freshness,
+        };
+      },
+      { readOnly: true }
+    ),
+
+    createTool(
+      'mirror_status',
+      z
+        .object({
+          projectId: z
+            .string()
+            .optional()
+            .describe('Project ID (defaults to every mirrored project)'),
+        })
+        .describe(
+          'Show which projects are mirrored, record counts, last sync time and sync errors'
+        ),
+      async ({ projectId }) => ({
+        syncIntervalMs: config.mirror.syncIntervalMs,
+        projects: mirroredProjects(projectId).map((id) => mirror.freshness(id)),
+      }),
+      { readOnly: true }
+    ),
+
+    createTool(
+      'mirror_sync',
+      z
+        .object({
+          projectId: z
+            .string()
+            .optional()
+            .describe('Project ID (defaults to every mirrored project)'),
+          entities: z
+            .array(z.enum(MIRROR_ENTITIES))
+            .min(1)
+            .optional()
+            .describe('Entities to sync (defaults to all)'),
+          full: z
+            .boolean()
+            .default(false)
+            .describe(
+              'Refetch everything instead of only changes, dropping records deleted in ACC'
+            ),
+        })
+        .describe(
+          'Sync the local mirror with APS now; only changes since the last sync are fetched'
+        ),
+      async ({ projectId, entities, full }) => {
+        const synced = [];
+        for (const id of mirroredProjects(projectId)) {
+          synced.push({
+            projectId: id,
+            entities: await mirror.syncProject(id, { entities, full }),
+          });
+        }
+        return { projects: synced };
+      },
+      { readOnly: true }
+    ),
+  ];
+
+  for (const tool of tools) {
+    server.tools[tool.name] = tool;
+  }
+
+  return tools.length;
+}
@@ -0,0 +1,59 @@
+import { z } from 'zod';
+import { createTool } from './index.js';
+
+/**
+ * Register profile tools. The active profile belongs to the connection: switching it
+ * does not affect other clients of a shared server.
+ * @param {Server} server - MCP server instance
+ * @param {ProfileManager} authManager - Profile manager standing in for the auth manager
+ * @returns {number} Number of tools registered
+ */
+export async function registerProfileTools(server, authManager) {
+  const tools = [
+    createTool(
+      'list_profiles',
+      z
+        .object({})
+        .describe(
+          'List the configured profiles (hub, account, region, auth state) and the one ' +
+            'tool calls use when they name none'
+        ),
+      async () => ({
+        active: server.activeProfile,
+        profiles: authManager.list(),
+      }),
+      { readOnly: true }
+    ),
+
+    createTool(
+      'switch_profile',
+      z
+        .object({
+          name: z.string().describe('Profile to use from now on, as listed by list_profiles'),
+        })
+        .describe(
+          'Make a profile the default for the following tool calls of this connection. ' +
+            'A single call can also pass `profile` instead.'
+        ),
+      async ({ name }) => {
+        const profile = authManager.get(name);
+        const previous = server.activeProfile;
+        server.activeProfile = profile.name;
+        return {
+          previous,
+          active: profile.name,
+          hubId: profile.config.autodesk.hubId || null,
+          region: profile.config.autodesk.region || 'US',
+          authenticated: profile.authManager.isAuthenticated,
+        };
+      },
+      { readOnly: true }
+    ),
+  ];
+
+  for (const tool of tools) {
+    server.tools[tool.name] = tool;
+  }
+
+  return tools.length;
+}
@@ -0,0 +1,71 @@
+import { z } from 'zod';
+import { createTool } from './index.js';
+import { DATE_FIELDS, SEARCH_ENTITIES, searchProject } from '../search/index.js';
+
+const date = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}/, 'Expected a date such as 2026-10-31 or a date-time');
+
+/**
+ * Register cross-module search tools
+ * @param {Server} server - MCP server instance
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {Object} config - Configuration object
+ * @returns {number} Number of tools registered
+ */
+export async function registerSearchTools(server, authManager, config) {
+  const tools = [
+    createTool(
+      'search_project',
+      z
+        .object({
+          projectId: z.string().describe('Project ID'),
+          text: z
+            .string()
+            .optional()
+            .describe('Words that must all appear in the number, title, text or location'),
+          location: z
+            .string()
+            .optional()
+            .describe(
+              'Location node ID, name or path such as "Level 2 > East"; includes sub-locations'
+            ),
+          from: date.optional().describe('Start of the date range'),
+          to: date.optional().describe('End of the date range (inclusive)'),
+          dateField: z.enum(DATE_FIELDS).default('updated').describe('Date the range applies to'),
+          assignee: z
+            .string()
+            .optional()
+            .describe('Assigned user or company: name, email or ID (partial names match)'),
+          status: z.array(z.string()).min(1).optional().describe('Only these statuses'),
+          open: z
+            .boolean()
+            .optional()
+            .describe('Only records that are not closed, void or completed'),
+          entities: z
+            .array(z.enum(SEARCH_ENTITIES))
+            .min(1)
+            .default(SEARCH_ENTITIES)
+            .describe('Modules to search'),
+          photoFolderId: z
+            .string()
+            .optional()
+            .describe('Folder URN holding the project photos (photos are skipped without it)'),
+          limit: z.number().int().min(1).max(500).default(50).describe('Maximum results'),
+        })
+        .describe(
+          'Search issues, RFIs, submittals, forms and photos of a project in one call, by ' +
+            'text, location subtree, date range, assignee or company, and status. Returns one ' +
+            'ranked list with the entity type and an ACC web link on each row'
+        ),
+      (query) => searchProject(authManager, config, query),
+      { readOnly: true }
+    ),
+  ];
+
+  for (const tool of tools) {
+    server.tools[tool.name] = tool;
+  }
+
+  return tools.length;
+}
@@ -0,0 +1,223 @@
+import { z } from 'zod';
+import { createTool } from './index.js';
+import { getApiEndpoints } from '../config.js';
+import { createLogger } from '../utils/logger.js';
+import { ApsError, toApsError } from '../utils/apsError.js';
+
+const logger = createLogger('tools:webhooks');
+
+/**
+ * APS webhook systems and events per entity type
+ */
+export const WEBHOOK_SYSTEMS = {
+  issues: {
+    system: 'autodesk.construction.issues',
+    events: ['issue.created-1.0', 'issue.updated-1.0', 'issue.deleted-1.0', 'issue.restored-1.0'],
+  },
+  rfis: {
+    system: 'autodesk.construction.rfis',
+    events: ['rfi.created-1.0', 'rfi.updated-1.0', 'rfi.deleted-1.0'],
+  },
+  submittals: {
+    system: 'autodesk.construction.submittals',
+    events: ['submittal.created-1.0', 'submittal.updated-1.0', 'submittal.deleted-1.0'],
+  },
+};
+
+const entitySchema = z.enum(Object.keys(WEBHOOK_SYSTEMS));
+
+/**
+ * Register webhook management and event feed tools
+ * @param {Server} server - MCP server instance
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {Object} config - Configuration object
+ * @param {Object} services - Shared services ({ journal })
+ * @returns {number} Number of tools registered
+ */
+export async function registerWebhookTools(server, authManager, config, services) {
+  const endpoints = getApiEndpoints(config);
+  let tokenRegistered = false;
+
+  /**
+   * Make sure APS signs deliveries with our secret (POST creates it, PUT replaces it)
+   */
+  const ensureSecretToken = async () => {
+    if (tokenRegistered || !config.webhook.secret) return;
+
+    const request = { url: endpoints.webhooks.tokens, data: { token: config.webhook.secret } };
+    try {
+      await authManager.makeAuthenticatedRequest({ ...request, method: 'post' });
+    } catch (error) {
+      if (error.response?.status !== 400) throw error;
+      await authManager.makeAuthenticatedRequest({ ...request, method: 'put' });
+    }
+    tokenRegistered = true;
+  };
+
+  const hooksUrl = (system, event) =>
+    endpoints.webhooks.hooks.replace(':system', system).replace(':event', event);
+
+  const tools = [
+    createTool(
+      'register_webhook',
+      z
+        .object({
+          entity: entitySchema.describe('Entity type to watch'),
+          projectId: z.string().describe('Project ID to watch'),
+          events: z
+            .array(z.string())
+            .min(1)
+            .optional()
+            .describe('Events to subscribe to (defaults to all events for the entity)'),
+          callbackUrl: z
+            .string()
+            .url()
+            .optional()
+            .describe('Public URL of the webhook receiver (defaults to WEBHOOK_ENDPOINT)'),
+        })
+        .describe(
+          'Register APS webhooks for issue, RFI or submittal events on a project. Events that ' +
+            'fail are listed in errors; the hooks created for the others are still returned'
+        ),
+      async ({ entity, projectId, events, callbackUrl }) => {
+        const { system, events: allEvents } = WEBHOOK_SYSTEMS[entity];
+        const target = callbackUrl || config.webhook.endpoint;
+        if (!target) {
+          throw new ApsError(
+            'VALIDATION',
+            'No callbackUrl given and WEBHOOK_ENDPOINT is not configured'
+          );
+        }
+
+        const unknown = (events || []).filter((event) => !allEvents.includes(event));
+        if (unknown.length > 0) {
+          throw new ApsError(
+            'VALIDATION',
+            `Unknown ${entity} events: ${unknown.join(', ')} (expected ${allEvents.join(', ')})`
+          );
+        }
+
+        await ensureSecretToken();
+
+        // A failed event must not hide the hooks already created for the others
+        const hooks = [];
+        const failures = [];
+        for (const event of events || allEvents) {
+          try {
+            const response = await authManager.makeAuthenticatedRequest({
+              method: 'post',
+              url: hooksUrl(system, event),
+              data: {
+                callbackUrl: target,
+                scope: { project: projectId },
+                hookAttribute: { projectId },
+                autoReactivateHook: true,
+              },
+            });
+
+            const hookId =
+              response.data?.hookId || response.headers?.location?.split('/').pop() || null;
+            hooks.push({ system, event, hookId });
+            logger.info(`Registered ${system}/${event} hook ${hookId} for ${projectId}`);
+          } catch (error) {
+            const apsError = toApsError(error);
+            logger.warn(
+              `Registering ${system}/${event} for ${projectId} failed: ${apsError.message}`
+            );
+            failures.push({ event, error: apsError });
+          }
+        }
+
+        if (hooks.length === 0) throw failures[0].error;
+        if (failures.length > 0) {
+          return {
+            callbackUrl: target,
+            hooks,
+            errors: failures.map(({ event, error }) => ({
+              system,
+              event,
+              error: `${error.code}: ${error.message}`,
+            })),
+          };
+        }
+        return { callbackUrl: target, hooks };
+      },
+      { readOnly: false }
+    ),
+
+    createTool(
+      'unregister_webhook',
+      z
+        .object({
+          entity: entitySchema.describe('Entity type of the hook'),
+          event: z.string().describe('Event of the hook, e.g. issue.updated-1.0'),
+          hookId: z.string().describe('Hook ID returned by register_webhook or list_webhooks'),
+        })
+        .describe('Delete a registered APS webhook'),
+      async ({ entity, event, hookId }) => {
+        await authManager.makeAuthenticatedRequest({
+          method: 'delete',
+          url: `${hooksUrl(WEBHOOK_SYSTEMS[entity].system, event)}/${encodeURIComponent(hookId)}`,
+        });
+        return { deleted: true, hookId };
+      },
+      { readOnly: false }
+    ),
+
+    createTool(
+      'list_webhooks',
+      z.object({}).describe('List registered APS webhooks for issues, RFIs and submittals'),
+      async () => {
+        const response = await authManager.makeAuthenticatedRequest({
+          method: 'get',
+          url: endpoints.webhooks.list,
+        });
+        const systems = Object.values(WEBHOOK_SYSTEMS).map(({ system }) => system);
+        return (response.data?.data || []).filter((hook) => systems.includes(hook.system));
+      },
+      { readOnly: true }
+    ),
+
+    createTool(
+      'get_recent_events',
+      z
+        .object({
+          since: z
+            .string()
+            .refine((value) => !Number.isNaN(Date.parse(value)), {
+              message: 'Expected an ISO date or date-time such as 2026-10-01T08:00:00Z',
+            })
+            .optional()
+            .describe('Only events received at or after this ISO date/time'),
+          entity: entitySchema.optional().describe('Only events for this entity type'),
+          event: z.string().optional().describe('Only this event, e.g. issue.created-1.0'),
+          projectId: z.string().optional().describe('Only events for this project'),
+          limit: z
+            .number()
+            .int()
+            .min(1)
+            .max(500)
+            .optional()
+            .describe('Maximum events (default 50)'),
+        })
+        .describe('Show webhook events received from Autodesk Build, newest first'),
+      async ({ since, entity, event, projectId, limit }) => {
+        const events = services.journal.recent({
+          since,
+          system: entity && WEBHOOK_SYSTEMS[entity].system,
+          event,
+          projectId,
+          limit,
+        });
+        return { count: events.length, events };
+      },
+      { readOnly: true }
+    ),
+  ];
+
+  for (const tool of tools) {
+    server.tools[tool.name] = tool;
+  }
+
+  return tools.length;
+}
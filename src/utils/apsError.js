@@ -0,0 +1,216 @@
+import { z } from 'zod';
+import { parseRetryAfter, RETRYABLE_NETWORK_CODES } from './requestScheduler.js';
+
+/**
+ * Stable error codes reported to clients, with whether retrying can help and what to do
+ */
+export const ERROR_CODES = {
+  VALIDATION: {
+    retryable: false,
+    hint: 'Check the arguments against the tool schema and the field values APS accepts.',
+  },
+  NOT_FOUND: {
+    retryable: false,
+    hint: 'Check the hub, project and entity IDs. List the parent collection to find valid IDs.',
+  },
+  FORBIDDEN_SCOPE: {
+    retryable: false,
+    hint:
+      'The signed-in user or app lacks access. Check project membership, the granted scopes, ' +
+      'and for two-legged auth the custom integration and AUTODESK_USER_ID.',
+  },
+  AUTH_EXPIRED: {
+    retryable: false,
+    hint: 'Re-authenticate with `--auth` (or check the client credentials in two-legged mode).',
+  },
+  CONFLICT: {
+    retryable: false,
+    hint: 'The entity changed or is in a state that does not allow this. Fetch it again first.',
+  },
+  RATE_LIMITED: {
+    retryable: true,
+    hint: 'APS is throttling requests. Wait before retrying and request fewer items at once.',
+  },
+  UPSTREAM: {
+    retryable: true,
+    hint: 'APS or the network failed. Retry shortly; if it persists, check the APS status page.',
+  },
+  POLICY_DENIED: {
+    retryable: false,
+    hint: 'The server policy does not allow this call. Ask an administrator to change the policy.',
+  },
+  CONFIRMATION_REQUIRED: {
+    retryable: false,
+    hint: 'Show the user exactly what will change. Call again with `confirm: true` once they agree.',
+  },
+  CANCELLED: {
+    retryable: false,
+    hint: 'The client cancelled the call. A write already sent may have been applied; check first.',
+  },
+  INTERNAL: {
+    retryable: false,
+    hint: 'Unexpected server error. Check the server logs.',
+  },
+};
+
+/**
+ * An error with a stable code, derived from an APS response or raised by the server itself
+ */
+export class ApsError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Extra fields
+   * @param {number} [details.status] - HTTP status from APS
+   * @param {Object[]} [details.errors] - Individual errors reported by APS
+   * @param {number} [details.retryAfterSeconds] - Server-requested delay
+   * @param {string} [details.requestId] - APS request ID, for support cases
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(code, message, details = {}) {
+    super(message, { cause: details.cause });
+    this.name = 'ApsError';
+    this.code = code;
+    this.status = details.status;
+    this.errors = details.errors;
+    this.retryAfterSeconds = details.retryAfterSeconds;
+    this.requestId = details.requestId;
+    this.retryable = ERROR_CODES[code].retryable;
+    this.hint = ERROR_CODES[code].hint;
+  }
+
+  /**
+   * Structured form returned to clients
+   * @returns {Object} Error payload
+   */
+  toJSON() {
+    const json = {
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      hint: this.hint,
+    };
+    for (const key of ['status', 'errors', 'retryAfterSeconds', 'requestId']) {
+      if (this[key] !== undefined) json[key] = this[key];
+    }
+    return json;
+  }
+}
+
+/**
+ * Map an HTTP status to an error code
+ * @param {number} status - HTTP status
+ * @returns {string} Error code
+ */
+function codeForStatus(status) {
+  if (status === 400 || status === 422) return 'VALIDATION';
+  if (status === 401) return 'AUTH_EXPIRED';
+  if (status === 403) return 'FORBIDDEN_SCOPE';
+  if (status === 404 || status === 410) return 'NOT_FOUND';
+  if (status === 409 || status === 412) return 'CONFLICT';
+  if (status === 429) return 'RATE_LIMITED';
+  if (status >= 500) return 'UPSTREAM';
+  return 'VALIDATION';
+}
+
+/**
+ * Collect the individual errors from the response shapes APS services use:
+ * JSON:API `errors[]`, `{ detail }`, `{ developerMessage, errorCode }` and OAuth
+ * `{ error, error_description }`
+ * @param {*} data - Response body
+ * @returns {Object[]} Errors as { code?, title?, detail }
+ */
+export function parseApsErrorBody(data) {
+  if (typeof data === 'string') {
+    // Gateways answer with HTML error pages, which say nothing useful
+    const text = data.trim();
+    return text && !text.startsWith('<') ? [{ detail: text.slice(0, 500) }] : [];
+  }
+  if (!data || typeof data !== 'object') return [];
+
+  if (Array.isArray(data.errors)) {
+    return data.errors.map((error) => ({
+      code: error.code,
+      title: error.title,
+      detail: error.detail || error.message || error.title,
+    }));
+  }
+
+  const detail =
+    data.detail ||
+    data.developerMessage ||
+    data.error_description ||
+    data.message ||
+    data.reason ||
+    data.title;
+  if (detail || data.error) {
+    return [
+      {
+        code:
+          data.errorCode || data.code || (typeof data.error === 'string' ? data.error : undefined),
+        detail: detail || String(data.error),
+      },
+    ];
+  }
+
+  return [];
+}
+
+/**
+ * Turn any error into an ApsError
+ * @param {*} error - Thrown value (axios, zod, ApsError, other errors or non-errors)
+ * @returns {ApsError} Classified error
+ */
+export function toApsError(error) {
+  if (error instanceof ApsError) return error;
+
+  // `throw 'text'` and friends carry no properties to classify
+  if (typeof error !== 'object' || error === null) {
+    return new ApsError('INTERNAL', String(error ?? 'Unknown error'));
+  }
+
+  // axios reports an aborted request as ERR_CANCELED; AbortSignal reasons are AbortErrors
+  if (error.code === 'ERR_CANCELED' || error.name === 'AbortError') {
+    return new ApsError('CANCELLED', 'The call was cancelled', { cause: error });
+  }
+
+  if (error instanceof z.ZodError) {
+    const issues = error.errors.map((e) => ({
+      code: e.code,
+      detail: `${e.path.join('.')}: ${e.message}`,
+    }));
+    return new ApsError(
+      'VALIDATION',
+      `Invalid arguments: ${issues.map((issue) => issue.detail).join(', ')}`,
+      { errors: issues }
+    );
+  }
+
+  const response = error.response;
+  if (response) {
+    const errors = parseApsErrorBody(response.data);
+    const retryAfter = parseRetryAfter(response.headers?.['retry-after']);
+    const summary = errors
+      .map((e) => e.detail)
+      .filter(Boolean)
+      .join('; ');
+
+    return new ApsError(
+      codeForStatus(response.status),
+      summary || `APS request failed with status ${response.status}`,
+      {
+        status: response.status,
+        errors: errors.length > 0 ? errors : undefined,
+        retryAfterSeconds: retryAfter === null ? undefined : Math.ceil(retryAfter / 1000),
+        requestId: response.headers?.['x-ads-request-id'] || response.headers?.['x-request-id'],
+        cause: error,
+      }
+    );
+  }
+
+  if (RETRYABLE_NETWORK_CODES.includes(error.code) || error.code === 'ECONNREFUSED') {
+    return new ApsError('UPSTREAM', `Could not reach APS: ${error.message}`, { cause: error });
+  }
+
+  return new ApsError('INTERNAL', error.message, { cause: error });
+}
@@ -0,0 +1,455 @@
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import { createHash } from 'crypto';
+import axios, { AxiosError, AxiosHeaders } from 'axios';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('cassette');
+
+/**
+ * Cassette file format version
+ */
+const CASSETTE_VERSION = 1;
+
+/**
+ * Fields whose values are replaced with `REDACTED` wherever they appear: tokens, client
+ * credentials and webhook secrets. In form bodies (the token endpoint) `code` is one too.
+ */
+const SECRET_FIELDS = new Set([
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'client_id',
+  'client_secret',
+  'code_verifier',
+  'password',
+  'secret',
+  'token',
+]);
+
+/**
+ * Fields holding personal data, replaced with stable pseudonyms so distinct people stay
+ * distinct in recordings
+ */
+export const DEFAULT_PII_FIELDS = [
+  'email',
+  'emailId',
+  'firstName',
+  'lastName',
+  'displayName',
+  'userName',
+  'phone',
+  'phoneNumber',
+  'mobile',
+  'addressLine1',
+  'addressLine2',
+  'imageUrl',
+];
+
+const REDACTED = 'REDACTED';
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PSEUDONYM_PATTERN = /^(user-[0-9a-f]{10}@example\.com|redacted-[0-9a-f]{10}|REDACTED)$/;
+// Signed S3 URLs in OSS responses carry credentials in their query string
+const SIGNED_URL_PATTERN = /(X-Amz-(?:Signature|Credential|Security-Token)=)[^&\s"]+/g;
+
+/**
+ * Recording cassettes with interactions not yet written; saved when the process exits
+ */
+const unsaved = new Set();
+let exitHookInstalled = false;
+
+/**
+ * Save a recording when the process exits, unless it is saved before
+ * @param {Cassette} cassette - Cassette in `record` mode
+ */
+function saveOnExit(cassette) {
+  unsaved.add(cassette);
+  if (exitHookInstalled) return;
+
+  exitHookInstalled = true;
+  // Only synchronous work runs on exit, which is what save() does
+  process.on('exit', () => {
+    for (const pending of unsaved) {
+      try {
+        pending.save();
+      } catch (error) {
+        logger.error(`Cannot write cassette ${pending.file}: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Raised when a recording cannot be read or written, or a replayed request was not
+ * recorded
+ */
+export class CassetteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CassetteError';
+  }
+}
+
+/**
+ * Stable stand-in for a personal value; already scrubbed values are kept so that
+ * scrubbing twice gives the same result
+ * @param {*} value - Original value
+ * @param {boolean} [email] - Produce an e-mail address
+ * @returns {string} Pseudonym
+ */
+function pseudonym(value, email = false) {
+  const text = String(value);
+  if (PSEUDONYM_PATTERN.test(text)) return text;
+  const hash = createHash('sha256').update(text.toLowerCase()).digest('hex').slice(0, 10);
+  return email ? `user-${hash}@example.com` : `redacted-${hash}`;
+}
+
+/**
+ * Scrubs secrets and personal data out of request and response data
+ */
+class Scrubber {
+  /**
+   * @param {string[]} piiFields - Fields holding personal data
+   */
+  constructor(piiFields) {
+    this.piiFields = new Set(piiFields);
+  }
+
+  /**
+   * @param {string} text - Any string
+   * @returns {string} Text with e-mail addresses and URL signatures replaced
+   */
+  text(text) {
+    if (PSEUDONYM_PATTERN.test(text)) return text;
+    return text
+      .replace(EMAIL_PATTERN, (match) => pseudonym(match, true))
+      .replace(SIGNED_URL_PATTERN, `$1${REDACTED}`);
+  }
+
+  /**
+   * @param {string} key - Field name
+   * @param {*} value - Field value
+   * @param {Set<string>} secrets - Secret field names
+   * @param {boolean} [person] - The field belongs to a record with an e-mail address
+   * @returns {*} Scrubbed value
+   */
+  field(key, value, secrets, person = false) {
+    if (value === null || value === undefined) return value;
+    if (secrets.has(key)) return REDACTED;
+    if ((this.piiFields.has(key) || (person && key === 'name')) && typeof value !== 'object') {
+      return pseudonym(value, /email/i.test(key));
+    }
+    return this.value(value, secrets);
+  }
+
+  /**
+   * @param {*} value - JSON value
+   * @param {Set<string>} [secrets] - Secret field names
+   * @returns {*} Scrubbed copy
+   */
+  value(value, secrets = SECRET_FIELDS) {
+    if (typeof value === 'string') return this.text(value);
+    if (Array.isArray(value)) return value.map((item) => this.value(item, secrets));
+    if (value && typeof value === 'object') {
+      // `name` is too common to scrub everywhere, but on a user record it is personal
+      const person = Object.keys(value).some((key) => /email/i.test(key));
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.field(key, item, secrets, person)])
+      );
+    }
+    return value;
+  }
+
+  /**
+   * @param {string} url - Request URL with query string
+   * @returns {string} URL with scrubbed, sorted query parameters
+   */
+  url(url) {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams.entries()]
+      .map(([key, value]) => [key, String(this.field(key, value, SECRET_FIELDS))])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    parsed.search = new URLSearchParams(params).toString();
+    return parsed.toString();
+  }
+}
+
+/**
+ * Sort object keys recursively so equal bodies serialize equally
+ * @param {*} value - JSON value
+ * @returns {*} Copy with sorted keys
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, sortKeys(value[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * Records APS traffic to a cassette file, or replays it. Installed as the axios adapter
+ * of an AuthManager (see `AuthManager.useCassette`), so API calls and token requests
+ * both go through it.
+ *
+ * Requests are matched on method, URL with query parameters, and body, after scrubbing;
+ * headers are not compared. Identical requests are answered in the order they were
+ * recorded. In replay mode a request that was not recorded fails with a CassetteError;
+ * nothing is sent over the network.
+ */
+export class Cassette {
+  /**
+   * @param {Object} options - Cassette options
+   * @param {string} options.mode - `record` or `replay`
+   * @param {string} options.file - Cassette file
+   * @param {string[]} [options.piiFields] - Fields holding personal data
+   */
+  constructor({ mode, file, piiFields = DEFAULT_PII_FIELDS }) {
+    if (mode !== 'record' && mode !== 'replay') {
+      throw new CassetteError(`Unknown cassette mode: ${mode}`);
+    }
+
+    this.mode = mode;
+    this.file = path.resolve(file);
+    this.scrubber = new Scrubber(piiFields);
+    this.interactions = [];
+    this.unmatched = [];
+    this.played = new Set();
+
+    if (mode === 'replay') {
+      this.load();
+    }
+  }
+
+  /**
+   * Read the cassette file
+   */
+  load() {
+    let cassette;
+    try {
+      cassette = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw new CassetteError(`Cannot read cassette ${this.file}: ${error.message}`);
+    }
+    if (cassette.version !== CASSETTE_VERSION) {
+      throw new CassetteError(
+        `Cassette ${this.file} has version ${cassette.version}, expected ${CASSETTE_VERSION}`
+      );
+    }
+    this.interactions = cassette.interactions;
+  }
+
+  /**
+   * Write the cassette file (atomically, so an interrupted write leaves the previous
+   * recording). Recordings are kept in memory and written once, on process exit; call
+   * this to write them earlier, e.g. at the end of a test.
+   */
+  save() {
+    unsaved.delete(this);
+    const cassette = {
+      version: CASSETTE_VERSION,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions,
+    };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(cassette, null, 2) + '\n');
+    fs.renameSync(temp, this.file);
+  }
+
+  /**
+   * @returns {Function} Axios adapter that records or replays
+   */
+  adapter() {
+    if (this.mode === 'replay') {
+      return (config) => this.replay(config);
+    }
+    const send = axios.getAdapter(axios.defaults.adapter);
+    // Without keep-alive, a socket the server already closed cannot be reused and
+    // recorded as ECONNRESET (e.g. when the mock API restarts on the same port)
+    const httpAgent = new http.Agent({ keepAlive: false });
+    const httpsAgent = new https.Agent({ keepAlive: false });
+    return (config) => this.record({ ...config, httpAgent, httpsAgent }, send);
+  }
+
+  /**
+   * Scrubbed form of a request, as stored and matched
+   * @param {Object} config - Axios request config
+   * @returns {Object} { method, url, body }
+   */
+  describe(config) {
+    const method = (config.method || 'get').toUpperCase();
+    const url = this.scrubber.url(axios.getUri(config));
+    const data = config.data;
+    let body;
+
+    if (data === undefined || data === null || data === '') {
+      body = undefined;
+    } else if (Buffer.isBuffer(data) || data instanceof Uint8Array) {
+      body = { sha256: createHash('sha256').update(data).digest('hex') };
+    } else if (typeof data !== 'string') {
+      throw new CassetteError(`Cannot record the ${method} ${url} body (not a string or buffer)`);
+    } else if (/x-www-form-urlencoded/.test(String(config.headers?.['Content-Type']))) {
+      const form = Object.fromEntries(new URLSearchParams(data));
+      body = sortKeys(this.scrubber.value(form, new Set([...SECRET_FIELDS, 'code'])));
+    } else {
+      try {
+        body = sortKeys(this.scrubber.value(JSON.parse(data)));
+      } catch {
+        body = this.scrubber.text(data);
+      }
+    }
+
+    return { method, url, body };
+  }
+
+  /**
+   * Send a request and store the scrubbed exchange
+   * @param {Object} config - Axios request config
+   * @param {Function} send - Network adapter
+   * @returns {Promise<Object>} Axios response
+   */
+  async record(config, send) {
+    const request = this.describe(config);
+    if (config.responseType === 'stream') {
+      throw new CassetteError(`Cannot record the streamed response of ${request.url}`);
+    }
+
+    try {
+      const response = await send(config);
+      this.store(request, { response: this.describeResponse(response) });
+      return response;
+    } catch (error) {
+      this.store(
+        request,
+        error.response
+          ? { response: this.describeResponse(error.response) }
+          : { error: { code: error.code, message: error.message } }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} request - Scrubbed request
+   * @param {Object} outcome - `{ response }` or `{ error }`
+   */
+  store(request, outcome) {
+    this.interactions.push({ request, ...outcome });
+    saveOnExit(this);
+  }
+
+  /**
+   * @param {Object} response - Axios response from the network adapter
+   * @returns {Object} Scrubbed response as stored
+   */
+  describeResponse(response) {
+    const headers = { ...AxiosHeaders.from(response.headers).toJSON() };
+    delete headers['set-cookie'];
+
+    const described = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: this.scrubber.value(headers),
+    };
+
+    if (Buffer.isBuffer(response.data) || response.data instanceof ArrayBuffer) {
+      described.base64 = Buffer.from(response.data).toString('base64');
+    } else if (typeof response.data === 'string') {
+      try {
+        described.json = this.scrubber.value(JSON.parse(response.data));
+      } catch {
+        described.text = this.scrubber.text(response.data);
+      }
+    } else {
+      described.json = this.scrubber.value(response.data ?? null);
+    }
+    return described;
+  }
+
+  /**
+   * Answer a request from the recording
+   * @param {Object} config - Axios request config
+   * @returns {Promise<Object>} Axios response
+   */
+  async replay(config) {
+    const request = this.describe(config);
+    const key = JSON.stringify(request);
+    const index = this.interactions.findIndex(
+      (interaction, i) => !this.played.has(i) && JSON.stringify(interaction.request) === key
+    );
+
+    if (index === -1) {
+      this.unmatched.push(request);
+      const message = `No recorded response in ${this.file} for ${request.method} ${request.url}${
+        request.body === undefined ? '' : ` with body ${JSON.stringify(request.body)}`
+      }; record the cassette again`;
+      logger.error(message);
+      throw new CassetteError(message);
+    }
+
+    this.played.add(index);
+    const interaction = this.interactions[index];
+    if (interaction.error) {
+      throw new AxiosError(interaction.error.message, interaction.error.code, config);
+    }
+
+    const recorded = interaction.response;
+    let data;
+    if (recorded.base64 !== undefined) {
+      data = Buffer.from(recorded.base64, 'base64');
+    } else if (recorded.text !== undefined) {
+      data = recorded.text;
+    } else {
+      // Serialized again so axios parses it the way it parses a live response
+      data = JSON.stringify(recorded.json);
+    }
+
+    const response = {
+      data,
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: AxiosHeaders.from(recorded.headers),
+      config,
+      request: {},
+    };
+    if (!config.validateStatus || config.validateStatus(response.status)) {
+      return response;
+    }
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  }
+
+  /**
+   * Throw unless every replayed request was recorded and every recording was played.
+   * Call at the end of a test.
+   */
+  assertComplete() {
+    if (this.mode !== 'replay') return;
+
+    const problems = this.unmatched.map(
+      (request) => `unmatched request ${request.method} ${request.url}`
+    );
+    this.interactions.forEach((interaction, i) => {
+      if (!this.played.has(i)) {
+        problems.push(
+          `unplayed recording ${interaction.request.method} ${interaction.request.url}`
+        );
+      }
+    });
+    if (problems.length > 0) {
+      throw new CassetteError(`Cassette ${this.file} does not match:\n  ${problems.join('\n  ')}`);
+    }
+  }
+}
@@ -0,0 +1,97 @@
+import { ApsError } from './apsError.js';
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes).
+ * The delimiter is detected from the header line when not given.
+ * @param {string} text - CSV text
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.delimiter] - Field delimiter (`,`, `;` or tab)
+ * @returns {Object} { headers, rows } where rows are objects keyed by header
+ */
+export function parseCsv(text, options = {}) {
+  const source = text.replace(/^\uFEFF/, ''); // byte order mark from spreadsheet exports
+  const delimiter = options.delimiter || detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ApsError('VALIDATION', 'CSV ends inside a quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((values) => values.some((value) => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = nonEmpty[0].map((header) => header.trim());
+  const rows = nonEmpty
+    .slice(1)
+    .map((values) =>
+      Object.fromEntries(headers.map((header, index) => [header, (values[index] ?? '').trim()]))
+    );
+
+  return { headers, rows };
+}
+
+/**
+ * Pick the delimiter that splits the header line into the most columns
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  return [',', ';', '\t'].reduce((best, candidate) =>
+    header.split(candidate).length > header.split(best).length ? candidate : best
+  );
+}
+
+/**
+ * Write CSV text (RFC 4180), quoting fields that contain the delimiter, quotes or line breaks
+ * @param {string[]} headers - Column names
+ * @param {Object[]} rows - Rows as objects keyed by header; missing values are left empty
+ * @returns {string} CSV text with one line per row after the header
+ */
+export function formatCsv(headers, rows) {
+  const quote = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [headers, ...rows.map((row) => headers.map((header) => row[header]))]
+    .map((values) => values.map(quote).join(','))
+    .join('\n');
+}
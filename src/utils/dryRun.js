@@ -0,0 +1,67 @@
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Flatten an object to `a.b.c` paths; arrays and scalars are leaves
+ * @param {Object} value - Object to flatten
+ * @param {string} [prefix] - Path so far
+ * @returns {Object} Map of path to leaf value
+ */
+function flatten(value, prefix = '') {
+  const leaves = {};
+  for (const [key, child] of Object.entries(value)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(child) && Object.keys(child).length > 0) {
+      Object.assign(leaves, flatten(child, path));
+    } else {
+      leaves[path] = child;
+    }
+  }
+  return leaves;
+}
+
+/**
+ * Read a dotted path
+ * @param {Object} value - Source object
+ * @param {string} path - Dotted path
+ * @returns {*} Value at the path, or undefined
+ */
+function getPath(value, path) {
+  return path
+    .split('.')
+    .reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), value);
+}
+
+/**
+ * Field-level changes a request body would make to an entity
+ * @param {Object|null} before - Current entity (null when creating)
+ * @param {Object} body - Request body
+ * @returns {Object[]} Changes as { field, before, after }; unchanged fields are left out
+ */
+export function diffFields(before, body) {
+  if (!isPlainObject(body)) return [];
+
+  return Object.entries(flatten(body))
+    .map(([field, after]) => ({
+      field,
+      before: before ? getPath(before, field) : undefined,
+      after,
+    }))
+    .filter((change) => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+/**
+ * Deep-merge a request body over the current entity, as the preview of the result
+ * @param {Object|null} before - Current entity
+ * @param {Object} body - Request body
+ * @returns {Object} Merged entity
+ */
+export function applyBody(before, body) {
+  if (!isPlainObject(before) || !isPlainObject(body)) return body ?? before;
+
+  const merged = { ...before };
+  for (const [key, value] of Object.entries(body)) {
+    merged[key] = isPlainObject(value) ? applyBody(before[key], value) : value;
+  }
+  return merged;
+}
@@ -0,0 +1,119 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('token-storage');
+
+const FORMAT_VERSION = 1;
+const KEY_SALT = 'autodesk-build-mcp/token-storage';
+
+/**
+ * Stable per-machine secret: the systemd/dbus machine ID where available, else host and user
+ * @returns {Promise<string>} Machine secret
+ */
+async function machineSecret() {
+  for (const file of ['/etc/machine-id', '/var/lib/dbus/machine-id']) {
+    const id = await fs.readFile(file, 'utf8').catch(() => '');
+    if (id.trim()) return `${id.trim()}:${os.userInfo().username}`;
+  }
+  return `${os.hostname()}:${os.userInfo().username}`;
+}
+
+/**
+ * Token storage in a file encrypted with AES-256-GCM.
+ *
+ * The key comes from `TOKEN_ENCRYPTION_KEY` when set, otherwise it is derived from the
+ * machine ID and user, so the file is useless when copied to another machine. Plaintext
+ * files written by earlier versions are read once and rewritten encrypted.
+ */
+export class EncryptedTokenStorage {
+  /**
+   * @param {Object} options - `config.token`
+   * @param {string} options.filePath - Token file path
+   * @param {string} [options.encryptionKey] - Secret to derive the key from
+   */
+  constructor(options) {
+    this.filePath = path.resolve(options.filePath);
+    this.encryptionKey = options.encryptionKey;
+    this.key = null;
+  }
+
+  /**
+   * Derive the AES key once
+   * @returns {Promise<Buffer>} 32-byte key
+   */
+  async getKey() {
+    if (!this.key) {
+      const secret = this.encryptionKey || (await machineSecret());
+      this.key = scryptSync(secret, KEY_SALT, 32);
+    }
+    return this.key;
+  }
+
+  /**
+   * Read and decrypt the stored tokens
+   * @returns {Promise<Object|null>} Tokens, or null if none are stored
+   */
+  async getTokens() {
+    let raw;
+    try {
+      raw = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    if (raw.v !== FORMAT_VERSION) {
+      logger.info('Encrypting plaintext token file');
+      await this.saveTokens(raw);
+      return raw;
+    }
+
+    const key = await this.getKey();
+    // A wrong key and an edited file (including a cut IV or tag) fail the same way
+    try {
+      const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(raw.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(raw.tag, 'base64'));
+      const plain = Buffer.concat([
+        decipher.update(Buffer.from(raw.data, 'base64')),
+        decipher.final(),
+      ]);
+      return JSON.parse(plain.toString('utf8'));
+    } catch (error) {
+      throw new Error(
+        'Cannot decrypt token file - wrong TOKEN_ENCRYPTION_KEY, another machine or an edited file'
+      );
+    }
+  }
+
+  /**
+   * Encrypt and write tokens. The file is replaced atomically and readable by the owner only.
+   * @param {Object} tokens - Tokens to store
+   */
+  async saveTokens(tokens) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', await this.getKey(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+
+    const body = JSON.stringify({
+      v: FORMAT_VERSION,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    });
+
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tmpPath, body, { mode: 0o600 });
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Delete the token file
+   */
+  async clearTokens() {
+    await fs.rm(this.filePath, { force: true });
+  }
+}
@@ -0,0 +1,53 @@
+import fs from 'fs/promises';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('file-lock');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run `fn` while holding an exclusive lock file, shared by every process using the same path.
+ *
+ * The lock is a file created with `wx`. A lock older than `staleMs` is assumed to belong to a
+ * process that died and is removed.
+ * @param {string} lockPath - Lock file path
+ * @param {Function} fn - Async work to run under the lock
+ * @param {Object} [options] - Lock options
+ * @param {number} [options.timeoutMs] - Give up waiting after this long
+ * @param {number} [options.staleMs] - Break locks older than this
+ * @param {number} [options.retryMs] - Poll interval while waiting
+ * @returns {Promise<*>} Result of `fn`
+ */
+export async function withFileLock(lockPath, fn, options = {}) {
+  const { timeoutMs = 15000, staleMs = 30000, retryMs = 100 } = options;
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    try {
+      const handle = await fs.open(lockPath, 'wx', 0o600);
+      await handle.writeFile(String(process.pid));
+      await handle.close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > staleMs) {
+        logger.warn(`Removing stale lock ${lockPath}`);
+        await fs.rm(lockPath, { force: true });
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for lock ${lockPath}`);
+      }
+      await sleep(retryMs);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
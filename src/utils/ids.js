@@ -0,0 +1,29 @@
+/**
+ * ACC container APIs take the project ID without the `b.` prefix
+ * @param {string} projectId - Project ID in either form
+ * @returns {string} Container ID
+ */
+export function toContainerId(projectId) {
+  return projectId.replace(/^b\./, '');
+}
+
+/**
+ * Data Management APIs take the project ID with the `b.` prefix
+ * @param {string} projectId - Project ID in either form
+ * @returns {string} Data Management project ID
+ */
+export function toDataProjectId(projectId) {
+  return projectId.startsWith('b.') ? projectId : `b.${projectId}`;
+}
+
+/**
+ * Fill `:param` placeholders of an endpoint template
+ * @param {string} template - Endpoint from getApiEndpoints()
+ * @param {Object} params - Values by placeholder name (URL-encoded on substitution)
+ * @returns {string} URL
+ */
+export function fillEndpoint(template, params) {
+  return template.replace(/:([A-Za-z]+)/g, (match, name) =>
+    params[name] === undefined ? match : encodeURIComponent(params[name])
+  );
+}
@@ -0,0 +1,497 @@
+import crypto from 'crypto';
+import { ApsError } from './apsError.js';
+import { formatCsv } from './csv.js';
+
+/**
+ * Formats a tool result can be rendered in
+ */
+export const OUTPUT_FORMATS = ['json', 'compact', 'markdown-table', 'csv'];
+
+/**
+ * Characters of output per tool call unless the call or `config.output` sets a budget
+ */
+export const DEFAULT_MAX_CHARS = 40000;
+
+/**
+ * Smallest accepted budget; anything less cannot hold one item of a typical list
+ */
+export const MIN_MAX_CHARS = 500;
+
+/**
+ * Results of calls that wrote are kept for their further pages, so following a cursor
+ * never sends the writes again: at most this many, each for KEPT_RESULT_TTL_MS
+ */
+const KEPT_RESULTS = 20;
+const KEPT_RESULT_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Kept results by ID, oldest first
+ */
+const keptResults = new Map();
+
+/**
+ * Keys under which APS and the tools return the list of a wrapped list result
+ */
+const LIST_KEYS = ['results', 'data', 'items'];
+
+/**
+ * Locate the list a result is made of, so projection and paging work on its items
+ * while totals and pagination fields around it stay.
+ *
+ * A result is a list if it is an array, has an array under one of LIST_KEYS, or has
+ * exactly one array of objects next to nothing but scalars (e.g. `{ count, events }`).
+ * @param {*} result - Tool result
+ * @returns {Object|null} { items, wrap } where wrap(items) rebuilds the result
+ */
+function splitList(result) {
+  if (Array.isArray(result)) {
+    return { items: result, wrap: (items) => items };
+  }
+  if (!isPlainObject(result)) return null;
+
+  let key = LIST_KEYS.find((candidate) => Array.isArray(result[candidate]));
+  if (!key) {
+    const arrays = Object.keys(result).filter(
+      (candidate) => Array.isArray(result[candidate]) && result[candidate].every(isPlainObject)
+    );
+    const othersScalar = Object.keys(result).every(
+      (candidate) => arrays.includes(candidate) || !isObjectLike(result[candidate])
+    );
+    if (arrays.length === 1 && othersScalar) key = arrays[0];
+  }
+
+  return key ? { items: result[key], wrap: (items) => ({ ...result, [key]: items }) } : null;
+}
+
+/**
+ * Keep only the given fields of a value
+ * @param {*} value - Object, array of objects or scalar
+ * @param {Object} tree - Field tree from fieldTree()
+ * @returns {*} Projected copy
+ */
+function pick(value, tree) {
+  if (Array.isArray(value)) return value.map((item) => pick(item, tree));
+  if (!isPlainObject(value)) return value;
+
+  const picked = {};
+  for (const [key, subtree] of Object.entries(tree)) {
+    if (key in value) {
+      picked[key] = subtree === true ? value[key] : pick(value[key], subtree);
+    }
+  }
+  return picked;
+}
+
+/**
+ * Turn dot paths into a nested tree, e.g. `['id', 'assignedTo.name']` into
+ * `{ id: true, assignedTo: { name: true } }`
+ * @param {string[]} fields - Field paths
+ * @returns {Object} Field tree
+ */
+function fieldTree(fields) {
+  const tree = {};
+  for (const field of fields) {
+    const parts = field.split('.').filter(Boolean);
+    let node = tree;
+    parts.forEach((part, index) => {
+      if (index === parts.length - 1) {
+        node[part] = true;
+      } else {
+        if (node[part] === true) return;
+        node[part] = node[part] || {};
+        node = node[part];
+      }
+    });
+  }
+  return tree;
+}
+
+/**
+ * Apply a `fields` projection to the items of a list result, or to the result itself
+ * @param {*} result - Tool result
+ * @param {string[]} [fields] - Field paths
+ * @returns {*} Projected result
+ */
+export function projectFields(result, fields) {
+  if (!fields || fields.length === 0) return result;
+
+  const tree = fieldTree(fields);
+  const list = splitList(result);
+  return list ? list.wrap(pick(list.items, tree)) : pick(result, tree);
+}
+
+/**
+ * Flatten an object into dot-path columns; arrays stay whole
+ * @param {*} value - Value to flatten
+ * @param {string} [prefix] - Path of the value
+ * @param {Object} [row] - Row being filled
+ * @returns {Object} Column -> value
+ */
+function flatten(value, prefix = '', row = {}) {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, row);
+    }
+  } else {
+    row[prefix || 'value'] = value;
+  }
+  return row;
+}
+
+/**
+ * Cell text for tables: scalars as they are, arrays and objects as compact JSON
+ * @param {*} value - Cell value
+ * @returns {string} Cell text
+ */
+function cellText(value) {
+  if (value === undefined || value === null) return '';
+  return isObjectLike(value) ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Columns and rows of a result, one row per list item (or a single row)
+ * @param {*} result - Tool result
+ * @returns {Object} { headers, rows, meta } where meta holds the fields around a list
+ */
+function tabulate(result) {
+  const list = splitList(result);
+  const rows = (list ? list.items : [result]).map((item) => flatten(item));
+  const headers = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const meta =
+    list && !Array.isArray(result)
+      ? Object.entries(result).filter(([, value]) => value !== list.items)
+      : [];
+
+  return {
+    headers,
+    rows: rows.map((row) => Object.fromEntries(headers.map((h) => [h, cellText(row[h])]))),
+    meta,
+  };
+}
+
+/**
+ * Render a result as a Markdown table; fields around a list go above it
+ * @param {*} result - Tool result
+ * @returns {string} Markdown
+ */
+function markdownTable(result) {
+  const { headers, rows, meta } = tabulate(result);
+  const escape = (text) => text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  const lines = meta.map(([key, value]) => `**${key}:** ${escape(cellText(value))}`);
+  if (lines.length > 0) lines.push('');
+
+  if (headers.length === 0) {
+    lines.push('_No items_');
+  } else {
+    lines.push(`| ${headers.map(escape).join(' | ')} |`);
+    lines.push(`| ${headers.map(() => '---').join(' | ')} |`);
+    for (const row of rows) {
+      lines.push(`| ${headers.map((header) => escape(row[header])).join(' | ')} |`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Drop null, empty strings, empty arrays and empty objects
+ * @param {*} value - JSON value
+ * @returns {*} Copy without empty values (undefined if nothing is left)
+ */
+function withoutEmpty(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(withoutEmpty).filter((item) => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value)
+      .map(([key, child]) => [key, withoutEmpty(child)])
+      .filter(([, child]) => child !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return value === null || value === '' ? undefined : value;
+}
+
+/**
+ * Render a result in one of OUTPUT_FORMATS
+ * @param {*} result - Tool result
+ * @param {string} format - Output format
+ * @returns {string} Text
+ */
+export function renderOutput(result, format) {
+  switch (format) {
+    case 'compact':
+      return JSON.stringify(withoutEmpty(result) ?? null);
+    case 'markdown-table':
+      return markdownTable(result);
+    case 'csv': {
+      const { headers, rows } = tabulate(result);
+      return formatCsv(headers, rows);
+    }
+    default:
+      return JSON.stringify(result, null, 2) ?? 'null';
+  }
+}
+
+/**
+ * Identify a tool call, so a cursor is only accepted by the call that produced it
+ * @param {Object} call - { tool, args, fields, format }
+ * @returns {string} Short hash
+ */
+function callKey(call) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(sortKeys(call)))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+/**
+ * Sort object keys recursively so equal arguments hash equally
+ * @param {*} value - JSON value
+ * @returns {*} Copy with sorted keys
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, sortKeys(value[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * @param {Object} position - { key, item } or { key, char }, and `result` for a kept result
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - Cursor from an earlier, truncated result
+ * @param {string} key - callKey() of this call
+ * @returns {Object} { item } or { char }, and `result` for a kept result
+ */
+function decodeCursor(cursor, key) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ApsError('VALIDATION', 'Invalid cursor; pass the cursor of a truncated result as is');
+  }
+  if (position?.key !== key) {
+    throw new ApsError(
+      'VALIDATION',
+      'This cursor belongs to a different call; repeat the call with the same arguments, ' +
+        'fields and format as the one that returned it'
+    );
+  }
+  return position;
+}
+
+/**
+ * Check the cursor of a call before the call runs
+ * @param {string} [cursor] - Cursor passed to the call
+ * @param {Object} call - Shaping options of the call (see shapeOutput)
+ * @returns {Object} Position to continue from; empty without a cursor
+ */
+export function readCursor(cursor, call) {
+  if (!cursor) return {};
+
+  const position = decodeCursor(cursor, callKey(callIdentity(call)));
+  if (call.keep && position.result === undefined) {
+    throw new ApsError('VALIDATION', 'Invalid cursor; pass the cursor of a truncated result as is');
+  }
+  return position;
+}
+
+/**
+ * Result kept for the cursor of a call that wrote
+ * @param {Object} position - Position from readCursor()
+ * @returns {*} The result the call returned when it ran
+ */
+export function keptResult(position) {
+  const kept = keptResults.get(position.result);
+  if (!kept || kept.expiresAt < Date.now()) {
+    keptResults.delete(position.result);
+    throw new ApsError(
+      'VALIDATION',
+      'The rest of this result has expired; the call changed data, so it is not run again ' +
+        'for further pages'
+    );
+  }
+  return kept.result;
+}
+
+/**
+ * Keep a result for further pages, dropping expired and the oldest ones
+ * @param {*} result - Tool result
+ * @returns {string} Result ID for the cursors
+ */
+function keepResult(result) {
+  const now = Date.now();
+  for (const [id, kept] of keptResults) {
+    if (kept.expiresAt < now) keptResults.delete(id);
+  }
+
+  const id = crypto.randomUUID();
+  keptResults.set(id, { result, expiresAt: now + KEPT_RESULT_TTL_MS });
+  if (keptResults.size > KEPT_RESULTS) {
+    keptResults.delete(keptResults.keys().next().value);
+  }
+  return id;
+}
+
+/**
+ * @param {Object} call - Shaping options
+ * @returns {Object} What identifies the call for its cursors
+ */
+function callIdentity({ tool, args, fields, format }) {
+  return { tool, args, fields: fields || null, format };
+}
+
+/**
+ * Project, render and, if it exceeds the budget, cut a tool result.
+ *
+ * Lists are cut between items: each page holds as many whole items as fit, and the
+ * cursor points at the first item left out. Other results (and a single item larger than
+ * the budget) are cut at a character offset. Cutting depends only on the result and the
+ * options, so repeating a call with the returned cursor continues where the page ended;
+ * `maxChars` may change between pages. With `keep`, the result itself is kept and the
+ * cursor refers to it (see keptResult), for calls that must not run twice.
+ * @param {*} result - Tool result
+ * @param {Object} options - Shaping options
+ * @param {string} options.tool - Tool name
+ * @param {Object} options.args - Tool arguments, identifying the call for cursors
+ * @param {string[]} [options.fields] - Field paths to keep
+ * @param {string} options.format - One of OUTPUT_FORMATS
+ * @param {number} options.maxChars - Character budget
+ * @param {boolean} [options.keep] - Keep the result for further pages
+ * @param {Object} [options.position] - Position from readCursor()
+ * @returns {Object} { text, notice } where notice explains a cut and holds the next cursor
+ */
+export function shapeOutput(result, options) {
+  const { tool, format, maxChars, keep, position = {} } = options;
+  const shaped = projectFields(result, options.fields);
+  const list = splitList(shaped);
+
+  // Cursor fields every page of this result shares; a result is only kept once it is cut
+  let base = null;
+  const cursorBase = () => {
+    base ??= {
+      key: callKey(callIdentity(options)),
+      ...(keep && { result: position.result ?? keepResult(result) }),
+    };
+    return base;
+  };
+
+  if (list && position.char === undefined) {
+    const start = position.item || 0;
+    const remaining = list.items.slice(start);
+    const page = (count) => renderOutput(list.wrap(remaining.slice(0, count)), format);
+
+    const full = page(remaining.length);
+    if (full.length <= maxChars) {
+      return { text: full, notice: null };
+    }
+
+    // Largest number of whole items that fits (rendered size grows with the count)
+    let low = 0;
+    let high = remaining.length;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (page(mid).length <= maxChars) low = mid;
+      else high = mid - 1;
+    }
+
+    if (low > 0) {
+      const end = start + low;
+      return {
+        text: page(low),
+        notice:
+          `Output truncated to ${maxChars} characters: items ${start + 1}-${end} of ` +
+          `${list.items.length}. Call ${tool} again with the same arguments and ` +
+          `cursor "${encodeCursor({ ...cursorBase(), item: end })}" for the next items.`,
+      };
+    }
+
+    // The next item alone exceeds the budget: show it in parts
+    const text = page(1);
+    return charPage(text, 0, { cursorBase, tool, maxChars, item: start, items: list.items.length });
+  }
+
+  if (list && position.item !== undefined) {
+    const text = renderOutput(
+      list.wrap(list.items.slice(position.item, position.item + 1)),
+      format
+    );
+    return charPage(text, position.char, {
+      cursorBase,
+      tool,
+      maxChars,
+      item: position.item,
+      items: list.items.length,
+    });
+  }
+
+  return charPage(renderOutput(shaped, format), position.char || 0, {
+    cursorBase,
+    tool,
+    maxChars,
+  });
+}
+
+/**
+ * Cut rendered text at a character offset
+ * @param {string} text - Rendered result (or a single list item)
+ * @param {number} start - First character of this page
+ * @param {Object} page - { cursorBase, tool, maxChars, item, items }; item is set in list
+ *   mode, and cursorBase() gives the cursor fields shared by every page
+ * @returns {Object} { text, notice }
+ */
+function charPage(text, start, { cursorBase, tool, maxChars, item, items }) {
+  const end = Math.min(start + maxChars, text.length);
+  const chunk = text.slice(start, end);
+  const inList = item !== undefined;
+
+  if (end < text.length) {
+    return {
+      text: chunk,
+      notice:
+        `Output truncated to ${maxChars} characters: characters ${start + 1}-${end} of ` +
+        `${text.length}${inList ? ` in item ${item + 1} of ${items}` : ''}. Call ${tool} ` +
+        `again with the same arguments and cursor ` +
+        `"${encodeCursor({ ...cursorBase(), item, char: end })}" to continue.`,
+    };
+  }
+
+  if (inList && item + 1 < items) {
+    return {
+      text: chunk,
+      notice:
+        `End of item ${item + 1} of ${items}. Call ${tool} again with the same arguments ` +
+        `and cursor "${encodeCursor({ ...cursorBase(), item: item + 1 })}" for the next items.`,
+    };
+  }
+
+  return { text: chunk, notice: null };
+}
+
+/**
+ * @param {*} value - Any value
+ * @returns {boolean} Whether the value is a plain object (not an array or null)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {*} value - Any value
+ * @returns {boolean} Whether the value is an object or an array
+ */
+function isObjectLike(value) {
+  return value !== null && typeof value === 'object';
+}
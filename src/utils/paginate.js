@@ -0,0 +1,75 @@
+import { getRequestContext, progressUnit } from './requestContext.js';
+
+/**
+ * Page size requested from ACC container lists (their maximum)
+ */
+export const DEFAULT_PAGE_SIZE = 200;
+
+/**
+ * Where the page after `data` is, if there is one. ACC container lists give
+ * `pagination.nextUrl` (or only `offset`/`limit`/`totalResults`); Data Management
+ * lists give `links.next.href`.
+ * @param {string} url - URL of the first page
+ * @param {Object} query - Query parameters of the first page
+ * @param {Object} data - Response body of the current page
+ * @returns {Object|null} { url, params } of the next page
+ */
+function nextPage(url, query, data) {
+  const nextUrl = data?.pagination?.nextUrl || data?.links?.next?.href;
+  if (nextUrl) {
+    // The next URL carries the query; relative ones are relative to the API host
+    return { url: new URL(nextUrl, url).href, params: undefined };
+  }
+
+  const { offset = 0, limit, totalResults } = data?.pagination || {};
+  if (limit && totalResults !== undefined && offset + limit < totalResults) {
+    return { url, params: { ...query, offset: offset + limit } };
+  }
+  return null;
+}
+
+/**
+ * Fetch the pages of an APS list until it ends or `maxResults` items have arrived.
+ *
+ * Each page is reported as progress of the current tool call (added to the other lists
+ * the call reads at the same time), and a cancelled call stops between pages (the request in flight is aborted by makeAuthenticatedRequest).
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {string} url - First page URL
+ * @param {Object} [options] - Pagination options
+ * @param {Object} [options.params] - Query parameters of the first page
+ * @param {number} [options.pageSize] - `limit` of the first page, unless params set one
+ * @param {number} [options.maxResults] - Stop once this many items have arrived
+ * @returns {Promise<Object>} { results, totalResults, truncated }; `truncated` is set when
+ *   more items exist than were returned, and `totalResults` is null if APS did not say
+ */
+export async function paginate(authManager, url, options = {}) {
+  const { params, pageSize = DEFAULT_PAGE_SIZE, maxResults = Infinity } = options;
+  const firstQuery = { limit: Math.min(pageSize, maxResults), ...params };
+  const results = [];
+  let totalResults = null;
+  let page = { url, params: firstQuery };
+  const progress = progressUnit();
+
+  while (page && results.length < maxResults) {
+    getRequestContext().signal?.throwIfAborted();
+
+    const { data } = await authManager.makeAuthenticatedRequest({
+      method: 'get',
+      url: page.url,
+      params: page.params,
+    });
+    const items = data?.results ?? data?.data ?? [];
+    results.push(...items);
+    totalResults = data?.pagination?.totalResults ?? totalResults;
+    page = items.length > 0 ? nextPage(url, firstQuery, data) : null;
+
+    const total = totalResults === null ? undefined : Math.min(totalResults, maxResults);
+    progress(Math.min(results.length, maxResults), total);
+  }
+
+  return {
+    results: results.slice(0, maxResults),
+    totalResults: totalResults ?? (page ? null : results.length),
+    truncated: results.length > maxResults || Boolean(page),
+  };
+}
@@ -0,0 +1,106 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with a context that every APS call made on its behalf can read
+ * (e.g. `dryRun`). Nested calls see the merged context.
+ * @param {Object} context - Context values
+ * @param {Function} fn - Async work
+ * @returns {Promise<*>} Result of `fn`
+ */
+export function runWithContext(context, fn) {
+  return storage.run({ ...storage.getStore(), ...context }, fn);
+}
+
+/**
+ * Context of the tool call currently executing
+ * @returns {Object} Context values (empty outside a call)
+ */
+export function getRequestContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Progress of one tool call, added up over its units of work. A call can read several
+ * lists at once (search_project, the lookups of a bulk import), so each pagination
+ * reports its own count and the client sees their sum, which only grows.
+ */
+export class CallProgress {
+  /**
+   * @param {Function} send - (progress, total, message) => void; sends a notification
+   */
+  constructor(send) {
+    this.send = send;
+    this.units = [];
+    this.own = null;
+    this.last = -Infinity;
+  }
+
+  /**
+   * Start a unit of work
+   * @returns {Function} (done, total, message) => void; `done` must not decrease, and
+   *   `total` is undefined while unknown
+   */
+  unit() {
+    const unit = { done: 0, total: undefined };
+    this.units.push(unit);
+    return (done, total, message) => {
+      unit.done = done;
+      unit.total = total;
+      this.update(message);
+    };
+  }
+
+  /**
+   * Report the call's own work, as one more unit
+   * @param {number} progress - Work done so far
+   * @param {number} [total] - Total work, if known
+   * @param {string} [message] - Description of the current state
+   */
+  report(progress, total, message) {
+    this.own ??= this.unit();
+    this.own(progress, total, message);
+  }
+
+  /**
+   * Notify the client if the summed progress grew (clients drop notifications whose
+   * progress does not increase)
+   * @param {string} [message] - Description of the current state
+   */
+  update(message) {
+    const progress = this.units.reduce((sum, unit) => sum + unit.done, 0);
+    if (progress <= this.last) return;
+    this.last = progress;
+
+    const total = this.units.every((unit) => unit.total !== undefined)
+      ? this.units.reduce((sum, unit) => sum + unit.total, 0)
+      : undefined;
+    this.send(
+      progress,
+      total,
+      message || `Fetched ${progress}${total === undefined ? '' : ` of ${total}`} items`
+    );
+  }
+}
+
+/**
+ * Start a unit of work of the current tool call whose progress is reported to the client
+ * (see CallProgress). Outside a call, or when the client asked for no progress, reports
+ * are ignored.
+ * @returns {Function} (done, total, [message]) => void
+ */
+export function progressUnit() {
+  return getRequestContext().progress?.unit() || (() => {});
+}
+
+/**
+ * Report progress of the current tool call's own work. It counts as one unit, added to
+ * the pages read by paginate() during the call.
+ * @param {number} progress - Work done so far; must not decrease
+ * @param {number} [total] - Total work, if known
+ * @param {string} [message] - Short description of the current state
+ */
+export function reportProgress(progress, total, message) {
+  getRequestContext().progress?.report(progress, total, message);
+}
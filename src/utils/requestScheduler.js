@@ -0,0 +1,209 @@
+import { EventEmitter } from 'events';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('scheduler');
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+export const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * Wait, or stop waiting with the signal's reason as soon as it is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal of the request
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string|undefined} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Shared scheduler for every APS call: token-bucket rate limiting plus retry with backoff.
+ *
+ * Emits `wait` ({ delayMs, reason }) whenever a request is held back and
+ * `retry` ({ attempt, delayMs, reason, method, url }) before each retry.
+ */
+export class RequestScheduler extends EventEmitter {
+  /**
+   * @param {Object} options - `config.rateLimit`
+   * @param {number} options.maxRequests - Bucket capacity
+   * @param {number} options.windowMs - Time to refill the whole bucket
+   * @param {number} [options.maxRetries] - Retries after the first attempt
+   * @param {number} [options.baseDelayMs] - First backoff delay
+   * @param {number} [options.maxDelayMs] - Backoff ceiling
+   * @param {number} [options.maxRetryAfterMs] - Longest Retry-After delay honoured
+   */
+  constructor(options) {
+    super();
+    this.capacity = options.maxRequests;
+    this.refillPerMs = options.maxRequests / options.windowMs;
+    this.maxRetries = options.maxRetries ?? 4;
+    this.baseDelayMs = options.baseDelayMs ?? 500;
+    this.maxDelayMs = options.maxDelayMs ?? 30000;
+    this.maxRetryAfterMs = options.maxRetryAfterMs ?? 60000;
+
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.blockedUntil = 0;
+  }
+
+  /**
+   * Top up the bucket for the time elapsed since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait until a request may be sent, then take a token
+   * @param {AbortSignal} [signal] - Stops waiting when aborted
+   */
+  async acquire(signal) {
+    for (;;) {
+      const now = Date.now();
+
+      // A 429 pauses everybody, not just the request that received it
+      if (now < this.blockedUntil) {
+        const delayMs = this.blockedUntil - now;
+        this.emit('wait', { delayMs, reason: 'retry-after' });
+        await sleep(delayMs, signal);
+        continue;
+      }
+
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      const delayMs = Math.ceil((1 - this.tokens) / this.refillPerMs);
+      this.emit('wait', { delayMs, reason: 'rate-limit' });
+      logger.debug(`Rate limit reached, waiting ${delayMs}ms`);
+      await sleep(delayMs, signal);
+    }
+  }
+
+  /**
+   * Exponential backoff with jitter (between half and all of the ceiling)
+   * @param {number} attempt - Zero-based retry number
+   * @returns {number} Delay in milliseconds
+   */
+  backoff(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  /**
+   * Decide whether a failed request should be retried
+   * @param {Error} error - Axios error
+   * @param {Object} request - { method, url, retrySafe }
+   * @param {number} attempt - Zero-based retry number
+   * @returns {Object} { retry, delayMs, reason }; `delayMs` is also set for a retryable
+   *   failure that is not retried
+   */
+  getRetryDecision(error, request, attempt) {
+    const status = error.response?.status;
+    const method = (request.method || 'get').toLowerCase();
+    let reason;
+    let delayMs;
+
+    if (status === 429) {
+      reason = 'HTTP 429';
+      // A server asking for a very long pause would otherwise hold every request for it
+      const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+      delayMs =
+        retryAfter === null ? this.backoff(attempt) : Math.min(retryAfter, this.maxRetryAfterMs);
+    } else if (status >= 500) {
+      reason = `HTTP ${status}`;
+      delayMs = this.backoff(attempt);
+    } else if (!error.response && RETRYABLE_NETWORK_CODES.includes(error.code)) {
+      reason = error.code;
+      delayMs = this.backoff(attempt);
+    } else {
+      return { retry: false, reason: status ? `HTTP ${status} is not retryable` : 'not retryable' };
+    }
+
+    // A 429 means APS did not process the request, so any method may be sent again
+    if (status !== 429 && !IDEMPOTENT_METHODS.includes(method) && !request.retrySafe) {
+      return { retry: false, reason: `${reason} on non-idempotent ${method.toUpperCase()}` };
+    }
+
+    if (attempt >= this.maxRetries) {
+      return { retry: false, delayMs, reason: `${reason} after ${attempt} retries` };
+    }
+
+    return { retry: true, delayMs, reason };
+  }
+
+  /**
+   * Run a request under the rate limit, retrying transient failures
+   * @param {Object} request - { method, url, retrySafe } used for retry decisions and logs,
+   *   and an optional `signal` that ends waits and stops further attempts once aborted
+   * @param {Function} send - Performs the request and returns a promise
+   * @returns {Promise} Result of `send`
+   */
+  async execute(request, send) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(request.signal);
+      request.signal?.throwIfAborted();
+
+      try {
+        return await send();
+      } catch (error) {
+        const decision = this.getRetryDecision(error, request, attempt);
+        const target = `${(request.method || 'GET').toUpperCase()} ${request.url}`;
+
+        // Hold every request back, even when this one is not retried
+        if (error.response?.status === 429) {
+          this.blockedUntil = Math.max(this.blockedUntil, Date.now() + decision.delayMs);
+        }
+
+        if (!decision.retry) {
+          logger.debug(`Not retrying ${target}: ${decision.reason}`);
+          throw error;
+        }
+
+        logger.warn(
+          `Retrying ${target} in ${decision.delayMs}ms (${decision.reason}, attempt ${attempt + 1}/${this.maxRetries})`
+        );
+        this.emit('retry', {
+          attempt: attempt + 1,
+          ...decision,
+          method: request.method,
+          url: request.url,
+        });
+
+        await sleep(decision.delayMs, request.signal);
+      }
+    }
+  }
+}
@@ -0,0 +1,227 @@
+import NodeCache from 'node-cache';
+import { EventEmitter } from 'events';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('cache');
+
+/**
+ * Reference data worth caching, matched against the request path.
+ * TTLs are in seconds and can be overridden through `config.cache.familyTtl`.
+ */
+export const CACHE_FAMILIES = [
+  { name: 'hubs', pattern: /\/project\/v1\/hubs(\/[^/]+)?$/, ttl: 86400 },
+  { name: 'projects', pattern: /\/project\/v1\/hubs\/[^/]+\/projects(\/[^/]+)?$/, ttl: 3600 },
+  { name: 'locations', pattern: /\/locations\/v2\/containers\/[^/]+\/trees\//, ttl: 3600 },
+  { name: 'issueTypes', pattern: /\/issues\/v\d\/containers\/[^/]+\/issue-types/, ttl: 43200 },
+  {
+    name: 'rootCauses',
+    pattern: /\/issues\/v\d\/containers\/[^/]+\/issue-root-cause-categories/,
+    ttl: 43200,
+  },
+  {
+    name: 'attributeDefinitions',
+    pattern: /\/issues\/v\d\/containers\/[^/]+\/issue-attribute-(definitions|mappings)/,
+    ttl: 43200,
+  },
+];
+
+/**
+ * Extract the container (project) or hub a URL belongs to.
+ * Project IDs are normalized without the `b.` prefix so Data Management and ACC URLs match.
+ * @param {string} url - Request URL
+ * @returns {string|null} Container key
+ */
+export function getContainerKey(url) {
+  const path = new URL(url, 'http://localhost').pathname;
+  const match =
+    path.match(/\/containers\/([^/]+)/) ||
+    path.match(/\/projects\/([^/]+)/) ||
+    path.match(/\/hubs\/([^/]+)/);
+
+  return match ? decodeURIComponent(match[1]).replace(/^b\./, '') : null;
+}
+
+/**
+ * Serialize query params with sorted keys so equivalent requests share a key
+ * @param {Object} [params] - Query parameters
+ * @returns {string} Stable representation
+ */
+function stableParams(params) {
+  if (!params) return '';
+  return JSON.stringify(
+    Object.keys(params)
+      .sort()
+      .map((key) => [key, params[key]])
+  );
+}
+
+/**
+ * Cache for GET responses on slow-changing reference data.
+ *
+ * Emits `hit` and `miss` with `{ family }` for every lookup on a cacheable request.
+ */
+export class ResponseCache extends EventEmitter {
+  /**
+   * @param {Object} options - `config.cache`
+   */
+  constructor(options) {
+    super();
+    this.enabled = options.enabled !== false;
+    this.familyTtl = Object.fromEntries(
+      CACHE_FAMILIES.map(({ name, ttl }) => [name, options.familyTtl?.[name] ?? ttl])
+    );
+    this.cache = new NodeCache({
+      stdTTL: options.ttl,
+      maxKeys: options.maxSize,
+      checkperiod: options.checkPeriod,
+      useClones: true,
+    });
+    this.stats = Object.fromEntries(
+      CACHE_FAMILIES.map(({ name }) => [name, { hits: 0, misses: 0 }])
+    );
+  }
+
+  /**
+   * Find the cache family for a request
+   * @param {Object} options - Axios request options
+   * @returns {string|null} Family name, or null if the request is not cacheable
+   */
+  getFamily(options) {
+    if (!this.enabled || (options.method || 'get').toLowerCase() !== 'get') return null;
+
+    const path = new URL(options.url, 'http://localhost').pathname;
+    const family = CACHE_FAMILIES.find(({ pattern }) => pattern.test(path));
+    return family ? family.name : null;
+  }
+
+  /**
+   * Build the cache key for a request
+   * @param {string} family - Cache family
+   * @param {Object} options - Axios request options
+   * @returns {string} Cache key
+   */
+  getKey(family, options) {
+    return [
+      family,
+      getContainerKey(options.url) || '-',
+      options.url,
+      stableParams(options.params),
+    ].join('|');
+  }
+
+  /**
+   * Look up a cached response
+   * @param {Object} options - Axios request options
+   * @returns {Object|undefined} Cached response
+   */
+  get(options) {
+    const family = this.getFamily(options);
+    if (!family) return undefined;
+
+    const cached = this.cache.get(this.getKey(family, options));
+    if (cached) {
+      this.stats[family].hits++;
+      this.emit('hit', { family });
+      return { ...cached, config: options, fromCache: true };
+    }
+
+    this.stats[family].misses++;
+    this.emit('miss', { family });
+    return undefined;
+  }
+
+  /**
+   * Store a response if the request is cacheable
+   * @param {Object} options - Axios request options
+   * @param {Object} response - Axios response
+   */
+  set(options, response) {
+    const family = this.getFamily(options);
+    if (!family) return;
+
+    const key = this.getKey(family, options);
+    const entry = {
+      status: response.status,
+      headers: { ...response.headers },
+      data: response.data,
+    };
+
+    try {
+      this.cache.set(key, entry, this.familyTtl[family]);
+    } catch (error) {
+      if (error.name !== 'ECACHEFULL') throw error;
+      this.evictOne();
+      this.cache.set(key, entry, this.familyTtl[family]);
+    }
+  }
+
+  /**
+   * Evict the entry closest to expiry to make room for a new one
+   */
+  evictOne() {
+    const keys = this.cache.keys();
+    if (keys.length === 0) return;
+
+    const oldest = keys.reduce((a, b) => (this.cache.getTtl(a) <= this.cache.getTtl(b) ? a : b));
+    this.cache.del(oldest);
+  }
+
+  /**
+   * Drop cached entries for the container a write request touched
+   * @param {string} url - URL of the write request
+   * @returns {number} Number of entries removed
+   */
+  invalidateFor(url) {
+    const container = getContainerKey(url);
+    if (!container) return 0;
+
+    const removed = this.clear({ containerId: container });
+    if (removed > 0) {
+      logger.debug(`Invalidated ${removed} cached responses for ${container}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Remove entries, optionally limited to a family and/or container
+   * @param {Object} [filter] - { family, containerId }
+   * @returns {number} Number of entries removed
+   */
+  clear(filter = {}) {
+    const container = filter.containerId?.replace(/^b\./, '');
+    const keys = this.cache.keys().filter((key) => {
+      const [family, keyContainer] = key.split('|');
+      return (
+        (!filter.family || family === filter.family) && (!container || keyContainer === container)
+      );
+    });
+
+    return this.cache.del(keys);
+  }
+
+  /**
+   * Hit/miss counters per family plus current size
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
+    const totals = Object.values(this.stats).reduce(
+      (sum, { hits, misses }) => ({ hits: sum.hits + hits, misses: sum.misses + misses }),
+      { hits: 0, misses: 0 }
+    );
+    const lookups = totals.hits + totals.misses;
+
+    return {
+      enabled: this.enabled,
+      keys: this.cache.keys().length,
+      maxKeys: this.cache.options.maxKeys,
+      hitRate: lookups ? Number((totals.hits / lookups).toFixed(3)) : null,
+      ...totals,
+      families: Object.fromEntries(
+        Object.entries(this.stats).map(([name, counts]) => [
+          name,
+          { ...counts, ttl: this.familyTtl[name] },
+        ])
+      ),
+    };
+  }
+}
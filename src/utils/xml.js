@@ -0,0 +1,196 @@
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Replace XML entity and character references
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code =
+        ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : Number(ref.slice(1));
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[ref] ?? match;
+  });
+}
+
+/**
+ * Escape text for use in element content or attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse an XML document into a tree of `{ name, attributes, children, text }` elements.
+ * Namespace prefixes are dropped from element and attribute names; comments, processing
+ * instructions and the DOCTYPE are skipped.
+ * @param {string} source - XML text
+ * @returns {Object} Root element
+ */
+export function parseXml(source) {
+  const text = source.replace(/^\uFEFF/, '');
+  const stack = [{ name: '#document', attributes: {}, children: [], text: '' }];
+  const localName = (name) => name.slice(name.indexOf(':') + 1);
+  let pos = 0;
+
+  const indexOf = (marker) => {
+    const index = text.indexOf(marker, pos);
+    if (index === -1) {
+      throw new Error(`Unterminated markup at offset ${pos}`);
+    }
+    return index;
+  };
+
+  while (pos < text.length) {
+    const open = text.indexOf('<', pos);
+    const current = stack[stack.length - 1];
+
+    if (open === -1 || open > pos) {
+      const end = open === -1 ? text.length : open;
+      current.text += decodeEntities(text.slice(pos, end));
+      pos = end;
+      continue;
+    }
+
+    if (text.startsWith('<!--', pos)) {
+      pos = indexOf('-->') + 3;
+    } else if (text.startsWith('<![CDATA[', pos)) {
+      const end = indexOf(']]>');
+      current.text += text.slice(pos + 9, end);
+      pos = end + 3;
+    } else if (text.startsWith('<?', pos)) {
+      pos = indexOf('?>') + 2;
+    } else if (text.startsWith('<!', pos)) {
+      pos = indexOf('>') + 1;
+    } else if (text[pos + 1] === '/') {
+      const end = indexOf('>');
+      const name = localName(text.slice(pos + 2, end).trim());
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      stack.pop();
+      pos = end + 1;
+    } else {
+      const tag = text
+        .slice(pos)
+        .match(/^<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/);
+      if (!tag) {
+        throw new Error(`Malformed tag at offset ${pos}`);
+      }
+
+      const element = { name: localName(tag[1]), attributes: {}, children: [], text: '' };
+      for (const [, name, , double, single] of tag[2].matchAll(
+        /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g
+      )) {
+        if (name === 'xmlns' || name.startsWith('xmlns:')) continue;
+        element.attributes[localName(name)] = decodeEntities(double ?? single);
+      }
+
+      current.children.push(element);
+      if (!tag[3]) stack.push(element);
+      pos += tag[0].length;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  const root = stack[0].children[0];
+  if (!root) {
+    throw new Error('Document has no root element');
+  }
+  return root;
+}
+
+/**
+ * First child element with a name
+ * @param {Object} element - Parent element
+ * @param {string} name - Child name
+ * @returns {Object|undefined} Child element
+ */
+export function findChild(element, name) {
+  return element?.children.find((child) => child.name === name);
+}
+
+/**
+ * All child elements with a name
+ * @param {Object} element - Parent element
+ * @param {string} name - Child name
+ * @returns {Object[]} Child elements
+ */
+export function findChildren(element, name) {
+  return element?.children.filter((child) => child.name === name) || [];
+}
+
+/**
+ * Trimmed text of a child element
+ * @param {Object} element - Parent element
+ * @param {string} name - Child name
+ * @returns {string|undefined} Text, or undefined if the child is missing or empty
+ */
+export function childText(element, name) {
+  const text = findChild(element, name)?.text.trim();
+  return text || undefined;
+}
+
+/**
+ * Serialize an element tree. Children are elements or text; null and undefined children
+ * are left out.
+ * @param {Object} element - `{ name, attributes, children }`
+ * @param {number} [depth] - Indentation level
+ * @returns {string} XML
+ */
+export function toXml(element, depth = 0) {
+  const indent = '  '.repeat(depth);
+  const attributes = Object.entries(element.attributes || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+  const children = (element.children || []).filter(
+    (child) => child !== undefined && child !== null
+  );
+
+  if (children.length === 0) {
+    return `${indent}<${element.name}${attributes}/>`;
+  }
+  if (children.every((child) => typeof child !== 'object')) {
+    return `${indent}<${element.name}${attributes}>${escapeXml(children.join(''))}</${element.name}>`;
+  }
+
+  const body = children
+    .map((child) =>
+      typeof child === 'object' ? toXml(child, depth + 1) : `${indent}  ${escapeXml(child)}`
+    )
+    .join('\n');
+  return `${indent}<${element.name}${attributes}>\n${body}\n${indent}</${element.name}>`;
+}
+
+/**
+ * Shorthand for an element node
+ * @param {string} name - Element name
+ * @param {Object} [attributes] - Attributes (undefined values are skipped)
+ * @param {...*} children - Child elements or text
+ * @returns {Object} Element node
+ */
+export function el(name, attributes, ...children) {
+  return { name, attributes: attributes || {}, children: children.flat() };
+}
+
+/**
+ * Text-only element for an optional value
+ * @param {string} name - Element name
+ * @param {*} value - Element text
+ * @returns {Object|null} Element node, or null when the value is undefined, null or ''
+ */
+export function field(name, value) {
+  return value === undefined || value === null || value === '' ? null : el(name, null, value);
+}
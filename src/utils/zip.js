@@ -0,0 +1,156 @@
+import zlib from 'zlib';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer, as used by ZIP
+ * @param {Buffer} data - Data
+ * @returns {number} Unsigned CRC
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * DOS date and time fields for a date
+ * @param {Date} date - Date
+ * @returns {Object} { time, date }
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Build a ZIP archive. Entries are deflated unless that does not make them smaller.
+ * @param {Object[]} entries - `{ name, data }` with data as Buffer or string
+ * @returns {Buffer} Archive
+ */
+export function createZip(entries) {
+  const { time, date } = dosDateTime(new Date());
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const [method, body] = deflated.length < data.length ? [DEFLATED, deflated] : [STORED, data];
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + body.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Read every file of a ZIP archive (stored or deflated entries; no ZIP64 or encryption)
+ * @param {Buffer} buffer - Archive
+ * @returns {Map<string, Buffer>} File contents by path; directories are left out
+ */
+export function readZip(buffer) {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const files = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let pos = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(pos) !== CENTRAL_HEADER) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const method = buffer.readUInt16LE(pos + 10);
+    const compressedSize = buffer.readUInt32LE(pos + 20);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const extraLength = buffer.readUInt16LE(pos + 30);
+    const commentLength = buffer.readUInt16LE(pos + 32);
+    const localOffset = buffer.readUInt32LE(pos + 42);
+    const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const body = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === STORED) {
+      files.set(name, Buffer.from(body));
+    } else if (method === DEFLATED) {
+      files.set(name, zlib.inflateRawSync(body));
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+  }
+
+  return files;
+}
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('journal');
+
+/**
+ * Bounded journal of received webhook events, persisted as JSONL.
+ *
+ * Emits `event` for every new (non-duplicate) event.
+ */
+export class EventJournal extends EventEmitter {
+  /**
+   * @param {Object} options - `config.webhook`
+   * @param {number} options.journalSize - Maximum number of events kept
+   * @param {string} [options.journalPath] - JSONL file, omitted to keep events in memory only
+   */
+  constructor(options) {
+    super();
+    this.maxEvents = options.journalSize;
+    this.filePath = options.journalPath;
+    this.events = [];
+    this.seenIds = new Set();
+    this.appendsSinceRewrite = 0;
+  }
+
+  /**
+   * Load persisted events, keeping only the newest `maxEvents`
+   */
+  async load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    const lines = (await fs.promises.readFile(this.filePath, 'utf8')).split('\n').filter(Boolean);
+    for (const line of lines.slice(-this.maxEvents)) {
+      try {
+        const event = JSON.parse(line);
+        this.events.push(event);
+        this.seenIds.add(event.id);
+      } catch (error) {
+        logger.warn('Skipping corrupt journal line');
+      }
+    }
+
+    // Rewrite the file so it does not grow without bound across restarts
+    if (lines.length > this.maxEvents) {
+      await this.rewrite();
+    }
+
+    logger.info(`Loaded ${this.events.length} webhook events from journal`);
+  }
+
+  /**
+   * Rewrite the journal file from memory
+   */
+  async rewrite() {
+    const body = this.events.map((event) => JSON.stringify(event)).join('\n');
+    await fs.promises.writeFile(this.filePath, body ? `${body}\n` : '');
+    this.appendsSinceRewrite = 0;
+  }
+
+  /**
+   * Record an event unless it was already delivered
+   * @param {Object} event - Normalized event with a unique `id`
+   * @returns {Promise<boolean>} False if the event was a duplicate
+   */
+  async record(event) {
+    if (this.seenIds.has(event.id)) {
+      logger.debug(`Ignoring duplicate delivery ${event.id}`);
+      return false;
+    }
+
+    this.events.push(event);
+    this.seenIds.add(event.id);
+
+    if (this.events.length > this.maxEvents) {
+      const dropped = this.events.splice(0, this.events.length - this.maxEvents);
+      dropped.forEach(({ id }) => this.seenIds.delete(id));
+    }
+
+    if (this.filePath) {
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(event)}\n`);
+      this.appendsSinceRewrite++;
+
+      // Compact once the file holds twice the journal size, not on every append
+      if (this.appendsSinceRewrite >= this.maxEvents) {
+        await this.rewrite();
+      }
+    }
+
+    this.emit('event', event);
+    return true;
+  }
+
+  /**
+   * Query recent events, newest first
+   * @param {Object} [filter] - { since, system, event, projectId, limit }
+   * @returns {Object[]} Matching events
+   */
+  recent(filter = {}) {
+    const since = filter.since ? new Date(filter.since).getTime() : 0;
+
+    return this.events
+      .filter(
+        (event) =>
+          new Date(event.receivedAt).getTime() >= since &&
+          (!filter.system || event.system === filter.system) &&
+          (!filter.event || event.event === filter.event) &&
+          (!filter.projectId ||
+            event.projectId?.replace(/^b\./, '') === filter.projectId.replace(/^b\./, ''))
+      )
+      .reverse()
+      .slice(0, filter.limit || 50);
+  }
+}
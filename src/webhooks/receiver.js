@@ -0,0 +1,89 @@
+import express from 'express';
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('webhooks');
+
+const SIGNATURE_HEADER = 'x-adsk-signature';
+
+/**
+ * Verify the `x-adsk-signature` header (`sha1hash=<hex HMAC-SHA1 of the raw body>`)
+ * @param {Buffer} rawBody - Request body as received
+ * @param {string|undefined} header - Signature header value
+ * @param {string} secret - Webhook secret token
+ * @returns {boolean} True if the signature matches
+ */
+export function verifySignature(rawBody, header, secret) {
+  if (!header || !secret) return false;
+
+  const received = Buffer.from(header.replace(/^sha1hash=/, ''), 'hex');
+  const expected = createHmac('sha1', secret).update(rawBody).digest();
+
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+/**
+ * Turn an APS webhook delivery into a journal event
+ * @param {Object} body - Parsed delivery
+ * @param {Buffer} rawBody - Raw delivery, used to derive an ID when APS sends none
+ * @returns {Object} Normalized event
+ */
+export function normalizeDelivery(body, rawBody) {
+  const hook = body.hook || {};
+  const payload = body.payload || {};
+
+  return {
+    id:
+      payload.eventId ||
+      body.eventId ||
+      createHash('sha256').update(rawBody).digest('hex').slice(0, 32),
+    receivedAt: new Date().toISOString(),
+    system: hook.system,
+    event: hook.event,
+    hookId: hook.hookId,
+    projectId: payload.projectId || payload.containerId || hook.hookAttribute?.projectId,
+    entityId: payload.id || payload.issueId || payload.rfiId || payload.submittalId,
+    resourceUrn: body.resourceUrn,
+    payload,
+  };
+}
+
+/**
+ * Create the router that receives APS webhook deliveries
+ * @param {Object} options - `config.webhook`
+ * @param {EventJournal} journal - Journal receiving verified events
+ * @returns {express.Router} Router to mount at the webhook path
+ */
+export function createWebhookRouter(options, journal) {
+  const router = express.Router();
+
+  router.post('/', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    if (!verifySignature(rawBody, req.get(SIGNATURE_HEADER), options.secret)) {
+      logger.warn('Rejected webhook delivery with invalid signature');
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({ error: 'Body is not valid JSON' });
+    }
+
+    try {
+      const event = normalizeDelivery(body, rawBody);
+      const recorded = await journal.record(event);
+      if (recorded) {
+        logger.info(`Received ${event.system}/${event.event} for ${event.projectId || 'unknown'}`);
+      }
+      res.status(200).json({ received: true, duplicate: !recorded });
+    } catch (error) {
+      logger.error('Failed to record webhook event:', error);
+      res.status(500).json({ error: 'Failed to record event' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,84 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { AuditLog } from '../../src/audit/log.js';
+
+const authManager = { getIdentity: async () => ({ userId: 'U1', email: 'a@example.com' }) };
+const write = (args) => ({
+  method: 'post',
+  url: 'https://developer.api.autodesk.com/construction/issues/v1/projects/p1/issues',
+  status: 201,
+  entityId: 'i1',
+  tool: 'import_issues',
+  args,
+});
+
+describe('audit log', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const open = (key) => new AuditLog({ enabled: true, path: path.join(dir, 'audit.jsonl'), key });
+
+  it('stores large arguments as their size and hash', async () => {
+    const csv = `title\n${'Leaking pipe\n'.repeat(500)}`;
+    const entry = await open().record(authManager, write({ projectId: 'p1', csv }));
+
+    expect(entry.args.projectId).toBe('p1');
+    expect(entry.args.csv).toEqual({
+      omitted: true,
+      chars: JSON.stringify(csv).length,
+      sha256: createHash('sha256').update(JSON.stringify(csv)).digest('hex'),
+    });
+  });
+
+  it('keys the chain so an edited entry cannot be re-hashed without the key', async () => {
+    const log = open('a-long-enough-secret');
+    await log.record(authManager, write({ projectId: 'p1' }));
+    expect(await log.verify()).toMatchObject({ valid: true, entries: 1 });
+
+    // Re-hash an edited entry the way someone without the key would
+    const [entry] = await log.readEntries();
+    const edited = { ...entry, status: 200 };
+    delete edited.hash;
+    edited.hash = createHash('sha256').update(JSON.stringify(edited)).digest('hex');
+    fs.writeFileSync(log.filePath, `${JSON.stringify(edited)}\n`);
+
+    expect(await log.verify()).toMatchObject({ valid: false, reason: 'entry was modified' });
+  });
+
+  it('keeps the order of the writes while an identity lookup is slow', async () => {
+    const log = open();
+    let lookups = 0;
+    const slowFirst = {
+      getIdentity: () =>
+        new Promise((resolve) => setTimeout(() => resolve({ userId: 'U1' }), lookups++ ? 0 : 50)),
+    };
+
+    // Neither write is awaited, as when the auth manager emits them
+    log.record(slowFirst, { ...write(), entityId: 'first' });
+    log.record(slowFirst, { ...write(), entityId: 'second' });
+    const entries = await log.query();
+
+    expect(entries.map(({ seq, resultId }) => [seq, resultId])).toEqual([
+      [2, 'second'],
+      [1, 'first'],
+    ]);
+    expect(entries[1].user).toEqual({ userId: 'U1' });
+    expect(await log.verify()).toMatchObject({ valid: true, entries: 2 });
+  });
+
+  it('treats a plain to date as the whole day', async () => {
+    const log = open();
+    await log.record(authManager, write({ projectId: 'p1' }));
+    const today = new Date().toISOString().slice(0, 10);
+
+    expect(await log.query({ from: today, to: today })).toHaveLength(1);
+    expect(await log.query({ to: '2000-01-01' })).toHaveLength(0);
+  });
+});
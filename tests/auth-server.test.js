@@ -0,0 +1,118 @@
+import net from 'net';
+import { PassThrough } from 'stream';
+import { startMockApi } from '../src/mock/server.js';
+import { AuthManager } from '../src/auth.js';
+import { createLoginRequest, startAuthServer } from '../src/auth-server.js';
+import { testConfig } from './helpers.js';
+
+/**
+ * A port nothing listens on right now
+ * @returns {Promise<number>} Port
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+/**
+ * Collects what the login writes for the user
+ * @returns {PassThrough} Stream with a `text()` method
+ */
+function outputStream() {
+  const output = new PassThrough();
+  let text = '';
+  output.on('data', (chunk) => (text += chunk));
+  output.text = () => text;
+  return output;
+}
+
+/**
+ * Wait until the login URL has been written and return it
+ * @param {PassThrough} output - Stream from outputStream()
+ * @returns {Promise<string>} Login URL
+ */
+async function loginUrl(output) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const match = output.text().match(/^ {2}(http\S+)$/m);
+    if (match) return match[1];
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error('No login URL was written');
+}
+
+/**
+ * Sign in at the stand-in authorize endpoint
+ * @param {string} url - Login URL
+ * @returns {Promise<string>} Redirect back to the callback URL
+ */
+async function authorize(url) {
+  const response = await fetch(url, { redirect: 'manual' });
+  return response.headers.get('location');
+}
+
+describe('login', () => {
+  let config;
+  let mockApi;
+
+  beforeAll(async () => {
+    config = testConfig({
+      AUTODESK_CALLBACK_URL: `http://127.0.0.1:${await freePort()}/callback`,
+    });
+    mockApi = await startMockApi(config);
+  });
+
+  afterAll(() => mockApi.close());
+
+  it('exchanges the code with its PKCE verifier after the browser calls back', async () => {
+    const output = outputStream();
+    const done = startAuthServer(config, { headless: false, timeoutMs: 5000, output });
+
+    const url = await loginUrl(output);
+    expect(new URL(url).searchParams.get('code_challenge_method')).toBe('S256');
+    const redirect = await authorize(url);
+
+    // A callback for another login attempt is refused without ending this one
+    const forged = new URL(redirect);
+    forged.searchParams.set('state', 'forged');
+    expect((await fetch(forged)).status).toBe(400);
+
+    expect((await fetch(redirect)).status).toBe(200);
+    const authManager = await done;
+    expect(authManager.isAuthenticated).toBe(true);
+  });
+
+  it('is refused by the token server without the matching verifier', async () => {
+    const authManager = new AuthManager(config);
+    const login = createLoginRequest(authManager);
+    const code = new URL(await authorize(login.url)).searchParams.get('code');
+
+    await expect(authManager.handleCallback(code, { codeVerifier: 'wrong' })).rejects.toThrow();
+  });
+
+  it('rejects a pasted redirect with another state', async () => {
+    const input = new PassThrough();
+    const output = outputStream();
+    const done = startAuthServer(config, { headless: true, timeoutMs: 5000, input, output });
+
+    const redirect = new URL(await authorize(await loginUrl(output)));
+    redirect.searchParams.set('state', 'forged');
+    input.write(`${redirect}\n`);
+
+    await expect(done).rejects.toThrow(/State mismatch/);
+  });
+
+  it('fails right away when there is no input to paste into', async () => {
+    const input = new PassThrough();
+    const output = outputStream();
+    const done = startAuthServer(config, { headless: true, timeoutMs: 60000, input, output });
+
+    input.end();
+
+    await expect(done).rejects.toThrow(/Input closed/);
+  });
+});
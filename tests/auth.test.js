@@ -0,0 +1,201 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AuthManager } from '../src/auth.js';
+import { startMockApi } from '../src/mock/server.js';
+import { EncryptedTokenStorage } from '../src/utils/encryptedTokenStorage.js';
+import { fillEndpoint } from '../src/utils/ids.js';
+import { runWithContext } from '../src/utils/requestContext.js';
+import { testConfig } from './helpers.js';
+
+describe('token refresh', () => {
+  let dir;
+  let mockApi;
+  let authManager;
+  let tokenRequests;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+    const config = testConfig();
+    config.debug.mockApiPort = 0;
+    mockApi = await startMockApi(config);
+
+    authManager = new AuthManager(config);
+    await authManager.loadTokens();
+    // A shared token file, as in file storage; mock mode keeps tokens in memory otherwise
+    authManager.tokenStorage = new EncryptedTokenStorage({
+      filePath: path.join(dir, 'tokens.json'),
+      encryptionKey: 'test-key',
+    });
+    authManager.tokenLockPath = path.join(dir, 'tokens.lock');
+
+    tokenRequests = 0;
+    authManager.http.interceptors.request.use((request) => {
+      if (request.url === authManager.endpoints.auth.refresh) tokenRequests++;
+      return request;
+    });
+  });
+
+  afterEach(async () => {
+    await mockApi.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('sends one refresh for concurrent callers', async () => {
+    const before = authManager.refreshToken;
+
+    const results = await Promise.all([
+      authManager.refreshAccessToken(),
+      authManager.refreshAccessToken(),
+      authManager.refreshAccessToken(),
+    ]);
+
+    expect(results).toEqual([true, true, true]);
+    expect(tokenRequests).toBe(1);
+    expect(authManager.refreshToken).not.toBe(before);
+    expect(fs.existsSync(authManager.tokenLockPath)).toBe(false);
+
+    // A later refresh is a new one
+    await authManager.refreshAccessToken();
+    expect(tokenRequests).toBe(2);
+  });
+
+  it('adopts tokens another process refreshed while it waited for the lock', async () => {
+    const rotated = {
+      accessToken: 'access-from-other-process',
+      refreshToken: 'refresh-from-other-process',
+      expiresAt: new Date(Date.now() + 3600000).toISOString(),
+    };
+    await authManager.tokenStorage.saveTokens(rotated);
+
+    expect(await authManager.refreshAccessToken()).toBe(true);
+    expect(tokenRequests).toBe(0);
+    expect(authManager.accessToken).toBe(rotated.accessToken);
+    expect(authManager.refreshToken).toBe(rotated.refreshToken);
+  });
+});
+
+describe('dry-run writes', () => {
+  const ISSUE_ID = '5d0e2f6c-3d5b-4a61-9a3e-1f0c0a7e0001';
+  let mockApi;
+  let authManager;
+  let issueUrl;
+  const sent = [];
+
+  beforeAll(async () => {
+    const config = testConfig();
+    config.debug.mockApiPort = 0;
+    mockApi = await startMockApi(config);
+    authManager = new AuthManager(config);
+    authManager.http.interceptors.request.use((request) => {
+      sent.push(request.method.toUpperCase());
+      return request;
+    });
+    issueUrl = `${fillEndpoint(authManager.endpoints.acc.issues, {
+      containerId: 'mock-project-1',
+    })}/${ISSUE_ID}`;
+  });
+
+  afterAll(() => mockApi.close());
+
+  it('previews an update with its field changes, without sending it', async () => {
+    const current = (await authManager.makeAuthenticatedRequest({ url: issueUrl })).data;
+    const dryRun = { requests: [] };
+    let writes = 0;
+    authManager.on('write', () => writes++);
+    sent.length = 0;
+
+    const response = await runWithContext({ dryRun }, () =>
+      authManager.makeAuthenticatedRequest({
+        method: 'patch',
+        url: issueUrl,
+        data: { title: current.title, status: 'closed' },
+      })
+    );
+
+    expect(sent).toEqual(['GET']);
+    expect(writes).toBe(0);
+    expect(response.data).toEqual({ ...current, status: 'closed' });
+    expect(dryRun.requests).toEqual([
+      {
+        request: expect.objectContaining({ method: 'PATCH', url: issueUrl }),
+        changes: [{ field: 'status', before: current.status, after: 'closed' }],
+      },
+    ]);
+
+    const after = (await authManager.makeAuthenticatedRequest({ url: issueUrl })).data;
+    expect(after.status).toBe(current.status);
+  });
+});
+
+describe('two-legged authentication', () => {
+  let mockApi;
+  let config;
+
+  beforeAll(async () => {
+    config = testConfig({ AUTODESK_AUTH_MODE: 'two-legged' });
+    config.debug.mockApiPort = 0;
+    mockApi = await startMockApi(config);
+  });
+
+  afterAll(() => mockApi.close());
+
+  /**
+   * Auth manager for the mock API that records every request it sends
+   */
+  const twoLegged = (userId) => {
+    const authManager = new AuthManager({
+      ...config,
+      autodesk: { ...config.autodesk, userId },
+    });
+    const sent = [];
+    authManager.http.interceptors.request.use((request) => {
+      sent.push(request);
+      return request;
+    });
+    const tokenRequests = () =>
+      sent.filter((request) => request.url === authManager.endpoints.auth.token);
+    const hubs = () =>
+      authManager.makeAuthenticatedRequest({ url: authManager.endpoints.data.hubs });
+    return { authManager, sent, tokenRequests, hubs };
+  };
+
+  it('obtains a client credentials token on the first request', async () => {
+    const { authManager, sent, tokenRequests, hubs } = twoLegged();
+
+    await hubs();
+
+    expect(tokenRequests()).toHaveLength(1);
+    expect(new URLSearchParams(tokenRequests()[0].data).get('grant_type')).toBe(
+      'client_credentials'
+    );
+    expect(sent.at(-1).headers.Authorization).toBe(`Bearer ${authManager.accessToken}`);
+    expect(authManager.refreshToken).toBeNull();
+  });
+
+  it('requests a new token once the token has expired', async () => {
+    const { authManager, tokenRequests, hubs } = twoLegged();
+
+    await hubs();
+    await hubs();
+    expect(tokenRequests()).toHaveLength(1);
+
+    const first = authManager.accessToken;
+    authManager.tokenExpiry = new Date(Date.now() - 1000);
+    await hubs();
+
+    expect(tokenRequests()).toHaveLength(2);
+    expect(authManager.accessToken).not.toBe(first);
+  });
+
+  it('sends x-user-id only when a user ID is configured', async () => {
+    const withUser = twoLegged('MOCKUSER2');
+    const withoutUser = twoLegged();
+
+    await withUser.hubs();
+    await withoutUser.hubs();
+
+    expect(withUser.sent.at(-1).headers['x-user-id']).toBe('MOCKUSER2');
+    expect(withoutUser.sent.at(-1).headers['x-user-id']).toBeUndefined();
+  });
+});
@@ -0,0 +1,18 @@
+import { ISSUE_STATUSES } from '../../src/bulk/issueImport.js';
+import { ACC_TO_BCF_STATUS, BCF_TO_ACC_STATUS } from '../../src/bcf/sync.js';
+
+describe('BCF status mapping', () => {
+  it('exports every ACC status and maps it back on import', () => {
+    for (const status of ISSUE_STATUSES.filter((s) => s !== 'draft')) {
+      const topicStatus = ACC_TO_BCF_STATUS[status];
+      expect(topicStatus).toBeDefined();
+      expect(BCF_TO_ACC_STATUS[topicStatus.toLowerCase()]).toBe(status);
+    }
+  });
+
+  it('imports only statuses ACC knows', () => {
+    for (const status of Object.values(BCF_TO_ACC_STATUS)) {
+      expect(ISSUE_STATUSES).toContain(status);
+    }
+  });
+});
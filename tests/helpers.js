@@ -0,0 +1,147 @@
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig } from '../src/config.js';
+import { startMockApi } from '../src/mock/server.js';
+import { Cassette } from '../src/utils/cassette.js';
+
+const CASSETTES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'cassettes');
+
+/**
+ * Port of the mock API while cassettes are recorded; replays request the same URLs
+ */
+const CASSETTE_MOCK_PORT = 4399;
+
+/**
+ * Configuration for tests: the mock API, memory token storage and no files written,
+ * unless `env` says otherwise
+ * @param {Object} [env] - Environment variables to set while loading
+ * @returns {Object} Configuration object
+ */
+export function testConfig(env = {}) {
+  const overrides = {
+    MOCK_API: 'true',
+    TOKEN_STORAGE: 'memory',
+    AUDIT_LOG: 'false',
+    DISABLE_CACHE: 'true',
+    ...env,
+  };
+  const saved = Object.fromEntries(Object.keys(overrides).map((key) => [key, process.env[key]]));
+
+  Object.assign(process.env, overrides);
+  try {
+    return loadConfig();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+/**
+ * Register tool modules on a bare server object
+ * @param {Function[]} registers - register*Tools functions
+ * @param {AuthManager} authManager - Authentication manager
+ * @param {Object} config - Configuration object
+ * @param {Object} [services] - Shared services
+ * @returns {Promise<Object>} Server with `tools`
+ */
+export async function toolServer(registers, authManager, config, services = {}) {
+  const server = { tools: {} };
+  for (const register of registers) {
+    await register(server, authManager, config, services);
+  }
+  return server;
+}
+
+/**
+ * Call a tool and parse its JSON result
+ * @param {Object} server - Server from toolServer()
+ * @param {string} name - Tool name
+ * @param {Object} [args] - Tool arguments
+ * @returns {Promise<*>} Parsed result; throws with the error text if the call failed
+ */
+export async function callTool(server, name, args = {}) {
+  const result = await server.tools[name].handler(args);
+  if (result.isError) {
+    throw new Error(result.content[0].text);
+  }
+  return JSON.parse(result.content[0].text);
+}
+
+/**
+ * Run tool calls against `tests/cassettes/<name>.json`. The cassette is replayed, so
+ * nothing goes over the network, every recorded request must be made again and a
+ * request sent around the cassette fails the run. With
+ * RECORD_CASSETTES=true it is first recorded by running the same calls against a fresh
+ * mock API.
+ * @param {string} name - Cassette name
+ * @param {Object} config - Configuration from testConfig()
+ * @param {Function} run - async (config, cassette) => result; runs the calls, with the
+ *   cassette attached to its auth manager (`authManager.useCassette(cassette)`)
+ * @returns {Promise<*>} Result of the replayed run
+ */
+export async function withCassette(name, config, run) {
+  const file = path.join(CASSETTES_DIR, `${name}.json`);
+
+  if (process.env.RECORD_CASSETTES === 'true') {
+    config.debug.mockApiPort = CASSETTE_MOCK_PORT;
+    const mockApi = await startMockApi(config);
+    try {
+      const cassette = new Cassette({ mode: 'record', file });
+      await run(config, cassette);
+      cassette.save();
+    } finally {
+      await mockApi.close();
+    }
+  }
+
+  const url = `http://127.0.0.1:${CASSETTE_MOCK_PORT}`;
+  config.autodesk.baseUrl = url;
+  config.autodesk.authUrl = `${url}${new URL(config.autodesk.authUrl).pathname}`;
+
+  const cassette = new Cassette({ mode: 'replay', file });
+  const strays = await listenForStrays(CASSETTE_MOCK_PORT);
+  let result;
+  try {
+    result = await run(config, cassette);
+  } finally {
+    await strays.close();
+  }
+  if (strays.requests.length > 0) {
+    throw new Error(
+      `Requests bypassed the cassette ${file} (not sent through authManager.http):\n  ` +
+        strays.requests.join('\n  ')
+    );
+  }
+  cassette.assertComplete();
+  return result;
+}
+
+/**
+ * Listen where the mock API was while a cassette is replayed. A request that does not
+ * go through the cassette would otherwise fail against a closed port, and code that
+ * turns failures into warnings would hide it.
+ * @param {number} port - Mock API port
+ * @returns {Promise<Object>} { requests, close }; `requests` holds the request lines
+ */
+async function listenForStrays(port) {
+  const requests = [];
+  const server = net.createServer((socket) => {
+    socket.on('error', () => {});
+    socket.once('data', (chunk) => {
+      requests.push(chunk.toString('latin1').split('\r\n', 1)[0]);
+      socket.destroy();
+    });
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  return {
+    requests,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
@@ -0,0 +1,71 @@
+import http from 'http';
+import { HttpServer } from '../../src/http/server.js';
+import { McpHttpTransport } from '../../src/http/mcp.js';
+import { testConfig } from '../helpers.js';
+
+/**
+ * POST an initialize request with the given headers
+ */
+function post(port, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port,
+        path: '/mcp',
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          accept: 'application/json, text/event-stream',
+          authorization: `Bearer ${'t'.repeat(16)}`,
+          ...headers,
+        },
+      },
+      (res) => {
+        let body = '';
+        res.on('data', (chunk) => (body += chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body }));
+      }
+    );
+    req.on('error', reject);
+    req.end(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }));
+  });
+}
+
+describe('MCP HTTP transport', () => {
+  let httpServer;
+  let port;
+
+  beforeAll(async () => {
+    const config = testConfig({ PORT: '0', MCP_AUTH_TOKENS: 't'.repeat(16) });
+    httpServer = new HttpServer(config.server);
+    new McpHttpTransport(config.transport, () => {
+      throw new Error('No session expected');
+    }).mount(httpServer);
+    await httpServer.start();
+    port = httpServer.listener.address().port;
+  });
+
+  afterAll(() => httpServer.stop());
+
+  it('listens on 127.0.0.1 by default', () => {
+    expect(httpServer.listener.address().address).toBe('127.0.0.1');
+  });
+
+  it('rejects a Host header that is not allowed', async () => {
+    const response = await post(port, { host: `attacker.example:${port}` });
+    expect(response.status).toBe(403);
+    expect(response.body).toMatch(/Invalid Host header/);
+  });
+
+  it('rejects an Origin that is not allowed', async () => {
+    const response = await post(port, { origin: 'http://attacker.example' });
+    expect(response.status).toBe(403);
+    expect(response.body).toMatch(/Invalid Origin header/);
+  });
+
+  it('lets a local request through to the session handling', async () => {
+    const response = await post(port, { origin: `http://localhost:${port}` });
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,66 @@
+import http from 'http';
+import { HttpServer } from '../../src/http/server.js';
+import { createObservabilityRouter } from '../../src/http/observability.js';
+import { testConfig } from '../helpers.js';
+
+const authManager = (authenticated) => ({
+  mode: '2legged',
+  isAuthenticated: authenticated,
+  tokenExpiry: authenticated ? new Date(Date.now() + 3600000) : null,
+  isTwoLegged: () => true,
+});
+
+describe('health endpoints', () => {
+  const profiles = [
+    { name: 'default', authManager: authManager(true) },
+    { name: 'site', authManager: authManager(false) },
+  ];
+  let aps;
+  let apsHits = 0;
+  let httpServer;
+  let base;
+
+  beforeAll(async () => {
+    aps = http.createServer((req, res) => {
+      apsHits += 1;
+      res.end();
+    });
+    await new Promise((resolve) => aps.listen(0, '127.0.0.1', resolve));
+
+    const config = testConfig({ PORT: '0' });
+    config.autodesk.baseUrl = `http://127.0.0.1:${aps.address().port}`;
+    httpServer = new HttpServer(config.server);
+    httpServer.mount(
+      '/',
+      createObservabilityRouter({ authManager: { all: () => profiles }, metrics: {}, config })
+    );
+    await httpServer.start();
+    base = `http://127.0.0.1:${httpServer.listener.address().port}`;
+  });
+
+  afterAll(async () => {
+    await httpServer.stop();
+    await new Promise((resolve) => aps.close(resolve));
+  });
+
+  it('answers /healthz from local state for every profile, without contacting APS', async () => {
+    const response = await fetch(`${base}/healthz`);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(Object.keys(body.profiles)).toEqual(['default', 'site']);
+    expect(body.profiles.site.authenticated).toBe(false);
+    expect(body.upstream).toBeUndefined();
+    expect(apsHits).toBe(0);
+  });
+
+  it('is not ready while any profile lacks credentials', async () => {
+    const response = await fetch(`${base}/readyz`);
+    const body = await response.json();
+
+    expect(response.status).toBe(503);
+    expect(body.problems).toEqual(['profile site: not authenticated; run with --auth']);
+    expect(body.upstream.reachable).toBe(true);
+    expect(apsHits).toBe(1);
+  });
+});
@@ -0,0 +1,113 @@
+import { startMockApi } from '../../src/mock/server.js';
+import { AuthManager } from '../../src/auth.js';
+import { registerWebhookTools } from '../../src/tools/webhooks.js';
+import { fillEndpoint } from '../../src/utils/ids.js';
+import { paginate } from '../../src/utils/paginate.js';
+import { testConfig, toolServer, callTool } from '../helpers.js';
+
+describe('mock API', () => {
+  let config;
+  let mockApi;
+  let authManager;
+  let server;
+
+  const PROJECT = 'mock-project-1';
+  const containerUrl = (entity) =>
+    fillEndpoint(authManager.endpoints.acc[entity], { containerId: PROJECT });
+  const request = async (options) => (await authManager.makeAuthenticatedRequest(options)).data;
+
+  beforeAll(async () => {
+    config = testConfig({ WEBHOOK_ENDPOINT: 'https://example.com/webhooks' });
+    mockApi = await startMockApi(config);
+    authManager = new AuthManager(config);
+    server = await toolServer([registerWebhookTools], authManager, config);
+  });
+
+  afterAll(() => mockApi.close());
+
+  it('points the configuration at the local server', () => {
+    expect(config.autodesk.baseUrl).toBe(mockApi.url);
+    expect(mockApi.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/);
+  });
+
+  it('serves tool calls, keeping writes in its in-memory store', async () => {
+    expect(await callTool(server, 'list_webhooks')).toEqual([]);
+
+    const { hooks } = await callTool(server, 'register_webhook', {
+      entity: 'issues',
+      projectId: 'mock-project',
+      events: ['issue.created-1.0'],
+    });
+
+    expect(hooks).toHaveLength(1);
+    expect(mockApi.store.collection('hooks')).toHaveLength(1);
+    expect(await callTool(server, 'list_webhooks')).toEqual([
+      expect.objectContaining({ hookId: hooks[0].hookId, system: 'autodesk.construction.issues' }),
+    ]);
+  });
+
+  it('pages container lists with offset, limit and nextUrl', async () => {
+    const total = mockApi.store.collection('issues', PROJECT).length;
+    expect(total).toBeGreaterThan(1);
+
+    const first = await request({ url: containerUrl('issues'), params: { limit: 1 } });
+    expect(first.results).toHaveLength(1);
+    expect(first.pagination).toEqual({
+      limit: 1,
+      offset: 0,
+      totalResults: total,
+      nextUrl: expect.stringContaining('offset=1'),
+    });
+
+    const second = await request({ url: first.pagination.nextUrl });
+    expect(second.pagination).toMatchObject({ limit: 1, offset: 1 });
+    expect(second.results[0].id).not.toBe(first.results[0].id);
+
+    const last = await request({ url: containerUrl('issues'), params: { offset: total - 1 } });
+    expect(last.results).toHaveLength(1);
+    expect(last.pagination.nextUrl).toBeUndefined();
+
+    const all = await paginate(authManager, containerUrl('issues'), { pageSize: 1 });
+    expect(all).toMatchObject({ totalResults: total, truncated: false });
+    expect(all.results.map(({ id }) => id)).toEqual(
+      mockApi.store.collection('issues', PROJECT).map(({ id }) => id)
+    );
+  });
+
+  it('filters container lists by field', async () => {
+    const { results } = await request({
+      url: containerUrl('issues'),
+      params: { 'filter[status]': 'open' },
+    });
+
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.every((issue) => issue.status === 'open')).toBe(true);
+  });
+
+  it.each([
+    ['issues', { title: 'Missing fire stop at riser 3', status: 'open' }],
+    ['rfis', { title: 'Slab edge detail at grid C', question: 'Which detail applies?' }],
+    ['submittals', { title: 'Fire stopping product data', specSection: '07 84 00' }],
+  ])('creates, reads and updates %s', async (entity, attributes) => {
+    const before = mockApi.store.collection(entity, PROJECT).length;
+
+    const created = await request({ method: 'post', url: containerUrl(entity), data: attributes });
+    expect(created).toMatchObject({ ...attributes, id: expect.any(String) });
+    expect(mockApi.store.collection(entity, PROJECT)).toHaveLength(before + 1);
+
+    const url = `${containerUrl(entity)}/${created.id}`;
+    expect(await request({ url })).toEqual(created);
+
+    const updated = await request({ method: 'patch', url, data: { status: 'closed', id: 'x' } });
+    expect(updated).toMatchObject({ id: created.id, status: 'closed', title: attributes.title });
+
+    const { results } = await request({ url: containerUrl(entity) });
+    expect(results).toContainEqual(expect.objectContaining({ id: created.id, status: 'closed' }));
+  });
+
+  it.each(['issues', 'rfis', 'submittals'])('answers 404 for an unknown %s ID', async (entity) => {
+    await expect(request({ url: `${containerUrl(entity)}/no-such-id` })).rejects.toMatchObject({
+      response: { status: 404 },
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PluginLoader, createScopedAuth } from '../../src/plugins/loader.js';
+import { createTool } from '../../src/tools/index.js';
+import { testConfig } from '../helpers.js';
+
+/**
+ * Source of a plugin module whose register() returns one read-only tool per name
+ */
+const pluginSource = ({ name, scopes = [], tools = [], throws = false }) => `
+export default {
+  name: ${JSON.stringify(name)},
+  scopes: ${JSON.stringify(scopes)},
+  register({ createTool, z }) {
+    ${throws ? "throw new Error('register failed');" : ''}
+    return ${JSON.stringify(tools)}.map((tool) =>
+      createTool(tool, z.object({}), async () => ({ tool }), { readOnly: true })
+    );
+  },
+};
+`;
+
+describe('plugin loader', () => {
+  let dir;
+  let config;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  };
+
+  const load = async () => {
+    const loader = new PluginLoader(config);
+    await loader.load();
+    return loader;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    config = testConfig({ PLUGINS_DIR: dir });
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('skips a plugin with a broken package.json and loads the others', async () => {
+    write('broken/package.json', '{ "main": ');
+    write('broken/index.js', pluginSource({ name: 'broken' }));
+    write('good.mjs', pluginSource({ name: 'good' }));
+
+    const loader = await load();
+
+    expect(loader.plugins.map(({ name }) => name)).toEqual(['good']);
+    expect(loader.failures).toEqual([
+      { source: path.join(dir, 'broken'), error: expect.stringMatching(/package\.json/) },
+    ]);
+  });
+
+  it('skips a plugin that needs a scope the server is not granted', async () => {
+    write('admin.mjs', pluginSource({ name: 'admin', scopes: ['account:read', 'bim360:admin'] }));
+
+    const loader = await load();
+
+    expect(loader.plugins).toEqual([]);
+    expect(loader.failures[0].error).toMatch(/not granted: bim360:admin/);
+  });
+
+  it('loads only the first of two plugins with the same name', async () => {
+    write('a-first.mjs', pluginSource({ name: 'twin' }));
+    write('b-second.mjs', pluginSource({ name: 'twin' }));
+
+    const loader = await load();
+
+    expect(loader.plugins.map(({ source }) => path.basename(source))).toEqual(['a-first.mjs']);
+    expect(loader.failures).toEqual([
+      { source: path.join(dir, 'b-second.mjs'), error: expect.stringMatching(/already loaded/) },
+    ]);
+  });
+
+  it('registers the tools of the other plugins when one register() throws', async () => {
+    write('a-throws.mjs', pluginSource({ name: 'throws', tools: ['throws_tool'], throws: true }));
+    write('b-works.mjs', pluginSource({ name: 'works', tools: ['works_tool'] }));
+    const server = { tools: {} };
+
+    const loader = await load();
+    const registered = await loader.register(server, {}, createTool);
+
+    expect(registered).toBe(1);
+    expect(Object.keys(server.tools)).toEqual(['works_tool']);
+  });
+
+  it('skips a plugin tool whose name is taken', async () => {
+    write('clash.mjs', pluginSource({ name: 'clash', tools: ['get_issues', 'clash_extra'] }));
+    const builtIn = { name: 'get_issues', module: 'issues' };
+    const server = { tools: { get_issues: builtIn } };
+
+    const loader = await load();
+    const registered = await loader.register(server, {}, createTool);
+
+    expect(registered).toBe(1);
+    expect(server.tools.get_issues).toBe(builtIn);
+    expect(server.tools.clash_extra).toMatchObject({ plugin: 'clash' });
+  });
+});
+
+describe('createScopedAuth', () => {
+  const config = testConfig();
+  const baseUrl = config.autodesk.baseUrl.replace(/\/$/, '');
+  const sent = [];
+  const authManager = {
+    makeAuthenticatedRequest: async (options) => {
+      sent.push(options);
+      return { data: {} };
+    },
+  };
+
+  beforeEach(() => {
+    sent.length = 0;
+  });
+
+  const denial = (promise) =>
+    promise.then(
+      () => null,
+      (error) => error.code
+    );
+
+  it('refuses writes from a plugin without a write scope', async () => {
+    const auth = createScopedAuth(authManager, config, { name: 'reader', scopes: ['data:read'] });
+    const url = `${baseUrl}/construction/issues/v1/projects/p1/issues`;
+
+    expect(await denial(auth.makeAuthenticatedRequest({ method: 'post', url }))).toBe(
+      'POLICY_DENIED'
+    );
+    expect(await denial(auth.makeAuthenticatedRequest({ method: 'get', url }))).toBeNull();
+    expect(sent.map(({ method }) => method)).toEqual(['get']);
+  });
+
+  it('refuses hosts other than the APS base URL, even with a write scope', async () => {
+    const auth = createScopedAuth(authManager, config, { name: 'writer', scopes: ['data:write'] });
+
+    for (const url of ['https://attacker.example.com/steal', `${baseUrl}.attacker.example.com/x`]) {
+      expect(await denial(auth.makeAuthenticatedRequest({ method: 'get', url }))).toBe(
+        'POLICY_DENIED'
+      );
+    }
+    expect(
+      await denial(auth.makeAuthenticatedRequest({ method: 'post', url: `${baseUrl}/data/v1/x` }))
+    ).toBeNull();
+    expect(sent).toHaveLength(1);
+  });
+});
@@ -0,0 +1,61 @@
+import { z } from 'zod';
+import { ToolPolicy, policySchema } from '../../src/policy/index.js';
+import { createTool } from '../../src/tools/index.js';
+import { registerResources } from '../../src/resources/index.js';
+import { PromptRegistry } from '../../src/prompts/index.js';
+import { testConfig } from '../helpers.js';
+
+const DENIED = 'b.00000000-0000-0000-0000-00000000dead';
+
+const policy = () => new ToolPolicy(policySchema.parse({ projects: { deny: [DENIED] } }));
+
+describe('access policy', () => {
+  it('requires every tool to declare whether it writes', () => {
+    expect(() => createTool('some_tool', z.object({}), async () => null)).toThrow(/readOnly/);
+  });
+
+  it('checks the project a tool resolves from its arguments', async () => {
+    const runs = { 'run-1': { projectId: DENIED } };
+    const server = {
+      tools: {
+        resume_run: createTool('resume_run', z.object({ runId: z.string() }), async () => 'done', {
+          readOnly: false,
+          project: async ({ runId }) => runs[runId].projectId,
+        }),
+      },
+    };
+    policy().apply(server);
+
+    const result = await server.tools.resume_run.handler({ runId: 'run-1' });
+
+    expect(result.isError).toBe(true);
+    expect(result.structuredContent.error.code).toBe('POLICY_DENIED');
+  });
+
+  it('refuses resource reads for blocked projects', async () => {
+    const handlers = new Map();
+    const server = {
+      policy: policy(),
+      setRequestHandler: (schema, handler) => handlers.set(schema.shape.method.value, handler),
+    };
+    const authManager = { on: () => {}, makeAuthenticatedRequest: async () => ({ data: {} }) };
+    registerResources(server, authManager, testConfig(), {});
+
+    await expect(
+      handlers.get('resources/read')({
+        params: { uri: `acc://hub/b.hub/project/${DENIED}/issues/1` },
+      })
+    ).rejects.toMatchObject({ code: 'POLICY_DENIED' });
+  });
+
+  it('refuses prompts for blocked projects', async () => {
+    const registry = new PromptRegistry();
+    registry.load();
+    const [prompt] = registry.list().filter((p) => p.arguments.some((a) => a.name === 'projectId'));
+    const args = { projectId: DENIED, issueId: '1', submittalId: '1' };
+
+    await expect(
+      registry.render(prompt.name, args, {}, testConfig(), policy())
+    ).rejects.toMatchObject({ code: 'POLICY_DENIED' });
+  });
+});
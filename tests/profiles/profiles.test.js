@@ -0,0 +1,111 @@
+import { ProfileManager } from '../../src/profiles/index.js';
+import { registerResources } from '../../src/resources/index.js';
+import { registerPrompts } from '../../src/prompts/index.js';
+import { testConfig } from '../helpers.js';
+
+const URI = 'acc://hub/b.hub/project/b.project-1/issues/issue-1';
+
+describe('profiles in resources and prompts', () => {
+  let profiles;
+  let handlers;
+  let server;
+  let config;
+
+  beforeEach(() => {
+    config = testConfig({ PROFILES: 'site', PROFILE_SITE_HUB_ID: 'b.site-hub' });
+    profiles = new ProfileManager(config);
+    // Every request answers with the profile that sent it
+    for (const { name, authManager } of profiles.all()) {
+      authManager.makeAuthenticatedRequest = async () => ({
+        data: { id: 'issue-1', profile: name, results: [], pagination: {} },
+      });
+    }
+
+    handlers = new Map();
+    server = {
+      activeProfile: profiles.defaultProfile,
+      setRequestHandler: (schema, handler) => handlers.set(schema.shape.method.value, handler),
+    };
+    registerResources(server, profiles, profiles.scopedConfig(), {});
+    registerPrompts(server, profiles, profiles.scopedConfig());
+  });
+
+  const read = async () => {
+    const result = await handlers.get('resources/read')({ params: { uri: URI } });
+    return JSON.parse(result.contents[0].text).profile;
+  };
+
+  it('reads resources with the profile switched to', async () => {
+    expect(await read()).toBe('default');
+
+    server.activeProfile = 'site';
+    expect(await read()).toBe('site');
+  });
+
+  it('lists the projects of the active profile hub', async () => {
+    const requests = [];
+    for (const { name, authManager } of profiles.all()) {
+      authManager.makeAuthenticatedRequest = async ({ url }) => {
+        requests.push({ name, url });
+        return { data: { data: [{ id: 'b.project-1', attributes: { name: 'Site' } }] } };
+      };
+    }
+
+    server.activeProfile = 'site';
+    const { resources } = await handlers.get('resources/list')({ params: {} });
+
+    expect(resources.map((resource) => resource.uri)).toEqual([
+      'acc://hub/b.site-hub/project/b.project-1',
+    ]);
+    expect(requests).toEqual([{ name: 'site', url: expect.stringContaining('/b.site-hub/') }]);
+  });
+
+  it('lists every page of projects', async () => {
+    const { authManager } = profiles.get('site');
+    authManager.makeAuthenticatedRequest = async ({ url }) => {
+      const second = url.includes('page%5Bnumber%5D=1');
+      return {
+        data: {
+          data: [{ id: second ? 'b.project-2' : 'b.project-1' }],
+          links: second ? {} : { next: { href: `${url}?page%5Bnumber%5D=1` } },
+        },
+      };
+    };
+
+    server.activeProfile = 'site';
+    const { resources } = await handlers.get('resources/list')({ params: {} });
+
+    expect(resources.map((resource) => resource.uri)).toEqual([
+      'acc://hub/b.site-hub/project/b.project-1',
+      'acc://hub/b.site-hub/project/b.project-2',
+    ]);
+  });
+
+  it('offers a profile argument on every prompt and fetches the context with it', async () => {
+    const { prompts } = await handlers.get('prompts/list')({ params: {} });
+    expect(prompts.every((prompt) => prompt.arguments.some((arg) => arg.name === 'profile'))).toBe(
+      true
+    );
+
+    const seen = [];
+    for (const { name, authManager } of profiles.all()) {
+      authManager.makeAuthenticatedRequest = async () => {
+        seen.push(name);
+        return { data: { results: [], pagination: {} } };
+      };
+    }
+    const prompt = prompts.find((p) => p.arguments.some((arg) => arg.name === 'projectId'));
+    const args = { projectId: 'b.project-1', issueId: 'issue-1', submittalId: 's1' };
+
+    await handlers.get('prompts/get')({
+      params: { name: prompt.name, arguments: { ...args, profile: 'site' } },
+    });
+    expect(new Set(seen)).toEqual(new Set(['site']));
+
+    await expect(
+      handlers.get('prompts/get')({
+        params: { name: prompt.name, arguments: { ...args, profile: 'nowhere' } },
+      })
+    ).rejects.toMatchObject({ code: 'VALIDATION' });
+  });
+});
@@ -0,0 +1,30 @@
+import { fetchContext } from '../../src/prompts/context.js';
+import { testConfig } from '../helpers.js';
+
+describe('prompt context', () => {
+  const config = testConfig();
+
+  it('counts the records of every page, not only the first', async () => {
+    const rfis = Array.from({ length: 250 }, (_, index) => ({
+      id: `rfi-${index}`,
+      title: `RFI ${index}`,
+      status: 'open',
+    }));
+    const authManager = {
+      makeAuthenticatedRequest: async ({ params = {} }) => {
+        const { offset = 0, limit } = params;
+        return {
+          data: {
+            results: rfis.slice(offset, offset + limit),
+            pagination: { offset, limit, totalResults: rfis.length },
+          },
+        };
+      },
+    };
+
+    const { openRfis } = await fetchContext(['openRfis'], { projectId: 'p1' }, authManager, config);
+
+    expect(openRfis).toContain('...and 225 more');
+    expect(openRfis).not.toContain('only the first');
+  });
+});
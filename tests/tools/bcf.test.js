@@ -0,0 +1,116 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AuthManager } from '../../src/auth.js';
+import { writeBcfZip } from '../../src/bcf/format.js';
+import { startMockApi } from '../../src/mock/server.js';
+import { registerBcfTools } from '../../src/tools/bcf.js';
+import { testConfig, toolServer } from '../helpers.js';
+
+describe('import_bcf paths', () => {
+  let dir;
+  let outside;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bcf-'));
+    outside = fs.mkdtempSync(path.join(os.tmpdir(), 'bcf-outside-'));
+    fs.writeFileSync(path.join(outside, 'secret.bcfzip'), 'not for the tool');
+    fs.symlinkSync(path.join(outside, 'secret.bcfzip'), path.join(dir, 'link.bcfzip'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(outside, { recursive: true, force: true });
+  });
+
+  const errorOf = async (env, filePath) => {
+    const config = testConfig({ BCF_GUID_MAP_PATH: path.join(dir, 'guids.json'), ...env });
+    const server = await toolServer([registerBcfTools], {}, config);
+    const result = await server.tools.import_bcf.handler({ projectId: 'p1', path: filePath });
+    return result.structuredContent?.error;
+  };
+
+  it('reads no files without BCF_DIR', async () => {
+    expect(await errorOf({}, 'topics.bcfzip')).toMatchObject({
+      code: 'VALIDATION',
+      message: expect.stringMatching(/BCF_DIR/),
+    });
+  });
+
+  it.each([
+    ['a parent directory', '../secret.bcfzip'],
+    ['an absolute path', '/etc/passwd'],
+    ['a symlink', 'link.bcfzip'],
+  ])('refuses %s', async (label, filePath) => {
+    expect(await errorOf({ BCF_DIR: dir }, filePath)).toMatchObject({
+      code: 'VALIDATION',
+      message: expect.stringMatching(/outside BCF_DIR/),
+    });
+  });
+
+  it('reports a missing file', async () => {
+    expect(await errorOf({ BCF_DIR: dir }, 'missing.bcfzip')).toMatchObject({
+      code: 'NOT_FOUND',
+    });
+  });
+});
+
+describe('import_bcf dry run', () => {
+  let dir;
+  let mockApi;
+  let server;
+  const sent = [];
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bcf-dry-run-'));
+    const config = testConfig({ BCF_GUID_MAP_PATH: path.join(dir, 'guids.json') });
+    config.debug.mockApiPort = 0;
+    mockApi = await startMockApi(config);
+
+    const authManager = new AuthManager(config);
+    authManager.http.interceptors.request.use((request) => {
+      sent.push(`${request.method.toUpperCase()} ${request.url}`);
+      return request;
+    });
+    server = await toolServer([registerBcfTools], authManager, config);
+  });
+
+  afterAll(async () => {
+    await mockApi.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('previews a new topic without commenting on or mapping an issue that does not exist', async () => {
+    const archive = writeBcfZip([
+      {
+        guid: '0f1e2d3c-4b5a-4968-8776-655443322110',
+        type: 'Fall Protection',
+        status: 'Open',
+        title: 'Missing guard rail on level 2',
+        labels: [],
+        comments: [
+          {
+            guid: '1a2b3c4d-5e6f-4a1b-8c2d-3e4f5a6b7c8d',
+            date: '2026-10-01T08:00:00Z',
+            author: 'site@example.com',
+            text: 'Seen during the walk',
+          },
+        ],
+        viewpoints: [],
+      },
+    ]);
+
+    const result = await server.tools.import_bcf.handler({
+      projectId: 'mock-project-1',
+      base64: archive.toString('base64'),
+      dryRun: true,
+    });
+    const preview = JSON.parse(result.content[0].text);
+
+    expect(preview.result).toMatchObject({ created: 1, failed: 0 });
+    expect(preview.wouldSend.map(({ request }) => request.method)).toEqual(['POST']);
+    expect(sent.filter((request) => !request.startsWith('GET '))).toEqual([]);
+    expect(sent.some((request) => request.includes('undefined'))).toBe(false);
+    expect(fs.existsSync(path.join(dir, 'guids.json'))).toBe(false);
+  });
+});
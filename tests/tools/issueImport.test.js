@@ -0,0 +1,54 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { registerIssueImportTools } from '../../src/tools/issueImport.js';
+import { ImportRunStore, createRun } from '../../src/bulk/issueImport.js';
+import { testConfig, toolServer } from '../helpers.js';
+
+describe('issue import tools', () => {
+  let dir;
+  let server;
+  let requests;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-'));
+    const config = testConfig();
+    config.bulk.runsDir = dir;
+    requests = 0;
+    const authManager = {
+      makeAuthenticatedRequest: async () => {
+        requests++;
+        return { data: { results: [] } };
+      },
+    };
+    server = await toolServer([registerIssueImportTools], authManager, config);
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const importIssues = (args) => server.tools.import_issues.handler(args);
+
+  it('reports malformed CSV as a validation error', async () => {
+    const result = await importIssues({ projectId: 'p1', csv: 'title,status\n"Leak,open\n' });
+
+    expect(result.structuredContent.error).toMatchObject({
+      code: 'VALIDATION',
+      message: expect.stringMatching(/quoted field/),
+    });
+    expect(requests).toBe(0);
+  });
+
+  it('resumes a run given the project ID with or without the b. prefix', async () => {
+    const run = createRun('mock-project-1', [{ title: 'Leak' }], { title: 'title' });
+    run.rows[0].status = 'created';
+    await new ImportRunStore(dir).save(run);
+
+    for (const projectId of ['mock-project-1', 'b.mock-project-1']) {
+      const result = await importIssues({ projectId, resumeRunId: run.runId });
+      expect(result.isError).toBeUndefined();
+    }
+
+    const other = await importIssues({ projectId: 'b.other-project', resumeRunId: run.runId });
+    expect(other.structuredContent.error.code).toBe('VALIDATION');
+  });
+});
@@ -0,0 +1,251 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AuthManager } from '../../src/auth.js';
+import { AuditLog } from '../../src/audit/log.js';
+import { MirrorStore } from '../../src/mirror/store.js';
+import { MirrorSync } from '../../src/mirror/sync.js';
+import { ProfileManager } from '../../src/profiles/index.js';
+import { getApiEndpoints } from '../../src/config.js';
+import { fillEndpoint } from '../../src/utils/ids.js';
+import { runWithContext } from '../../src/utils/requestContext.js';
+import { registerAuditTools } from '../../src/tools/audit.js';
+import { registerAuthTools } from '../../src/tools/auth.js';
+import { registerBcfTools } from '../../src/tools/bcf.js';
+import { registerCacheTools } from '../../src/tools/cache.js';
+import { registerIssueImportTools } from '../../src/tools/issueImport.js';
+import { registerMirrorTools } from '../../src/tools/mirror.js';
+import { registerProfileTools } from '../../src/tools/profiles.js';
+import { registerSearchTools } from '../../src/tools/search.js';
+import { registerWebhookTools } from '../../src/tools/webhooks.js';
+import { testConfig, toolServer, callTool, withCassette } from '../helpers.js';
+
+const PROJECT = 'mock-project-1';
+
+// Each run gets fresh local state, so the recorded and the replayed run behave the same
+const dirs = [];
+const tempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+  dirs.push(dir);
+  return dir;
+};
+
+const authManagerFor = (config, cassette) => {
+  const authManager = new AuthManager(config);
+  authManager.useCassette(cassette);
+  return authManager;
+};
+
+afterAll(() => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('tool modules replayed from cassettes', () => {
+  it('audit: lists the writes of a call', async () => {
+    const config = testConfig({ WEBHOOK_ENDPOINT: 'https://example.com/webhooks' });
+
+    const { entries } = await withCassette('audit', config, async (config, cassette) => {
+      const authManager = authManagerFor(config, cassette);
+      const audit = new AuditLog({ enabled: true, path: path.join(tempDir(), 'audit.jsonl') });
+      await audit.load();
+      audit.attach(authManager);
+      const server = await toolServer(
+        [registerAuditTools, registerWebhookTools],
+        authManager,
+        config,
+        { audit }
+      );
+
+      await callTool(server, 'register_webhook', {
+        entity: 'issues',
+        projectId: PROJECT,
+        events: ['issue.created-1.0'],
+      });
+      return callTool(server, 'audit_query', {});
+    });
+
+    expect(entries).toEqual([
+      expect.objectContaining({ method: 'POST', status: 201, tool: 'register_webhook' }),
+    ]);
+  });
+
+  it('auth: reports the signed-in user', async () => {
+    const config = testConfig();
+
+    const status = await withCassette('auth', config, async (config, cassette) => {
+      const server = await toolServer(
+        [registerAuthTools],
+        authManagerFor(config, cassette),
+        config
+      );
+      return callTool(server, 'auth_status');
+    });
+
+    expect(status).toMatchObject({
+      authenticated: true,
+      identity: { type: 'user', userId: expect.any(String) },
+    });
+  });
+
+  it('bcf: exports the issues of a project', async () => {
+    const config = testConfig();
+
+    const exported = await withCassette('bcf', config, async (config, cassette) => {
+      config.bcf.guidMapPath = path.join(tempDir(), 'guids.json');
+      const server = await toolServer([registerBcfTools], authManagerFor(config, cassette), config);
+      return callTool(server, 'export_bcf', { projectId: PROJECT });
+    });
+
+    expect(exported.topics).toBeGreaterThan(0);
+    expect(Buffer.from(exported.base64, 'base64').subarray(0, 2).toString()).toBe('PK');
+  });
+
+  it('cache: serves repeated reference lookups from the cache', async () => {
+    const config = testConfig({ DISABLE_CACHE: 'false' });
+
+    const { stats, cleared } = await withCassette('cache', config, async (config, cassette) => {
+      const authManager = authManagerFor(config, cassette);
+      const server = await toolServer([registerCacheTools], authManager, config);
+      const url = fillEndpoint(getApiEndpoints(config).acc.issueTypes, { containerId: PROJECT });
+
+      // Only the first lookup is recorded; a second request would fail the replay
+      await authManager.makeAuthenticatedRequest({ method: 'get', url });
+      await authManager.makeAuthenticatedRequest({ method: 'get', url });
+      return {
+        stats: await callTool(server, 'cache_stats'),
+        cleared: await callTool(server, 'cache_clear', {}),
+      };
+    });
+
+    expect(stats).toMatchObject({ hits: 1, misses: 1 });
+    expect(cleared).toEqual({ removed: 1 });
+  });
+
+  it('issueImport: creates issues from rows and keeps the run', async () => {
+    const config = testConfig();
+
+    const { imported, run } = await withCassette(
+      'issueImport',
+      config,
+      async (config, cassette) => {
+        config.bulk.runsDir = tempDir();
+        const server = await toolServer(
+          [registerIssueImportTools],
+          authManagerFor(config, cassette),
+          config
+        );
+        const imported = await callTool(server, 'import_issues', {
+          projectId: PROJECT,
+          rows: [
+            { title: 'Missing fire stop at riser 3', type: 'Fire Protection', status: 'open' },
+          ],
+          concurrency: 1,
+        });
+        return {
+          imported,
+          run: await callTool(server, 'get_import_run', { runId: imported.runId }),
+        };
+      }
+    );
+
+    expect(imported).toMatchObject({ created: 1, failed: 0 });
+    expect(run).toMatchObject({ projectId: PROJECT, rows: [{ row: 1, status: 'created' }] });
+  });
+
+  it('mirror: syncs a project and queries the copy', async () => {
+    const config = testConfig({ MIRROR_ENABLED: 'true', MIRROR_PROJECTS: PROJECT });
+
+    const { synced, open } = await withCassette('mirror', config, async (config, cassette) => {
+      const authManager = authManagerFor(config, cassette);
+      const mirror = new MirrorSync({ authManager, config, store: new MirrorStore(tempDir()) });
+      const server = await toolServer([registerMirrorTools], authManager, config, { mirror });
+
+      const synced = await callTool(server, 'mirror_sync', { entities: ['issues'] });
+      const open = await callTool(server, 'mirror_query', { entities: ['issues'], open: true });
+      return { synced, open };
+    });
+
+    expect(synced.projects[0].entities.issues).toMatchObject({ mode: 'full' });
+    expect(open.total).toBeGreaterThan(0);
+  });
+
+  it('profiles: runs calls with the profile switched to', async () => {
+    const config = testConfig({ PROFILES: 'site', PROFILE_SITE_HUB_ID: 'b.mock-hub-2' });
+
+    const { switched, status } = await withCassette(
+      'profiles',
+      config,
+      async (config, cassette) => {
+        const profiles = new ProfileManager(config);
+        // Only the site profile can answer; the default one would go to the network
+        profiles.get('site').authManager.useCassette(cassette);
+        const server = await toolServer(
+          [registerProfileTools, registerAuthTools],
+          profiles,
+          config
+        );
+        server.activeProfile = profiles.defaultProfile;
+
+        const switched = await callTool(server, 'switch_profile', { name: 'site' });
+        const status = await runWithContext({ profile: server.activeProfile }, () =>
+          callTool(server, 'auth_status')
+        );
+        return { switched, status };
+      }
+    );
+
+    expect(switched).toMatchObject({ previous: 'default', active: 'site', hubId: 'b.mock-hub-2' });
+    expect(status).toMatchObject({ profile: 'site', identity: { type: 'user' } });
+  });
+
+  it('search: finds records across modules', async () => {
+    const config = testConfig();
+
+    const found = await withCassette('search', config, async (config, cassette) => {
+      const server = await toolServer(
+        [registerSearchTools],
+        authManagerFor(config, cassette),
+        config
+      );
+      return callTool(server, 'search_project', { projectId: PROJECT, text: 'crack' });
+    });
+
+    expect(found.results).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ entity: 'issues', title: expect.any(String) }),
+      ])
+    );
+    expect(found.sources.issues).toMatchObject({ fetched: expect.any(Number) });
+  });
+
+  it('webhooks: registers, lists and removes a hook', async () => {
+    const config = testConfig({ WEBHOOK_ENDPOINT: 'https://example.com/webhooks' });
+
+    const { hooks, listed, removed } = await withCassette(
+      'webhooks',
+      config,
+      async (config, cassette) => {
+        const server = await toolServer(
+          [registerWebhookTools],
+          authManagerFor(config, cassette),
+          config
+        );
+        const { hooks } = await callTool(server, 'register_webhook', {
+          entity: 'issues',
+          projectId: PROJECT,
+          events: ['issue.created-1.0'],
+        });
+        const listed = await callTool(server, 'list_webhooks');
+        const removed = await callTool(server, 'unregister_webhook', {
+          entity: 'issues',
+          event: 'issue.created-1.0',
+          hookId: hooks[0].hookId,
+        });
+        return { hooks, listed, removed };
+      }
+    );
+
+    expect(listed).toEqual([expect.objectContaining({ hookId: hooks[0].hookId })]);
+    expect(removed).toEqual({ deleted: true, hookId: hooks[0].hookId });
+  });
+});
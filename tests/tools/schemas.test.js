@@ -0,0 +1,35 @@
+import { z } from 'zod';
+import { AuthManager } from '../../src/auth.js';
+import { createTool, registerTools } from '../../src/tools/index.js';
+import { testConfig } from '../helpers.js';
+
+describe('tool schemas', () => {
+  it('advertise the same input schema as before', async () => {
+    const config = testConfig();
+    const server = { tools: {} };
+    // Modules that need a service only register their tools when it is there
+    const services = { audit: { enabled: true }, mirror: { projects: [] } };
+    await registerTools(server, new AuthManager(config), config, services);
+
+    expect(Object.keys(server.tools).length).toBeGreaterThan(0);
+    for (const tool of Object.values(server.tools)) {
+      const { name, description, readOnly, inputSchema } = tool;
+      expect({ description, readOnly, inputSchema }).toMatchSnapshot(name);
+    }
+  });
+
+  it('advertise dates only where a JSON string is accepted', async () => {
+    const tool = createTool(
+      'date_tool',
+      z.object({ since: z.coerce.date() }),
+      async ({ since }) => since.toISOString(),
+      { readOnly: true }
+    );
+
+    expect(tool.inputSchema.properties.since).toEqual({ type: 'string', format: 'date-time' });
+    expect((await tool.handler({ since: '2026-10-01T00:00:00Z' })).isError).toBeUndefined();
+    expect(() =>
+      createTool('plain_date', z.object({ since: z.date() }), async () => null, { readOnly: true })
+    ).toThrow(/z\.coerce\.date/);
+  });
+});
@@ -0,0 +1,83 @@
+import { registerWebhookTools } from '../../src/tools/webhooks.js';
+import { testConfig, toolServer, callTool } from '../helpers.js';
+
+describe('webhook tools', () => {
+  const config = testConfig({ WEBHOOK_ENDPOINT: 'https://example.com/webhooks' });
+
+  it('returns the hooks created before an event failed, with the failure', async () => {
+    const authManager = {
+      makeAuthenticatedRequest: async ({ url }) => {
+        if (url.includes('issue.updated-1.0')) {
+          throw Object.assign(new Error('Request failed with status code 403'), {
+            response: { status: 403, data: {} },
+          });
+        }
+        return { data: { hookId: `hook-${url.split('/').at(-2)}` } };
+      },
+    };
+    const server = await toolServer([registerWebhookTools], authManager, config);
+
+    const result = await callTool(server, 'register_webhook', {
+      entity: 'issues',
+      projectId: 'p1',
+      events: ['issue.created-1.0', 'issue.updated-1.0'],
+    });
+
+    expect(result.hooks).toEqual([
+      expect.objectContaining({ event: 'issue.created-1.0', hookId: expect.any(String) }),
+    ]);
+    expect(result.errors).toEqual([
+      expect.objectContaining({
+        event: 'issue.updated-1.0',
+        error: expect.stringMatching(/^FORBIDDEN/),
+      }),
+    ]);
+  });
+
+  it('rejects empty or unknown events before anything is sent', async () => {
+    let requests = 0;
+    const authManager = {
+      makeAuthenticatedRequest: async () => {
+        requests++;
+        return { data: { hookId: 'hook-1' } };
+      },
+    };
+    const server = await toolServer([registerWebhookTools], authManager, config);
+    const register = (events) =>
+      server.tools.register_webhook.handler({ entity: 'issues', projectId: 'p1', events });
+
+    for (const events of [[], ['issue.created-1.0', 'rfi.created-1.0']]) {
+      const result = await register(events);
+      expect(result.isError).toBe(true);
+      expect(result.structuredContent.error.code).toBe('VALIDATION');
+    }
+    expect(requests).toBe(0);
+  });
+
+  it('reports a missing endpoint as a validation error', async () => {
+    const server = await toolServer([registerWebhookTools], {}, testConfig());
+
+    const result = await server.tools.register_webhook.handler({
+      entity: 'issues',
+      projectId: 'p1',
+    });
+
+    expect(result.structuredContent.error).toMatchObject({
+      code: 'VALIDATION',
+      message: expect.stringMatching(/WEBHOOK_ENDPOINT/),
+    });
+  });
+
+  it('rejects an unparseable since', async () => {
+    const journal = { recent: () => [] };
+    const server = await toolServer([registerWebhookTools], {}, config, { journal });
+
+    await expect(callTool(server, 'get_recent_events', { since: 'yesterday' })).rejects.toThrow(
+      /ISO date/
+    );
+    expect(await callTool(server, 'get_recent_events', { since: '2026-10-01' })).toEqual({
+      count: 0,
+      events: [],
+    });
+  });
+});
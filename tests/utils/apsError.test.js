@@ -0,0 +1,35 @@
+import { ApsError, toApsError } from '../../src/utils/apsError.js';
+
+describe('toApsError', () => {
+  it('classifies thrown values that are not objects', () => {
+    for (const value of ['boom', 42, undefined, null]) {
+      const error = toApsError(value);
+      expect(error).toBeInstanceOf(ApsError);
+      expect(error.code).toBe('INTERNAL');
+    }
+    expect(toApsError('boom').message).toBe('boom');
+  });
+
+  it('reports cancelled requests and aborted waits as CANCELLED', () => {
+    const canceled = Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' });
+    const controller = new AbortController();
+    controller.abort();
+
+    expect(toApsError(canceled).code).toBe('CANCELLED');
+    expect(toApsError(controller.signal.reason).code).toBe('CANCELLED');
+  });
+
+  it('maps APS responses by status', () => {
+    const error = toApsError(
+      Object.assign(new Error('Request failed'), {
+        response: { status: 404, data: { detail: 'Issue not found' }, headers: {} },
+      })
+    );
+
+    expect(error.toJSON()).toMatchObject({
+      code: 'NOT_FOUND',
+      message: 'Issue not found',
+      status: 404,
+    });
+  });
+});
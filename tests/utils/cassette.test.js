@@ -0,0 +1,96 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Cassette, CassetteError } from '../../src/utils/cassette.js';
+
+const USERS_URL = 'https://developer.api.autodesk.com/construction/admin/v1/projects/p1/users';
+
+// Network adapter answering every request with the given body
+const answer = (data) => async (config) => ({
+  data: JSON.stringify(data),
+  status: 200,
+  statusText: 'OK',
+  headers: { 'content-type': 'application/json', 'set-cookie': 'session=abc' },
+  config,
+});
+
+describe('cassette', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+    file = path.join(dir, 'session.json');
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('scrubs secrets and personal data before anything is stored', async () => {
+    const cassette = new Cassette({ mode: 'record', file });
+
+    await cassette.record(
+      {
+        method: 'post',
+        url: `${USERS_URL}?access_token=abc123&limit=5`,
+        headers: { 'Content-Type': 'application/json' },
+        data: JSON.stringify({ email: 'jane.doe@contoso.com', secret: 'hook-secret' }),
+      },
+      answer({
+        results: [{ id: 'u1', name: 'Jane Doe', email: 'jane.doe@contoso.com', phone: '555-0100' }],
+        note: 'Ask jane.doe@contoso.com',
+        url: 'https://s3.amazonaws.com/x?X-Amz-Signature=deadbeef&X-Amz-Expires=60',
+      })
+    );
+
+    const [{ request, response }] = cassette.interactions;
+    const pseudonym = request.body.email;
+    expect(pseudonym).toMatch(/^user-[0-9a-f]{10}@example\.com$/);
+    expect(request.url).toBe(`${USERS_URL}?access_token=REDACTED&limit=5`);
+    expect(request.body.secret).toBe('REDACTED');
+
+    // The same person gets the same pseudonym everywhere
+    expect(response.json.results[0]).toEqual({
+      id: 'u1',
+      name: expect.stringMatching(/^redacted-[0-9a-f]{10}$/),
+      email: pseudonym,
+      phone: expect.stringMatching(/^redacted-/),
+    });
+    expect(response.json.note).toBe(`Ask ${pseudonym}`);
+    expect(response.json.url).toContain('X-Amz-Signature=REDACTED&X-Amz-Expires=60');
+    expect(response.headers['set-cookie']).toBeUndefined();
+    expect(JSON.stringify(cassette.interactions)).not.toMatch(/contoso|Jane|abc123|deadbeef/);
+
+    // Otherwise it would be written on exit, after the directory is gone
+    cassette.save();
+  });
+
+  it('keeps a recording in memory until it is saved', async () => {
+    const cassette = new Cassette({ mode: 'record', file });
+    await cassette.record({ method: 'get', url: USERS_URL }, answer({ results: [] }));
+    await cassette.record({ method: 'get', url: `${USERS_URL}/u1` }, answer({ id: 'u1' }));
+
+    expect(fs.existsSync(file)).toBe(false);
+
+    cassette.save();
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(saved.interactions.map(({ request }) => request.url)).toEqual([
+      USERS_URL,
+      `${USERS_URL}/u1`,
+    ]);
+  });
+
+  it('fails a replayed request that was not recorded, without sending it', async () => {
+    const recorder = new Cassette({ mode: 'record', file });
+    await recorder.record({ method: 'get', url: USERS_URL }, answer({ results: [] }));
+    recorder.save();
+
+    const cassette = new Cassette({ mode: 'replay', file });
+    await expect(cassette.replay({ method: 'get', url: `${USERS_URL}?limit=5` })).rejects.toThrow(
+      CassetteError
+    );
+
+    expect(() => cassette.assertComplete()).toThrow(
+      /unmatched request GET .*users\?limit=5[\s\S]*unplayed recording GET .*users$/
+    );
+  });
+});
@@ -0,0 +1,41 @@
+import { applyBody, diffFields } from '../../src/utils/dryRun.js';
+
+const issue = {
+  id: 'issue-1',
+  title: 'Concrete crack at grid C4',
+  status: 'open',
+  dueDate: null,
+  customAttributes: { priority: 'high', trade: 'concrete' },
+};
+
+describe('dry-run diffs', () => {
+  it('lists the before and after of each field an update changes', () => {
+    const body = {
+      title: 'Concrete crack at grid C5',
+      status: 'open',
+      dueDate: '2026-11-15',
+      customAttributes: { priority: 'low' },
+    };
+
+    expect(diffFields(issue, body)).toEqual([
+      { field: 'title', before: 'Concrete crack at grid C4', after: 'Concrete crack at grid C5' },
+      { field: 'dueDate', before: null, after: '2026-11-15' },
+      { field: 'customAttributes.priority', before: 'high', after: 'low' },
+    ]);
+  });
+
+  it('lists every field of a create as new', () => {
+    expect(diffFields(null, { title: 'New', status: 'open' })).toEqual([
+      { field: 'title', before: undefined, after: 'New' },
+      { field: 'status', before: undefined, after: 'open' },
+    ]);
+  });
+
+  it('previews the result by merging the body over the entity', () => {
+    expect(applyBody(issue, { status: 'closed', customAttributes: { priority: 'low' } })).toEqual({
+      ...issue,
+      status: 'closed',
+      customAttributes: { priority: 'low', trade: 'concrete' },
+    });
+  });
+});
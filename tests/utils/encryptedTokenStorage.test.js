@@ -0,0 +1,62 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EncryptedTokenStorage } from '../../src/utils/encryptedTokenStorage.js';
+
+const TOKENS = {
+  accessToken: 'access-abc123',
+  refreshToken: 'refresh-def456',
+  expiresAt: '2026-10-19T12:00:00.000Z',
+};
+
+describe('EncryptedTokenStorage', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-'));
+    filePath = path.join(dir, 'tokens.json');
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const storage = (encryptionKey = 'the-right-key') =>
+    new EncryptedTokenStorage({ filePath, encryptionKey });
+
+  const edit = (change) => {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    fs.writeFileSync(filePath, JSON.stringify(change(raw)));
+  };
+
+  it('reads back what it wrote, without storing the tokens in plain text', async () => {
+    await storage().saveTokens(TOKENS);
+
+    expect(await storage().getTokens()).toEqual(TOKENS);
+    expect(fs.readFileSync(filePath, 'utf8')).not.toMatch(/abc123|def456/);
+    expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+  });
+
+  it('returns null when no tokens are stored', async () => {
+    expect(await storage().getTokens()).toBeNull();
+  });
+
+  it('rejects the file with a wrong key', async () => {
+    await storage().saveTokens(TOKENS);
+
+    await expect(storage('another-key').getTokens()).rejects.toThrow(/Cannot decrypt/);
+  });
+
+  it.each([
+    [
+      'encrypted data',
+      (raw) => ({ ...raw, data: `${raw.data[0] === 'A' ? 'B' : 'A'}${raw.data.slice(1)}` }),
+    ],
+    ['authentication tag', (raw) => ({ ...raw, tag: raw.tag.slice(0, 8) })],
+    ['IV', (raw) => ({ ...raw, iv: undefined })],
+  ])('rejects a file with an edited %s', async (label, change) => {
+    await storage().saveTokens(TOKENS);
+    edit(change);
+
+    await expect(storage().getTokens()).rejects.toThrow(/Cannot decrypt/);
+  });
+});
@@ -0,0 +1,68 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { withFileLock } from '../../src/utils/fileLock.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('withFileLock', () => {
+  let dir;
+  let lockPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lock-'));
+    lockPath = path.join(dir, 'tokens.lock');
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('runs contending holders one at a time', async () => {
+    let holders = 0;
+    let mostHolders = 0;
+    const hold = (result) =>
+      withFileLock(
+        lockPath,
+        async () => {
+          holders++;
+          mostHolders = Math.max(mostHolders, holders);
+          await sleep(30);
+          holders--;
+          return result;
+        },
+        { retryMs: 5 }
+      );
+
+    expect(await Promise.all([hold('a'), hold('b'), hold('c')])).toEqual(['a', 'b', 'c']);
+    expect(mostHolders).toBe(1);
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  it('gives up once the timeout passes while the lock is held', async () => {
+    const held = withFileLock(lockPath, () => sleep(200));
+
+    await expect(
+      withFileLock(lockPath, async () => 'never', { timeoutMs: 50, retryMs: 10 })
+    ).rejects.toThrow(/Timed out waiting for lock/);
+    await held;
+  });
+
+  it('breaks a stale lock left by a process that died', async () => {
+    fs.writeFileSync(lockPath, '99999');
+    const longAgo = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, longAgo, longAgo);
+
+    expect(await withFileLock(lockPath, async () => 'ran', { staleMs: 30000, timeoutMs: 0 })).toBe(
+      'ran'
+    );
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  it('releases the lock when the work fails', async () => {
+    await expect(
+      withFileLock(lockPath, async () => {
+        throw new Error('refresh failed');
+      })
+    ).rejects.toThrow('refresh failed');
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+});
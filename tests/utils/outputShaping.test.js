@@ -0,0 +1,46 @@
+import { z } from 'zod';
+import { createTool } from '../../src/tools/index.js';
+
+const items = Array.from({ length: 30 }, (_, i) => ({ id: `item-${i}`, note: 'x'.repeat(40) }));
+const cursorOf = (result) => result.content[1].text.match(/cursor "([^"]+)"/)[1];
+const ids = (result) => JSON.parse(result.content[0].text).results.map((item) => item.id);
+
+describe('result cursors', () => {
+  // Counts the runs of the handler
+  const tool = (readOnly) => {
+    const runs = { count: 0 };
+    const handler = async () => {
+      runs.count += 1;
+      return { results: items };
+    };
+    return { runs, tool: createTool('list_things', z.object({}), handler, { readOnly }) };
+  };
+
+  it('refuses a bad cursor before the handler runs', async () => {
+    const { runs, tool: writer } = tool(false);
+
+    const result = await writer.handler({ cursor: 'not-a-cursor', maxChars: 500 });
+
+    expect(result.structuredContent.error.code).toBe('VALIDATION');
+    expect(runs.count).toBe(0);
+  });
+
+  it('serves further pages of a write from its kept result', async () => {
+    const { runs, tool: writer } = tool(false);
+
+    const first = await writer.handler({ maxChars: 500 });
+    const second = await writer.handler({ maxChars: 500, cursor: cursorOf(first) });
+
+    expect(runs.count).toBe(1);
+    expect(ids(second)[0]).toBe(`item-${ids(first).length}`);
+  });
+
+  it('runs a read-only tool again for the next page', async () => {
+    const { runs, tool: reader } = tool(true);
+
+    const first = await reader.handler({ maxChars: 500 });
+    await reader.handler({ maxChars: 500, cursor: cursorOf(first) });
+
+    expect(runs.count).toBe(2);
+  });
+});
@@ -0,0 +1,67 @@
+import { z } from 'zod';
+import { createTool } from '../../src/tools/index.js';
+import { paginate } from '../../src/utils/paginate.js';
+import { reportProgress } from '../../src/utils/requestContext.js';
+
+// Two lists of three pages each; the second answers faster, so their pages interleave
+const authManager = {
+  makeAuthenticatedRequest: async ({ url, params }) => {
+    const offset = params?.offset ?? 0;
+    await new Promise((resolve) => setTimeout(resolve, url.includes('slow') ? 15 : 5));
+    return {
+      data: {
+        results: Array.from({ length: 2 }, (_, i) => ({ id: `${url}-${offset + i}` })),
+        pagination: { offset, limit: 2, totalResults: 6 },
+      },
+    };
+  },
+};
+
+const callWithProgress = async (handler) => {
+  const notifications = [];
+  const tool = createTool('read_lists', z.object({}), handler, { readOnly: true });
+  await tool.handler(
+    {},
+    {
+      _meta: { progressToken: 'token-1' },
+      sendNotification: async ({ params }) => notifications.push(params),
+    }
+  );
+  return notifications;
+};
+
+describe('call progress', () => {
+  it('adds up paginations running at the same time', async () => {
+    const notifications = await callWithProgress(() =>
+      Promise.all([
+        paginate(authManager, 'https://aps.test/slow', { pageSize: 2 }),
+        paginate(authManager, 'https://aps.test/fast', { pageSize: 2 }),
+      ])
+    );
+
+    const values = notifications.map(({ progress }) => progress);
+    expect(values).toEqual([...values].sort((a, b) => a - b));
+    expect(new Set(values).size).toBe(values.length);
+    expect(notifications.at(-1)).toEqual({
+      progressToken: 'token-1',
+      progress: 12,
+      total: 12,
+      message: 'Fetched 12 of 12 items',
+    });
+  });
+
+  it('counts reports of the tool itself as one more unit', async () => {
+    const notifications = await callWithProgress(async () => {
+      reportProgress(1, 2, 'Importing rows');
+      await paginate(authManager, 'https://aps.test/fast', { pageSize: 2, maxResults: 2 });
+      reportProgress(2, 2, 'Importing rows');
+    });
+
+    expect(notifications.map(({ progress, total }) => [progress, total])).toEqual([
+      [1, 2],
+      [3, 4],
+      [4, 4],
+    ]);
+    expect(notifications.at(-1).message).toBe('Importing rows');
+  });
+});
@@ -0,0 +1,69 @@
+import { RequestScheduler } from '../../src/utils/requestScheduler.js';
+
+const failed = (status) =>
+  Object.assign(new Error(`HTTP ${status}`), { response: { status, headers: {} } });
+
+const throttled = (retryAfter) =>
+  Object.assign(new Error('Too Many Requests'), {
+    response: { status: 429, headers: { 'retry-after': retryAfter } },
+  });
+
+describe('RequestScheduler', () => {
+  const options = { maxRequests: 10, windowMs: 1000, maxRetryAfterMs: 2000 };
+
+  it('caps Retry-After at maxRetryAfterMs', () => {
+    const scheduler = new RequestScheduler(options);
+
+    expect(scheduler.getRetryDecision(throttled('1'), { method: 'get' }, 0).delayMs).toBe(1000);
+    expect(scheduler.getRetryDecision(throttled('3600'), { method: 'get' }, 0).delayMs).toBe(2000);
+  });
+
+  it('retries a throttled POST, since APS did not process it', () => {
+    const scheduler = new RequestScheduler(options);
+
+    expect(scheduler.getRetryDecision(throttled('1'), { method: 'post' }, 0)).toMatchObject({
+      retry: true,
+      delayMs: 1000,
+    });
+  });
+
+  it('retries a failed POST only when it is marked retrySafe', () => {
+    const scheduler = new RequestScheduler(options);
+
+    expect(scheduler.getRetryDecision(failed(503), { method: 'post' }, 0).retry).toBe(false);
+    expect(scheduler.getRetryDecision(failed(503), { method: 'patch' }, 0).retry).toBe(false);
+    expect(
+      scheduler.getRetryDecision(failed(503), { method: 'post', retrySafe: true }, 0).retry
+    ).toBe(true);
+  });
+
+  it('holds every request back after a 429 that is not retried', async () => {
+    const scheduler = new RequestScheduler({ ...options, maxRetries: 0 });
+
+    const started = Date.now();
+    await expect(
+      scheduler.execute({ method: 'post', url: '/x' }, () => Promise.reject(throttled('1')))
+    ).rejects.toThrow('Too Many Requests');
+    expect(scheduler.blockedUntil).toBeGreaterThanOrEqual(started + 1000);
+  });
+
+  it('stops waiting for a retry when the request is aborted', async () => {
+    const scheduler = new RequestScheduler(options);
+    const controller = new AbortController();
+    let attempts = 0;
+
+    const started = Date.now();
+    const result = scheduler.execute(
+      { method: 'get', url: '/x', signal: controller.signal },
+      () => {
+        attempts++;
+        return Promise.reject(throttled('60'));
+      }
+    );
+    setTimeout(() => controller.abort(), 50);
+
+    await expect(result).rejects.toThrow(/aborted/i);
+    expect(attempts).toBe(1);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
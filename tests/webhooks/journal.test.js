@@ -0,0 +1,51 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventJournal } from '../../src/webhooks/journal.js';
+
+const event = (n) => ({
+  id: `evt-${n}`,
+  receivedAt: new Date(Date.UTC(2026, 9, 1, 8, n)).toISOString(),
+  system: 'autodesk.construction.issues',
+  event: 'issue.updated-1.0',
+  projectId: 'p1',
+});
+
+describe('EventJournal', () => {
+  let dir;
+  let journalPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    journalPath = path.join(dir, 'events.jsonl');
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('ignores a second delivery of the same event id', async () => {
+    const journal = new EventJournal({ journalSize: 5, journalPath });
+    let emitted = 0;
+    journal.on('event', () => emitted++);
+
+    expect(await journal.record(event(1))).toBe(true);
+    expect(await journal.record({ ...event(1), receivedAt: new Date().toISOString() })).toBe(false);
+
+    expect(emitted).toBe(1);
+    expect(journal.events).toHaveLength(1);
+    expect(fs.readFileSync(journalPath, 'utf8').trim().split('\n')).toHaveLength(1);
+  });
+
+  it('keeps only the newest events, in memory and on disk', async () => {
+    const journal = new EventJournal({ journalSize: 3, journalPath });
+    for (let n = 1; n <= 7; n++) await journal.record(event(n));
+
+    expect(journal.recent().map(({ id }) => id)).toEqual(['evt-7', 'evt-6', 'evt-5']);
+    // A trimmed event is forgotten, so a late redelivery counts as new
+    expect(journal.seenIds.has('evt-1')).toBe(false);
+
+    const reloaded = new EventJournal({ journalSize: 3, journalPath });
+    await reloaded.load();
+    expect(reloaded.events.map(({ id }) => id)).toEqual(['evt-5', 'evt-6', 'evt-7']);
+    expect(fs.readFileSync(journalPath, 'utf8').trim().split('\n')).toHaveLength(3);
+  });
+});
@@ -0,0 +1,63 @@
+import express from 'express';
+import { createHmac } from 'crypto';
+import { createWebhookRouter, verifySignature } from '../../src/webhooks/receiver.js';
+import { EventJournal } from '../../src/webhooks/journal.js';
+
+const SECRET = 'hook-secret';
+
+const sign = (body, secret = SECRET) =>
+  `sha1hash=${createHmac('sha1', secret).update(body).digest('hex')}`;
+
+describe('webhook receiver', () => {
+  const journal = new EventJournal({ journalSize: 10 });
+  let listener;
+  let base;
+
+  const deliver = (body, signature) =>
+    fetch(base, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-adsk-signature': signature },
+      body,
+    });
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/webhooks', createWebhookRouter({ secret: SECRET }, journal));
+    await new Promise((resolve) => {
+      listener = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${listener.address().port}/webhooks`;
+  });
+
+  afterAll(() => new Promise((resolve) => listener.close(resolve)));
+
+  const delivery = JSON.stringify({
+    hook: { system: 'autodesk.construction.issues', event: 'issue.created-1.0' },
+    payload: { eventId: 'evt-1', projectId: 'p1', id: 'issue-1' },
+  });
+
+  it('rejects a delivery whose HMAC does not match, without recording it', async () => {
+    for (const signature of [sign(delivery, 'other-secret'), 'sha1hash=zz', undefined]) {
+      const response = await deliver(delivery, signature ?? '');
+      expect(response.status).toBe(401);
+    }
+    expect(journal.events).toEqual([]);
+  });
+
+  it('records a signed delivery once', async () => {
+    const first = await deliver(delivery, sign(delivery));
+    const second = await deliver(delivery, sign(delivery));
+
+    expect(await first.json()).toEqual({ received: true, duplicate: false });
+    expect(await second.json()).toEqual({ received: true, duplicate: true });
+    expect(journal.recent()).toEqual([
+      expect.objectContaining({ id: 'evt-1', projectId: 'p1', entityId: 'issue-1' }),
+    ]);
+  });
+
+  it('does not accept a signature for a modified body', () => {
+    const body = Buffer.from(delivery);
+    expect(verifySignature(body, sign(delivery), SECRET)).toBe(true);
+    expect(verifySignature(Buffer.from(`${delivery} `), sign(delivery), SECRET)).toBe(false);
+  });
+});